@@ -3,41 +3,11 @@
  * 定义不同环境的上传配置
  */
 
-const fs = require('fs');
-const path = require('path');
-
-/**
- * 从项目的 project.config.json 中读取 appid
- * @returns {string} appid
- */
-function getAppIdFromProject() {
-  try {
-    // 优先从环境变量获取
-    if (process.env.MP_APPID) {
-      return process.env.MP_APPID;
-    }
-
-    // 尝试从当前工作目录的 project.config.json 读取
-    const projectConfigPath = path.join(process.cwd(), 'project.config.json');
-    if (fs.existsSync(projectConfigPath)) {
-      const projectConfig = JSON.parse(fs.readFileSync(projectConfigPath, 'utf-8'));
-      if (projectConfig.appid) {
-        return projectConfig.appid;
-      }
-    }
-
-    // 默认值（智文小程序）
-    return "wxf2badc6a683ab3a9";
-  } catch (error) {
-    console.warn('读取 project.config.json 失败，使用默认 appid');
-    return "wxf2badc6a683ab3a9";
-  }
-}
-
 module.exports = {
   // 通用配置
   common: {
-    appid: getAppIdFromProject(),
+    // appid 默认从 MP_APPID、project.config.json、私钥文件名中解析（见 scripts/utils/appid.js），
+    // 各来源不一致时会报错；如需固定可在此或项目配置中设置 appid
     type: "miniProgram",
     projectPath: "./dist",
     ignores: [
@@ -52,65 +22,170 @@ module.exports = {
     ],
   },
 
-  // 体验版配置
-  development: {
-    robot: 1, // 默认使用 1 号机器人，可通过 ROBOT 环境变量覆盖
-    setting: {
-      es6: true,
-      minifyJS: true,
-      minifyWXML: true,
-      minifyWXSS: true,
-      minify: true,
-      codeProtect: false,
-      autoPrefixWXSS: false,
-    },
-    qrcodeOptions: {
-      format: "image",
-      outputDest: "./preview-qrcode-dev.jpg",
+  // 环境配置
+  // 每个环境都以 common 为基础，可通过 extend 继承另一个环境，
+  // setting、qrcodeOptions 等对象字段深度合并，ignores 沿 common -> extend 链追加合并
+  // 项目配置（miniprogram-ci.config.*）中的数组替换此处的默认值，如需保留默认项请一并列出
+  environments: {
+    // 体验版配置
+    development: {
+      label: "体验版", // 描述模板中的 ${envLabel}
+      robot: 1, // 默认使用 1 号机器人（编号或 robots.registry 中的名称），可通过 ROBOT 环境变量覆盖
+      setting: {
+        es6: true,
+        minifyJS: true,
+        minifyWXML: true,
+        minifyWXSS: true,
+        minify: true,
+        codeProtect: false,
+        autoPrefixWXSS: false,
+      },
+      qrcodeOptions: {
+        format: "image",
+        outputDest: "./preview-qrcode-dev.jpg",
+      },
     },
-  },
 
-  // 预发布配置
-  staging: {
-    robot: 1, // 默认使用 1 号机器人，可通过 ROBOT 环境变量覆盖
-    setting: {
-      es6: true,
-      minifyJS: true,
-      minifyWXML: true,
-      minifyWXSS: true,
-      minify: true,
-      codeProtect: false,
-      autoPrefixWXSS: false,
+    // 预发布配置
+    staging: {
+      extend: "development",
+      label: "预发布",
+      qrcodeOptions: {
+        outputDest: "./preview-qrcode-staging.jpg",
+      },
     },
-    qrcodeOptions: {
-      format: "image",
-      outputDest: "./preview-qrcode-staging.jpg",
+
+    // 正式版配置
+    production: {
+      extend: "development",
+      label: "正式版",
+      qrcodeOptions: {
+        outputDest: "./preview-qrcode-prod.jpg",
+      },
     },
+
+    // 自定义环境示例：
+    // gray: {
+    //   extend: "production",
+    //   robot: 2,
+    //   setting: { codeProtect: true },
+    //   qrcodeOptions: { outputDest: "./preview-qrcode-gray.jpg" },
+    // },
   },
 
-  // 正式版配置
-  production: {
-    robot: 1, // 默认使用 1 号机器人，可通过 ROBOT 环境变量覆盖
-    setting: {
-      es6: true,
-      minifyJS: true,
-      minifyWXML: true,
-      minifyWXSS: true,
-      minify: true,
-      codeProtect: false,
-      autoPrefixWXSS: false,
+  // CI 机器人配置（微信支持 1-30 号机器人，每个机器人对应一个独立的体验版）
+  robots: {
+    // 机器人登记表（按编号配置，项目配置中同编号的字段会覆盖这里的值）
+    // --robot / ROBOT / 环境配置中的 robot 可使用编号或名称，env 为该机器人登记的环境（与本次环境不一致时提示）
+    registry: {
+      1: { name: "main", owner: "", purpose: "主干体验版", env: "development" },
+      2: { name: "staging", owner: "", purpose: "预发布验收", env: "staging" },
+      3: { name: "release", owner: "", purpose: "正式版提审", env: "production" },
+      4: { name: "feature-a", owner: "", purpose: "迭代并行测试" },
+      5: { name: "feature-b", owner: "", purpose: "迭代并行测试" },
+    },
+    // 未指定 --env / BUILD_ENV 时是否使用机器人登记的 env（默认 false，使用 development）
+    envFromRegistry: false,
+    // 租约锁：上传期间锁定机器人，上传成功后由当前分支保留租约，
+    // 租约期间其他分支不能覆盖该机器人的体验版（同一分支可继续上传）
+    lock: {
+      enabled: true,
+      // 存储方式：file，或自定义存储模块路径（导出一个类，需实现 update(robotId, updater) 和 list()）
+      store: "file",
+      // 锁文件目录，Docker 中请与历史记录放在同一持久化卷
+      directory: "./history/robot-locks",
+      timeout: 1800000, // 上传期间锁的有效期（毫秒），进程异常退出后到期自动失效
+      lease: 86400000, // 上传成功后当前分支保留的租约时长（毫秒），0 表示上传完成即释放；无法确定分支时总是立即释放
+      wait: 0, // 机器人被占用时的等待时间（毫秒），0 表示立即失败
+      pollInterval: 5000, // 等待期间的检查间隔（毫秒）
     },
-    qrcodeOptions: {
-      format: "image",
-      outputDest: "./preview-qrcode-prod.jpg",
+    // --robot auto / ROBOT=auto：按分支自动分配机器人，同一分支后续上传沿用同一机器人
+    auto: {
+      // lru - 分配最久未使用的空闲机器人；hash - 按分支名哈希确定起始编号，池不变时结果稳定
+      strategy: "lru",
+      // 可自动分配的机器人（"起-止" 或编号数组），建议与 registry 中手动使用的机器人分开
+      pool: "10-30",
+      // 分支超过该天数没有上传视为已关闭，其占用的机器人可被重新分配（0 表示不按时间回收）
+      releaseAfter: 14,
+      // 能访问 Git 远端时，远端已删除的分支立即释放其机器人
+      checkRemote: true,
+      remote: "origin",
     },
   },
 
   // OSS 配置
   oss: {
-    // 使用 aicontest preset，不再硬编码具体配置
+    // 存储方式：presigned（签名接口 + Cookie）、s3（S3 兼容，如 MinIO）、aliyun、cos、local，或自定义模块路径
+    provider: "presigned",
+    // 使用 aicontest preset，不再硬编码具体配置（provider 为 presigned 时生效）
     preset: process.env.OSS_PRESET || "aicontest",
+    // 预签名上传预设，项目配置可在 oss.presets 中新增或覆盖
+    // - signaturePath: 签名接口，相对 endpoint 的路径或完整地址，请求时附加 ?objectName=&contentType=
+    // - headers: 调用签名接口时附加的请求头（默认带 X-Requested-With 和 device）
+    // - response: 签名接口响应字段映射，code 等于 successCode 时取 data 为预签名 URL，否则取 desc 为错误信息
+    // - rewrite: 转换为 CDN 地址时对上传路径依次执行的正则替换
+    presets: {
+      // 智文项目配置
+      zhiwen: {
+        endpoint: "https://pre-zw.xfyun.cn",
+        bucket: "zhiwen-assets",
+        cdnDomain: "https://zhiwen-cdn.xfyun.cn",
+        signaturePath: "/api/developer/user/fileToken",
+        headers: { from: "zhiwen" },
+        response: { code: "code", successCode: 0, data: "data", desc: "desc" },
+      },
+      // AI竞赛平台配置
+      aicontest: {
+        endpoint: "https://open-inc.xfyun.cn",
+        bucket: "aicontest",
+        cdnDomain: "https://openres.xfyun.cn",
+        signaturePath: "/cmp/xfyundoc/getPresignedUrl",
+        headers: {},
+        response: { code: "code", successCode: 0, data: "data", desc: "desc" },
+        rewrite: [{ pattern: "^/open_res", replacement: "" }], // 存储桶路径前缀不出现在 CDN 地址中
+      },
+    },
     uploadPath: "miniprogram-ci/qrcodes/", // OSS 上传路径前缀
+    // 对象名称模板（拼接在 uploadPath 之后），变量见 scripts/utils/storage/key-template.js
+    // 如固定地址 "{appid}/{env}/{robot}/qrcode{ext}"，或按内容命名 "{hash:16}{ext}"
+    keyTemplate: "{timestamp}/{filename}",
+    dedup: false, // 对象已存在且内容相同时跳过上传（预签名上传不支持）
+    streamThreshold: 5 * 1024 * 1024, // 超过该大小（字节）的文件流式上传，不整体读入内存
+    verify: true, // 比对存储返回的 ETag 与本地 MD5，不一致时按 errorHandling 重试
+    // 批量上传：每次上传/预览成功后上传 files 中的文件或目录（目录递归上传并保留相对路径）
+    batch: {
+      concurrency: 4,
+      manifest: "./output/oss-manifest.json", // 已上传文件清单，重新执行时跳过内容未变化且对象名称相同的文件
+      uploadPath: "miniprogram-ci/artifacts/",
+      keyTemplate: "{timestamp}/{path}", // 如 "{appid}/{env}/{version}/{path}"
+      files: [], // 如 ["./size-report.json", "./size-report.md", "./dist-sourcemaps", "./screenshots"]
+    },
+    // 以下各存储的访问密钥从 OSS_ACCESS_KEY_ID / OSS_ACCESS_KEY_SECRET 环境变量读取
+    // OSS_ENDPOINT、OSS_REGION、OSS_BUCKET、OSS_CDN_DOMAIN 可覆盖当前存储的对应字段
+    s3: {
+      endpoint: "", // 留空为 AWS S3，MinIO 填写如 https://minio.example.com:9000
+      region: "us-east-1",
+      bucket: "",
+      forcePathStyle: true, // 路径形式访问（endpoint/bucket/key），MinIO 需开启
+      acl: "public-read",
+      cdnDomain: "",
+    },
+    aliyun: {
+      endpoint: "oss-cn-hangzhou.aliyuncs.com",
+      bucket: "",
+      acl: "public-read",
+      cdnDomain: "",
+    },
+    cos: {
+      region: "ap-guangzhou",
+      bucket: "", // 含 APPID，如 examplebucket-1250000000
+      acl: "public-read",
+      cdnDomain: "",
+    },
+    local: {
+      directory: "./output/oss", // 复制到本地目录，可配合静态服务或 CI 制品
+      baseUrl: "", // 该目录对外的访问地址，留空则返回 file:// 地址
+    },
   },
 
   // 通知配置
@@ -134,17 +209,36 @@ module.exports = {
   // 版本管理配置
   version: {
     // 版本号生成规则
-    autoIncrement: false, // 是否自动递增版本号
+    // 自动递增版本号（未指定 --version 且当前提交没有 Tag 时生效）：
+    //   false     - 使用 package.json 中的版本
+    //   "commits" - 按上个 Tag 以来的约定式提交递增（feat 为 minor，BREAKING CHANGE 为 major，其余为 patch）
+    //   "history" - 按上传历史中该环境的最高版本递增 incrementType 级别
+    autoIncrement: false,
+    incrementType: "patch", // history 模式的递增级别（patch/minor/major）
+    // 预发布标识（按环境名查找，未配置时沿 extend 链向上查找），如 1.4.0-rc.3
+    preRelease: {
+      staging: "rc",
+    },
+    buildMetadata: false, // 是否追加提交号作为构建元数据，如 1.4.0-rc.3+abc1234
+    allowDowngrade: false, // 是否允许上传低于上次正式版的版本号
     useGitTag: true, // 是否使用 Git Tag 作为版本号
-    prefix: "v", // 版本号前缀
+    prefix: "v", // 版本号前缀（Tag 名称为 前缀 + 版本号，如 v2.0.0-rc.2）
+    // 上传到微信平台的版本号格式：
+    //   "semver" - 1.4.0-rc.3（去掉构建元数据）
+    //   "dotted" - 1.4.0（仅正式版，预发布版本会报错）
+    wechatFormat: "semver",
+    // 版本范围（字符串或按环境名配置），不满足时终止上传，如 { production: ">=2.0.0 <3.0.0" }
+    range: {},
 
-    // 版本描述模板
-    descriptionTemplate: "${env} - ${time} - ${branch}@${commit}",
+    // 版本描述模板（语法和可用变量见 scripts/utils/description.js）
+    // ${name} 为变量，${name|默认值} 在变量为空时使用默认值，[[ ... ]] 中任一变量为空时整段省略
+    descriptionTemplate: "[${envLabel}] ${desc}[[ | ${builder}]][[ (${branch}@${commit})]]",
+    descriptionMaxLength: 200, // 超出时截断
   },
 
   // 构建配置
   build: {
-    // 构建命令
+    // 构建命令（按环境名查找，未配置时沿 extend 链向上查找）
     commands: {
       development: "npm run build:pre",
       staging: "npm run build:pre",
@@ -156,6 +250,71 @@ module.exports = {
     autoBuild: true,
   },
 
+  // 包体积预算配置
+  // 上传前按 ignores 扫描构建产物、上传后按微信返回的 subPackageInfo 各检查一次
+  // 体积可写字节数或 "2MB"、"500KB"，超过 warn 输出警告，超过 error 终止流程
+  sizeBudget: {
+    enabled: true,
+    packages: {
+      __APP__: { warn: "1.8MB", error: "2MB" }, // 主包
+      __FULL__: { warn: "18MB", error: "20MB" }, // 整包
+      // "/packageA/": { warn: "1.5MB", error: "2MB" }, // 指定分包（名称为 /root/）
+    },
+    // 未单独配置的分包使用此预算
+    subPackage: { warn: "1.8MB", error: "2MB" },
+    // 超出预算时列出的文件数量
+    topN: 10,
+    // 文件体积快照，用于对比上次上传列出增长最多的文件
+    snapshotFile: "./package-size-snapshot.json",
+  },
+
+  // 上传/预览历史
+  history: {
+    // 存储方式：jsonl，或自定义存储模块路径（导出一个类，需实现 append(record) 和 all()）
+    store: "jsonl",
+    // 历史文件路径，Docker 中请挂载持久化卷（如 -v /data/mp-history:/app/history），可通过 HISTORY_PATH 覆盖
+    path: "./history/miniprogram-ci-history.jsonl",
+  },
+
+  // 私钥来源（令牌、密码只从环境变量读取：MP_PRIVATE_KEY_TOKEN、MP_PRIVATE_KEY_USERNAME/PASSWORD、VAULT_TOKEN）
+  privateKey: {
+    // env / file / http / vault，可通过 MP_KEY_SOURCE 覆盖；
+    // 留空时依次按 MP_PRIVATE_KEY_URL、MP_PRIVATE_KEY_BASE64、Vault 路径、已挂载的文件自动选择
+    source: "",
+    // 期望的私钥文件 SHA-256 指纹（sha256sum 输出），设置后不一致时终止，可通过 MP_PRIVATE_KEY_SHA256 覆盖
+    sha256: "",
+    // RSA 私钥的最小模数长度（位），低于该值时终止
+    minModulusLength: 2048,
+    // 为 true 时私钥只保存在内存中，直接传给 ci.Project，不写入文件，可通过 MP_PRIVATE_KEY_IN_MEMORY 覆盖
+    inMemory: false,
+    // 私钥临时文件的父目录，留空时优先使用 /dev/shm（tmpfs），其次为系统临时目录，可通过 MP_PRIVATE_KEY_DIR 覆盖
+    directory: "",
+    // 环境变量（Base64 或 PEM 原文）
+    env: {
+      name: "MP_PRIVATE_KEY_BASE64",
+    },
+    // 挂载的文件，如 Docker secrets，路径支持 {appid}
+    file: {
+      path: "/run/secrets/mp_private_key",
+    },
+    // HTTP(S) 下载，auth 为 bearer（MP_PRIVATE_KEY_TOKEN）或 basic（MP_PRIVATE_KEY_USERNAME/PASSWORD）
+    http: {
+      url: "",
+      auth: "",
+      timeout: 15000,
+      maxRedirects: 3,
+    },
+    // HashiCorp Vault KV，令牌取自 VAULT_TOKEN，路径支持 {appid}
+    vault: {
+      address: "", // 留空时使用 VAULT_ADDR
+      mount: "secret",
+      path: "", // 如 miniprogram/{appid}
+      field: "private_key",
+      kvVersion: 2,
+      namespace: "",
+    },
+  },
+
   // 缓存配置
   cache: {
     // 是否启用缓存
@@ -170,66 +329,252 @@ module.exports = {
   errorHandling: {
     // 重试次数
     retryCount: 3,
-    // 重试延迟（毫秒）
+    // 重试基础延迟（毫秒），每次重试按指数递增并加入随机抖动
     retryDelay: 5000,
+    // 单次重试最大延迟（毫秒）
+    maxRetryDelay: 60000,
     // 是否在错误时继续
     continueOnError: false,
   },
 
   // 日志配置
   logging: {
-    // 日志级别：debug, info, warn, error
+    // 日志级别：debug, info, warn, error（--verbose 等同于 debug）
     level: process.env.LOG_LEVEL || "info",
-    // 是否输出到文件
+    // 输出格式：text（彩色文本）, json（每行一个 JSON 对象，含 runId、env、robot、stage、duration 等字段，供 Loki / ELK 采集）
+    format: "text",
+    // 是否输出到文件（与控制台格式相同）
     file: true,
     // 日志文件路径
     filePath: "./logs/miniprogram-ci.log",
-    // 是否带时间戳
+    // 是否带时间戳（text 格式；json 格式总是包含 time 字段）
     timestamps: true,
-    // 是否彩色输出
+    // 是否彩色输出（text 格式）
     colors: true,
   },
 
   // 安全配置
   security: {
-    // 是否检查私钥
+    // 是否解析校验私钥（类型、长度、试签名），关闭后私钥无效时在调用微信接口时才报错
     checkPrivateKey: true,
-    // 允许的 IP 白名单
+    // 微信后台登记的代码上传 IP 白名单（IP 或 CIDR），设置后在构建前检查本机出口 IP，可通过 IP_WHITELIST 覆盖
     ipWhitelist: process.env.IP_WHITELIST
       ? process.env.IP_WHITELIST.split(",")
       : [],
-    // 是否强制 HTTPS
+    // 出口 IP 回显服务（返回纯文本 IP 或 {"ip": "..."}），可通过 IP_ECHO_URL 覆盖
+    ipEchoUrl: "https://api.ipify.org?format=json",
+    // 出口 IP 查询超时（毫秒）
+    ipCheckTimeout: 5000,
+    // 拒绝明文 HTTP 的私钥下载地址、Vault 地址和对象存储地址（127.0.0.1 / localhost 除外）
     forceHttps: true,
   },
 };
 
-// 获取指定环境的配置
-module.exports.getConfig = function (env = 'development') {
-  const envConfig = module.exports[env];
+// 环境配置允许的字段及类型
+const ENV_SCHEMA = {
+  extend: "string",
+  label: "string",
+  appid: "string",
+  type: "string",
+  projectPath: "string",
+  ignores: "string[]",
+  robot: "number|string",
+  setting: {
+    useProjectConfig: "boolean",
+    es6: "boolean",
+    es7: "boolean",
+    minify: "boolean",
+    codeProtect: "boolean",
+    minifyJS: "boolean",
+    minifyWXML: "boolean",
+    minifyWXSS: "boolean",
+    autoPrefixWXSS: "boolean",
+    disableUseStrict: "boolean",
+    compileWorklet: "boolean",
+    targetPlatform: "string",
+  },
+  qrcodeOptions: {
+    format: "string",
+    outputDest: "string",
+    pagePath: "string",
+    searchQuery: "string",
+    scene: "number",
+  },
+};
+
+// getConfig 结果中的全局配置段
+const GLOBAL_SECTIONS = [
+  "robots",
+  "oss",
+  "notification",
+  "version",
+  "build",
+  "sizeBudget",
+  "history",
+  "privateKey",
+  "cache",
+  "errorHandling",
+  "logging",
+  "security",
+];
+
+/**
+ * 判断是否为普通对象
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * 深度合并配置
+ * 对象递归合并，其余类型以 override 为准；数组默认追加去重（common 与环境、extend 继承），
+ * arrays 为 replace 时以 override 为准（项目配置覆盖默认配置）
+ * @param {Object} base - 基础配置
+ * @param {Object} override - 覆盖配置
+ * @param {Object} options
+ * @param {string} options.arrays - 数组合并方式：append / replace
+ * @returns {Object} 新对象
+ */
+function deepMerge(base, override, options = {}) {
+  const result = { ...base };
+
+  Object.keys(override || {}).forEach((key) => {
+    const baseValue = result[key];
+    const value = override[key];
+
+    if (value === undefined) {
+      return;
+    }
+
+    if (isPlainObject(baseValue) && isPlainObject(value)) {
+      result[key] = deepMerge(baseValue, value, options);
+    } else if (Array.isArray(baseValue) && Array.isArray(value) && options.arrays !== 'replace') {
+      result[key] = [...new Set([...baseValue, ...value])];
+    } else {
+      result[key] = value;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * 解析环境配置（处理 extend 继承）
+ * @param {Object} environments - 所有环境定义
+ * @param {string} env - 环境名称
+ * @param {string[]} chain - 当前继承链，用于检测循环继承
+ * @returns {{config: Object, chain: string[]}} 合并后的环境配置与继承链（由子到父）
+ */
+function resolveEnvironment(environments, env, chain = []) {
+  const envConfig = environments[env];
 
   if (!envConfig) {
-    throw new Error(`未找到环境配置: ${env}`);
+    const available = Object.keys(environments).join(", ");
+    throw new Error(
+      chain.length > 0
+        ? `环境 ${chain[chain.length - 1]} 继承的环境不存在: ${env}（可用环境: ${available}）`
+        : `未找到环境配置: ${env}（可用环境: ${available}）`
+    );
+  }
+
+  if (chain.includes(env)) {
+    throw new Error(`环境配置存在循环继承: ${[...chain, env].join(" -> ")}`);
   }
 
-  // 从环境变量获取机器人编号，如果未设置则使用环境配置中的默认值
-  const robotFromEnv = process.env.ROBOT ? parseInt(process.env.ROBOT) : null;
-  const robot = robotFromEnv || envConfig.robot;
+  const { extend, ...own } = envConfig;
+  const currentChain = [...chain, env];
+
+  if (!extend) {
+    return { config: own, chain: currentChain };
+  }
 
-  // 合并通用配置和环境配置
-  return {
-    ...module.exports.common,
-    ...envConfig,
-    robot, // 使用环境变量覆盖后的 robot 值
+  const parent = resolveEnvironment(environments, extend, currentChain);
+  return { config: deepMerge(parent.config, own), chain: parent.chain };
+}
+
+/**
+ * 获取值的类型描述
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+/**
+ * 按 schema 检查配置，收集未知字段和类型错误
+ * @param {Object} value - 待检查的配置
+ * @param {Object} schema - 字段定义
+ * @param {string} prefix - 字段路径前缀
+ * @param {string[]} errors - 错误列表
+ */
+function checkSchema(value, schema, prefix, errors) {
+  Object.keys(value).forEach((key) => {
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    const expected = schema[key];
+    const actual = value[key];
+
+    if (expected === undefined) {
+      errors.push(`未知字段: ${fieldPath}`);
+      return;
+    }
+
+    if (actual === undefined) {
+      return;
+    }
+
+    if (isPlainObject(expected)) {
+      if (!isPlainObject(actual)) {
+        errors.push(`字段类型错误: ${fieldPath} 应为 object，实际为 ${typeOf(actual)}`);
+      } else {
+        checkSchema(actual, expected, fieldPath, errors);
+      }
+    } else if (expected === "string[]") {
+      if (!Array.isArray(actual) || actual.some((item) => typeof item !== "string")) {
+        errors.push(`字段类型错误: ${fieldPath} 应为 string[]`);
+      }
+    } else if (!expected.split("|").includes(typeOf(actual))) {
+      errors.push(`字段类型错误: ${fieldPath} 应为 ${expected}，实际为 ${typeOf(actual)}`);
+    }
+  });
+}
+
+/**
+ * 从原始配置（common + environments + 全局配置段）解析出指定环境的配置
+ * @param {Object} raw - 原始配置，结构与本文件导出的配置相同
+ * @param {string} env - 环境名称
+ * @returns {Object}
+ */
+function resolveConfig(raw, env) {
+  const resolved = resolveEnvironment(raw.environments || {}, env);
+  const config = {
+    ...deepMerge(raw.common, resolved.config),
     env,
-    oss: module.exports.oss,
-    notification: module.exports.notification,
-    version: module.exports.version,
-    build: module.exports.build,
-    cache: module.exports.cache,
-    errorHandling: module.exports.errorHandling,
-    logging: module.exports.logging,
-    security: module.exports.security
+    envChain: resolved.chain, // 继承链，例如 ['hotfix', 'production', 'development']
   };
+
+  GLOBAL_SECTIONS.forEach((section) => {
+    config[section] = raw[section];
+  });
+
+  return config;
+}
+
+// 获取指定环境的配置
+module.exports.getConfig = function (env = 'development') {
+  const config = resolveConfig(module.exports, env);
+
+  // 从环境变量获取机器人编号或名称，如果未设置则使用环境配置中的默认值
+  const robotFromEnv = process.env.ROBOT
+    ? (/^\d+$/.test(process.env.ROBOT) ? parseInt(process.env.ROBOT) : process.env.ROBOT)
+    : null;
+  config.robot = robotFromEnv || config.robot;
+
+  return config;
 };
 
 // 验证配置
@@ -241,9 +586,35 @@ module.exports.validate = function (config) {
     throw new Error(`配置缺少必要字段: ${missing.join(', ')}`);
   }
 
+  const errors = [];
+  const { env, envChain, ...rest } = config;
+  const envFields = {};
+
+  Object.keys(rest).forEach((key) => {
+    if (GLOBAL_SECTIONS.includes(key)) {
+      if (rest[key] !== undefined && !isPlainObject(rest[key])) {
+        errors.push(`字段类型错误: ${key} 应为 object，实际为 ${typeOf(rest[key])}`);
+      }
+    } else {
+      envFields[key] = rest[key];
+    }
+  });
+
+  checkSchema(envFields, ENV_SCHEMA, '', errors);
+
+  if (errors.length > 0) {
+    throw new Error(`配置校验失败（${env || 'unknown'} 环境）:\n  - ${errors.join('\n  - ')}`);
+  }
+
   return true;
 };
 
+// 导出工具函数供其他脚本使用
+module.exports.deepMerge = deepMerge;
+module.exports.resolveConfig = resolveConfig;
+module.exports.resolveEnvironment = resolveEnvironment;
+module.exports.GLOBAL_SECTIONS = GLOBAL_SECTIONS;
+
 /**
  * 验证机器人编号
  * @param {number} robotId - 机器人编号 (1-30)
@@ -2,24 +2,37 @@
 # ==================== 微信小程序 CI 入口脚本 ====================
 # 功能：
 #   1. 安装项目依赖（如果需要）
-#   2. 根据 BUILD_MODE 执行 Taro 构建
-#   3. 下载私钥
-#   4. 执行上传/预览操作
+#   2. 解析 appid
+#   3. 调用 upload-mp.js（由其按 privateKey 配置读取私钥） 执行构建（BUILD_COMMAND / BUILD_MODE 未设置时按 build.commands[env]）和上传/预览操作
+#
+# 私钥的读取、临时文件和清理都由 upload-mp.js 负责，这里只把 SIGTERM / SIGINT 转发给它
 #
 # 环境变量：
-#   MP_PRIVATE_KEY_URL  - 私钥文件 CDN 地址（必需）
+#   MP_KEY_SOURCE       - 私钥来源：env / file / http / vault（可选，默认按已设置的变量自动选择）
+#   MP_PRIVATE_KEY_URL  - 私钥下载地址（http 来源，MP_PRIVATE_KEY_TOKEN 为 Bearer 令牌）
+#   MP_PRIVATE_KEY_BASE64 - 私钥的 Base64 编码（env 来源）
+#   MP_PRIVATE_KEY_FILE - 私钥文件路径（file 来源，默认 /run/secrets/mp_private_key）
+#   VAULT_ADDR / VAULT_TOKEN / MP_VAULT_PATH - Vault KV（vault 来源）
+#   MP_PRIVATE_KEY_SHA256 - 期望的私钥文件 SHA-256 指纹（可选）
+#   MP_PRIVATE_KEY_IN_MEMORY - true 时私钥只保存在内存中，不写入文件（可选）
 #   ACTION              - 操作类型：upload / preview（默认 upload）
 #   BUILD_VERSION       - 版本号（可选，覆盖 build-info.json 中的版本）
 #   BUILD_DESC          - 版本描述（可选，覆盖 build-info.json 中的描述）
-#   BUILD_MODE          - 构建模式：production / pre / test（默认 production）
+#   BUILD_MODE          - 构建模式：production / pre / test（可选，未设置时使用 ci.config.js 中 build.commands[env]）
+#   BUILD_COMMAND       - 构建命令（可选，优先于 BUILD_MODE）
 #   BUILD_ENV           - 部署环境标识（可选，传给 upload-mp.js 的 --env 参数）
-#   ROBOT               - 机器人编号（可选）
-#   BUILDER             - 构建人名称（可选，会显示在上传描述中）
+#   ROBOT               - 机器人编号或 robots.registry 中登记的名称（可选）
+#   BUILDER             - 构建人名称（可选，描述模板中的 ${builder}）
 #   QRCODE_PATH         - 二维码保存路径（preview 模式）
 #   UPLOAD_OSS          - 是否上传到 OSS：true / false（默认 true）
 #   API_COOKIE          - API Cookie（OSS 上传需要）
+#   IP_WHITELIST        - 微信后台登记的 IP 白名单，逗号分隔（可选，设置后上传前检查出口 IP）
+#   IP_ECHO_URL         - 出口 IP 回显服务地址（可选）
 #   SKIP_INSTALL        - 跳过 npm install（默认 false）
 #   SKIP_BUILD          - 跳过构建步骤（默认 false）
+#   RESULT_FORMAT       - 执行结果格式：json / dotenv / junit（可选）
+#   RESULT_FILE         - 执行结果输出路径（可选，默认按格式写到当前目录）
+#   LOG_FORMAT          - 日志格式：text / json（默认 text）；json 时本脚本的输出也是每行一个 JSON 对象，不输出横幅
 
 set -e
 
@@ -35,59 +48,87 @@ YELLOW='\033[1;33m'
 BLUE='\033[0;34m'
 NC='\033[0m'
 
-print_info() { echo -e "${BLUE}[INFO]${NC} $1"; }
-print_success() { echo -e "${GREEN}[SUCCESS]${NC} $1"; }
-print_error() { echo -e "${RED}[ERROR]${NC} $1"; exit 1; }
-print_warning() { echo -e "${YELLOW}[WARNING]${NC} $1"; }
+LOG_FORMAT="${LOG_FORMAT:-text}"
+
+# 输出一条 json 日志，字段与 upload-mp.js 的 json 日志一致（分隔线不输出）
+# 参数：级别、消息
+print_json() {
+    local msg="$2"
+    case "$msg" in
+        =*) return 0 ;;
+    esac
+    msg="${msg//\\/\\\\}"
+    msg="${msg//\"/\\\"}"
+    msg="${msg//$'\n'/\\n}"
+    msg="${msg//$'\r'/\\r}"
+    msg="${msg//$'\t'/\\t}"
+    printf '{"time":"%s","level":"%s","msg":"%s","component":"entrypoint"}\n' "$(date -u +%Y-%m-%dT%H:%M:%SZ)" "$1" "$msg"
+}
 
-# ==================== 清理函数 ====================
-PRIVATE_KEY_PATH=""
+if [ "$LOG_FORMAT" = "json" ]; then
+    print_info() { print_json info "$1"; }
+    print_success() { print_json info "$1"; }
+    print_error() { print_json error "$1"; exit 1; }
+    print_warning() { print_json warn "$1"; }
+else
+    print_info() { echo -e "${BLUE}[INFO]${NC} $1"; }
+    print_success() { echo -e "${GREEN}[SUCCESS]${NC} $1"; }
+    print_error() { echo -e "${RED}[ERROR]${NC} $1"; exit 1; }
+    print_warning() { echo -e "${YELLOW}[WARNING]${NC} $1"; }
+fi
 
-cleanup() {
-    if [ -n "$PRIVATE_KEY_PATH" ] && [ -f "$PRIVATE_KEY_PATH" ]; then
-        print_info "清理私钥文件..."
-        rm -f "$PRIVATE_KEY_PATH"
-        print_success "私钥文件已清理"
+# 普通输出：json 格式时跳过空行，其余内容转为 info 日志
+print_plain() {
+    if [ "$LOG_FORMAT" != "json" ]; then
+        echo "$1"
+    elif [ -n "$1" ]; then
+        print_json info "$1"
     fi
 }
 
-# 设置退出时清理（无论成功或失败）
-trap cleanup EXIT
-
 # ==================== 脚本开始 ====================
-echo "=================================================="
-echo "微信小程序 CI 工具镜像"
-echo "=================================================="
-echo ""
+print_plain "=================================================="
+print_plain "微信小程序 CI 工具镜像"
+print_plain "=================================================="
+print_plain ""
 
 # ==================== 1. 环境变量检查 ====================
 print_info "检查环境变量..."
 
-echo "========== 环境变量状态 =========="
-echo "MP_PRIVATE_KEY_URL: ${MP_PRIVATE_KEY_URL:+已设置}"
-echo "ACTION: ${ACTION:-upload}"
-echo "BUILD_VERSION: ${BUILD_VERSION:-从build-info.json读取}"
-echo "BUILD_DESC: ${BUILD_DESC:-从build-info.json读取}"
-echo "BUILD_MODE: ${BUILD_MODE:-production}"
-echo "BUILD_ENV: ${BUILD_ENV:-development}"
-echo "ROBOT: ${ROBOT:-1}"
-echo "BUILDER: ${BUILDER:-未指定}"
-echo "UPLOAD_OSS: ${UPLOAD_OSS:-true}"
-echo "API_COOKIE: ${API_COOKIE:+已设置}"
-echo "SKIP_INSTALL: ${SKIP_INSTALL:-false}"
-echo "SKIP_BUILD: ${SKIP_BUILD:-false}"
-echo "CI_SCRIPTS_PATH: ${CI_SCRIPTS_PATH}"
-echo "=================================="
-echo ""
-
-if [ -z "$MP_PRIVATE_KEY_URL" ]; then
-    print_error "环境变量 MP_PRIVATE_KEY_URL 未设置"
+print_plain "========== 环境变量状态 =========="
+print_plain "MP_KEY_SOURCE: ${MP_KEY_SOURCE:-自动选择}"
+print_plain "MP_PRIVATE_KEY_URL: ${MP_PRIVATE_KEY_URL:+已设置}"
+print_plain "MP_PRIVATE_KEY_BASE64: ${MP_PRIVATE_KEY_BASE64:+已设置}"
+print_plain "MP_PRIVATE_KEY_FILE: ${MP_PRIVATE_KEY_FILE:-/run/secrets/mp_private_key}"
+print_plain "VAULT_ADDR: ${VAULT_ADDR:-未设置}"
+print_plain "MP_PRIVATE_KEY_SHA256: ${MP_PRIVATE_KEY_SHA256:+已设置}"
+print_plain "MP_PRIVATE_KEY_IN_MEMORY: ${MP_PRIVATE_KEY_IN_MEMORY:-false}"
+print_plain "ACTION: ${ACTION:-upload}"
+print_plain "BUILD_VERSION: ${BUILD_VERSION:-从build-info.json读取}"
+print_plain "BUILD_DESC: ${BUILD_DESC:-从build-info.json读取}"
+print_plain "BUILD_MODE: ${BUILD_MODE:-未设置}"
+print_plain "BUILD_COMMAND: ${BUILD_COMMAND:-根据BUILD_MODE或build.commands选择}"
+print_plain "BUILD_ENV: ${BUILD_ENV:-development}"
+print_plain "ROBOT: ${ROBOT:-1}"
+print_plain "BUILDER: ${BUILDER:-未指定}"
+print_plain "UPLOAD_OSS: ${UPLOAD_OSS:-true}"
+print_plain "API_COOKIE: ${API_COOKIE:+已设置}"
+print_plain "IP_WHITELIST: ${IP_WHITELIST:-未设置}"
+print_plain "LOG_LEVEL: ${LOG_LEVEL:-info}"
+print_plain "LOG_FORMAT: ${LOG_FORMAT:-text}"
+print_plain "SKIP_INSTALL: ${SKIP_INSTALL:-false}"
+print_plain "SKIP_BUILD: ${SKIP_BUILD:-false}"
+print_plain "CI_SCRIPTS_PATH: ${CI_SCRIPTS_PATH}"
+print_plain "=================================="
+print_plain ""
+
+if [ -z "$MP_KEY_SOURCE" ] && [ -z "$MP_PRIVATE_KEY_URL" ] && [ -z "$MP_PRIVATE_KEY_BASE64" ] \
+    && [ -z "$MP_VAULT_PATH" ] && [ ! -f "${MP_PRIVATE_KEY_FILE:-/run/secrets/mp_private_key}" ]; then
+    print_error "未配置私钥来源：请设置 MP_PRIVATE_KEY_URL、MP_PRIVATE_KEY_BASE64、MP_VAULT_PATH，或挂载 Docker secret"
 fi
 
 # 设置默认值
 ACTION="${ACTION:-upload}"
-BUILD_MODE="${BUILD_MODE:-production}"
-BUILD_ENV="${BUILD_ENV:-development}"
 UPLOAD_OSS="${UPLOAD_OSS:-true}"
 SKIP_INSTALL="${SKIP_INSTALL:-false}"
 SKIP_BUILD="${SKIP_BUILD:-false}"
@@ -110,7 +151,7 @@ if [ ! -d "$WORK_DIR/src" ]; then
 fi
 
 print_success "项目目录验证通过"
-echo ""
+print_plain ""
 
 # ==================== 3. 安装依赖 ====================
 if [ "$SKIP_INSTALL" != "true" ]; then
@@ -128,7 +169,7 @@ if [ "$SKIP_INSTALL" != "true" ]; then
 else
     print_info "SKIP_INSTALL=true，跳过依赖安装"
 fi
-echo ""
+print_plain ""
 
 # ==================== 4. 读取构建信息 ====================
 print_info "读取构建信息..."
@@ -159,8 +200,10 @@ fi
 # 运行时环境变量可以覆盖（如果用户明确传入）
 # 注意：BUILD_VERSION 和 BUILD_DESC 可能已经在 Dockerfile ENV 中设置过
 # 只有当运行时通过 -e 明确传入非空值时才覆盖
+VERSION_OVERRIDDEN="false"
 if [ -n "$BUILD_VERSION" ] && [ "$BUILD_VERSION" != "$FILE_VERSION" ]; then
     print_info "运行时覆盖版本号: $BUILD_VERSION"
+    VERSION_OVERRIDDEN="true"
 else
     BUILD_VERSION="$FILE_VERSION"
 fi
@@ -176,94 +219,49 @@ if [ -z "$BUILD_DESC" ]; then
     BUILD_DESC="自动构建上传"
 fi
 
-echo ""
+print_plain ""
 print_info "最终使用版本号: ${BUILD_VERSION}"
 print_info "最终使用描述: ${BUILD_DESC}"
-echo ""
+print_plain ""
 
-# ==================== 5. 执行 Taro 构建 ====================
+# ==================== 5. 确定构建命令 ====================
+# 构建由 upload-mp.js 执行（超时控制、日志和耗时记录）
+# 只有显式设置 BUILD_COMMAND 或 BUILD_MODE 时才覆盖构建命令，否则由 upload-mp.js 使用 build.commands[env]，与容器外一致
 if [ "$SKIP_BUILD" != "true" ]; then
-    print_info "执行 Taro 构建..."
-    print_info "构建模式: ${BUILD_MODE}"
-
-    BUILD_START_TIME=$(date +%s)
-
-    # 根据 BUILD_MODE 执行不同的构建命令
-    if [ "$BUILD_MODE" = "pre" ] || [ "$BUILD_MODE" = "test" ]; then
-        print_info "执行预发布/测试构建: npm run build:pre"
-        npm run build:pre
+    if [ -z "$BUILD_COMMAND" ] && [ -n "$BUILD_MODE" ]; then
+        if [ "$BUILD_MODE" = "pre" ] || [ "$BUILD_MODE" = "test" ]; then
+            BUILD_COMMAND="npm run build:pre"
+        else
+            BUILD_COMMAND="npm run build"
+        fi
+    fi
+    if [ -n "$BUILD_COMMAND" ]; then
+        print_info "构建模式: ${BUILD_MODE:-未设置}"
+        print_info "构建命令: ${BUILD_COMMAND}"
     else
-        print_info "执行生产构建: npm run build"
-        npm run build
+        print_info "构建命令: 由 upload-mp.js 按 build.commands[env] 选择"
     fi
-
-    BUILD_END_TIME=$(date +%s)
-    BUILD_DURATION=$((BUILD_END_TIME - BUILD_START_TIME))
-
-    print_success "Taro 构建完成，耗时: ${BUILD_DURATION} 秒"
 else
     print_info "SKIP_BUILD=true，跳过构建步骤"
-    BUILD_DURATION=0
 fi
-echo ""
+print_plain ""
 
-# ==================== 6. 验证构建产物 ====================
-print_info "验证构建产物..."
+# ==================== 6. 解析 appid ====================
+print_info "解析 appid..."
 
-if [ ! -d "$WORK_DIR/dist" ]; then
-    print_error "构建失败：缺少 dist 目录"
-fi
-
-if [ -z "$(ls -A $WORK_DIR/dist)" ]; then
-    print_error "构建失败：dist 目录为空"
-fi
-
-# 复制构建信息到 dist
-cp build-info.json dist/ 2>/dev/null || true
-
-print_success "构建产物验证通过"
-echo ""
-
-# ==================== 7. 下载私钥 ====================
-print_info "下载私钥文件..."
-
-APPID=$(node -pe "JSON.parse(require('fs').readFileSync('project.config.json', 'utf8')).appid")
-PRIVATE_KEY_PATH="$WORK_DIR/private.${APPID}.key"
+# 解析 appid（MP_APPID、project.config.json、私钥地址中的文件名不一致时失败）
+APPID=$(node "${CI_SCRIPTS_PATH}/utils/appid.js" --project-path dist) || print_error "解析 appid 失败"
 
 print_info "AppID: ${APPID}"
-print_info "从 CDN 下载私钥: ${MP_PRIVATE_KEY_URL}"
-
-curl -fsSL -o "$PRIVATE_KEY_PATH" "$MP_PRIVATE_KEY_URL"
+print_info "私钥由 upload-mp.js 按 privateKey 配置读取（来源: ${MP_KEY_SOURCE:-自动选择}）"
+print_plain ""
 
-if [ $? -ne 0 ]; then
-    print_error "下载私钥文件失败"
-fi
-
-# 检查文件是否存在且不为空
-if [ ! -s "$PRIVATE_KEY_PATH" ]; then
-    print_error "私钥文件为空或下载失败"
-fi
-
-chmod 400 "$PRIVATE_KEY_PATH"
-print_success "私钥文件下载成功: $PRIVATE_KEY_PATH"
-echo ""
-
-# ==================== 8. 构建上传命令 ====================
+# ==================== 7. 构建上传命令 ====================
 print_info "准备执行 ${ACTION} 操作..."
 
-# 根据 BUILD_MODE 添加环境标识到描述
-if [ "$BUILD_MODE" = "pre" ] || [ "$BUILD_MODE" = "test" ]; then
-    ENV_TAG="[测试/预发布]"
-else
-    ENV_TAG="[生产环境]"
-fi
-
-# 构建完整描述：环境标识 + 描述 + 构建人(可选) + Git提交
-if [ -n "$BUILDER" ]; then
-    FULL_DESC="${ENV_TAG} ${BUILD_DESC} | ${BUILDER} (${GIT_COMMIT})"
-else
-    FULL_DESC="${ENV_TAG} ${BUILD_DESC} (${GIT_COMMIT})"
-fi
+# 上传描述由 upload-mp.js 按 version.descriptionTemplate 生成（环境标识、构建人、Git 信息等），
+# 这里只传入原始描述；BUILDER、BUILD_MODE 通过环境变量提供给模板
+export BUILDER BUILD_MODE
 
 # 使用 CI 脚本目录中的上传脚本
 UPLOAD_SCRIPT="${CI_SCRIPTS_PATH}/upload-mp.js"
@@ -274,11 +272,23 @@ fi
 
 # 构建上传命令
 UPLOAD_CMD="node ${UPLOAD_SCRIPT} --verbose"
-UPLOAD_CMD="$UPLOAD_CMD --env ${BUILD_ENV}"
+# 未指定 BUILD_ENV 时由 upload-mp.js 决定（默认 development，开启 robots.envFromRegistry 时为 ROBOT 登记的环境）
+if [ -n "$BUILD_ENV" ]; then
+    UPLOAD_CMD="$UPLOAD_CMD --env ${BUILD_ENV}"
+fi
 UPLOAD_CMD="$UPLOAD_CMD --action ${ACTION}"
-UPLOAD_CMD="$UPLOAD_CMD --version \"${BUILD_VERSION}\""
-UPLOAD_CMD="$UPLOAD_CMD --desc \"${FULL_DESC}\""
-UPLOAD_CMD="$UPLOAD_CMD --private-key \"${PRIVATE_KEY_PATH}\""
+# 未在运行时覆盖版本号时由 upload-mp.js 决定（构建信息或 version.autoIncrement 自动递增）
+if [ "$VERSION_OVERRIDDEN" = "true" ]; then
+    UPLOAD_CMD="$UPLOAD_CMD --version \"${BUILD_VERSION}\""
+fi
+UPLOAD_CMD="$UPLOAD_CMD --desc \"${BUILD_DESC}\""
+
+# 构建配置
+if [ "$SKIP_BUILD" = "true" ]; then
+    UPLOAD_CMD="$UPLOAD_CMD --skip-build"
+elif [ -n "$BUILD_COMMAND" ]; then
+    UPLOAD_CMD="$UPLOAD_CMD --build-command \"${BUILD_COMMAND}\""
+fi
 
 # 二维码配置（预览模式）
 if [ "$ACTION" = "preview" ]; then
@@ -307,25 +317,51 @@ if [ -n "$ROBOT" ]; then
     print_info "使用机器人: ${ROBOT}"
 fi
 
+# 执行结果输出（供 CI 读取版本、二维码地址等）
+if [ -n "$RESULT_FORMAT" ]; then
+    UPLOAD_CMD="$UPLOAD_CMD --output-format ${RESULT_FORMAT}"
+fi
+if [ -n "$RESULT_FILE" ]; then
+    UPLOAD_CMD="$UPLOAD_CMD --result-file \"${RESULT_FILE}\""
+fi
+if [ -n "$RESULT_FORMAT" ] || [ -n "$RESULT_FILE" ]; then
+    print_info "执行结果将保存到: ${RESULT_FILE:-默认路径} (${RESULT_FORMAT:-按扩展名推断})"
+fi
+
 # 设置日志文件
 mkdir -p /app/logs
 export LOG_FILE="/app/logs/miniprogram-ci-$(date +%Y%m%d-%H%M%S).log"
 print_info "日志文件: ${LOG_FILE}"
-echo ""
-
-# ==================== 9. 执行上传 ====================
-echo "=================================================="
-print_info "执行命令: $UPLOAD_CMD"
-echo "=================================================="
-echo ""
+print_plain ""
 
-eval $UPLOAD_CMD 2>&1 | tee -a "$LOG_FILE"
-
-UPLOAD_RESULT=${PIPESTATUS[0]}
+# ==================== 8. 执行构建和上传 ====================
+print_plain "=================================================="
+# 输出的命令中隐藏 Cookie
+if [ -n "$API_COOKIE" ]; then
+    print_info "执行命令: ${UPLOAD_CMD//"$API_COOKIE"/***}"
+else
+    print_info "执行命令: $UPLOAD_CMD"
+fi
+print_plain "=================================================="
+print_plain ""
+
+# 在后台执行并等待：前台执行时 bash 会推迟处理信号，docker stop 的 SIGTERM 到不了 upload-mp.js
+eval "exec $UPLOAD_CMD" > >(tee -a "$LOG_FILE") 2>&1 &
+UPLOAD_PID=$!
+trap 'kill -TERM "$UPLOAD_PID" 2>/dev/null' TERM INT
+
+UPLOAD_RESULT=0
+wait "$UPLOAD_PID" || UPLOAD_RESULT=$?
+# 收到信号时 wait 会提前返回，继续等待 upload-mp.js 清理私钥后退出
+while kill -0 "$UPLOAD_PID" 2>/dev/null; do
+    UPLOAD_RESULT=0
+    wait "$UPLOAD_PID" || UPLOAD_RESULT=$?
+done
+trap - TERM INT
 
-# ==================== 10. 处理结果 ====================
-echo ""
-echo "=================================================="
+# ==================== 9. 处理结果 ====================
+print_plain ""
+print_plain "=================================================="
 
 if [ $UPLOAD_RESULT -eq 0 ]; then
     print_success "${ACTION} 操作成功完成！"
@@ -341,20 +377,22 @@ if [ $UPLOAD_RESULT -eq 0 ]; then
     # 检查是否有 CDN URL
     if [ -f "preview-qrcode-url.txt" ]; then
         CDN_URL=$(cat preview-qrcode-url.txt)
-        echo ""
+        print_plain ""
         print_success "CDN 地址:"
-        echo "$CDN_URL"
-        echo ""
+        print_plain "$CDN_URL"
+        print_plain ""
         print_info "CDN 地址已保存到: preview-qrcode-url.txt"
     fi
 
-    echo ""
+    print_plain ""
     print_success "========== 操作摘要 =========="
-    print_info "构建模式: ${BUILD_MODE}"
-    print_info "部署环境: ${BUILD_ENV}"
-    print_info "构建耗时: ${BUILD_DURATION} 秒"
+    print_info "构建模式: ${BUILD_MODE:-未设置}"
+    print_info "部署环境: ${BUILD_ENV:-默认}"
+    if [ "$SKIP_BUILD" != "true" ]; then
+        print_info "构建命令: ${BUILD_COMMAND:-build.commands[env]}"
+    fi
     print_info "版本: ${BUILD_VERSION}"
-    print_info "描述: ${FULL_DESC}"
+    print_info "描述: ${BUILD_DESC}（按 version.descriptionTemplate 生成上传描述）"
     print_info "操作: ${ACTION}"
     if [ -n "$ROBOT" ]; then
         print_info "机器人: ${ROBOT}"
@@ -363,14 +401,14 @@ if [ $UPLOAD_RESULT -eq 0 ]; then
     fi
     print_success "=============================="
 
-    echo ""
+    print_plain ""
     print_success "所有步骤完成！"
 else
     print_error "${ACTION} 操作失败，退出码: ${UPLOAD_RESULT}"
 fi
 
-echo "=================================================="
+print_plain "=================================================="
 print_info "日志文件: ${LOG_FILE}"
-echo "=================================================="
+print_plain "=================================================="
 
 exit $UPLOAD_RESULT
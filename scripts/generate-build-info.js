@@ -4,22 +4,54 @@
  * - 接收版本号和描述参数
  * - 生成构建信息 JSON 文件
  * - 保存到指定目录（默认根目录）
+ * - 日志按 LOG_LEVEL / LOG_FORMAT 输出（json 格式时与 upload-mp.js 一样每行一个 JSON 对象）
  */
 
 const fs = require('fs');
 const path = require('path');
 const minimist = require('minimist');
+const { resolveAppId } = require('./utils/appid');
+const ConfigLoader = require('./utils/config-loader');
+const Logger = require('./utils/logger');
+
+// 与 upload-mp.js 相同，Docker 环境使用 /ci/config
+const CI_CONFIG_PATH = process.env.CI_CONFIG_PATH || path.join(__dirname, '../config');
+
+/**
+ * 按 LOG_LEVEL / LOG_FORMAT 创建日志实例（构建镜像时没有 ci.config.js 的 logging 配置）
+ * @returns {Logger}
+ */
+function createLogger() {
+  return new Logger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: process.env.LOG_FORMAT || 'text',
+    timestamps: false,
+    context: { component: 'build-info' }
+  });
+}
 
 class BuildInfoGenerator {
-  constructor(options = {}) {
+  /**
+   * @param {Object} options - 命令行参数
+   * @param {Logger} logger - 日志实例
+   */
+  constructor(options = {}, logger = createLogger()) {
+    this.logger = logger;
+
     // 从命令行参数或选项中获取
     this.version = options.version || process.env.BUILD_VERSION || this.getPackageVersion();
     this.env = options.env || process.env.NODE_ENV || 'development';
     this.outputDir = options.output || './';
     this.filename = options.filename || 'build-info.json';
 
+    // appid 解析参数，与 upload-mp.js 一致
+    this.projectPath = options['project-path'] || null;
+    this.privateKeyPath = options['private-key'] || null;
+    this.configFile = options.config || null;
+
     // Git 信息 - 优先使用传入的参数
-    this.gitBranch = options.branch || options['git-branch'] || process.env.GIT_BRANCH || process.env.CI_COMMIT_REF_NAME || '';
+    this.gitBranch = options.branch || options['git-branch'] || process.env.GIT_BRANCH || process.env.CI_COMMIT_REF_NAME ||
+      process.env.GITHUB_HEAD_REF || process.env.GITHUB_REF_NAME || '';
     this.gitCommit = options.commit || options['git-commit'] || process.env.GIT_COMMIT || process.env.CI_COMMIT_SHA || '';
     this.gitTag = process.env.GIT_TAG || process.env.CI_COMMIT_TAG || '';
 
@@ -47,7 +79,7 @@ class BuildInfoGenerator {
       const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
       return packageJson.version || '1.0.0';
     } catch (error) {
-      console.warn('无法读取 package.json，使用默认版本号 1.0.0');
+      this.logger.warn('无法读取 package.json，使用默认版本号 1.0.0');
       return '1.0.0';
     }
   }
@@ -69,7 +101,7 @@ class BuildInfoGenerator {
         return commitMessage;
       }
     } catch (error) {
-      console.warn('无法获取提交信息，使用默认描述');
+      this.logger.warn('无法获取提交信息，使用默认描述');
       return '';
     }
   }
@@ -84,7 +116,12 @@ class BuildInfoGenerator {
     try {
       // 获取当前分支
       if (!this.gitBranch) {
-        gitInfo.branch = execSync('git rev-parse --abbrev-ref HEAD', { encoding: 'utf8' }).trim();
+        // 分离头指针（detached HEAD）时返回 HEAD，无法标识分支，记为 unknown
+        const branch = execSync('git rev-parse --abbrev-ref HEAD', { encoding: 'utf8' }).trim();
+        gitInfo.branch = branch === 'HEAD' ? 'unknown' : branch;
+        if (branch === 'HEAD') {
+          this.logger.warn('当前为分离头指针（detached HEAD），无法确定分支，请通过 --git-branch 或 GIT_BRANCH 指定');
+        }
       } else {
         gitInfo.branch = this.gitBranch;
       }
@@ -107,7 +144,8 @@ class BuildInfoGenerator {
       // 获取标签
       if (!this.gitTag) {
         try {
-          gitInfo.tag = execSync('git describe --tags --abbrev=0', { encoding: 'utf8' }).trim();
+          // 没有 Tag 时 git 会输出 fatal 信息，不透传到日志
+          gitInfo.tag = execSync('git describe --tags --abbrev=0', { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
         } catch (e) {
           gitInfo.tag = '';
         }
@@ -124,7 +162,7 @@ class BuildInfoGenerator {
       }
 
     } catch (error) {
-      console.warn('获取 Git 信息失败，可能不在 Git 仓库中');
+      this.logger.warn('获取 Git 信息失败，可能不在 Git 仓库中');
       return {
         branch: this.gitBranch || 'unknown',
         commit: this.gitCommit || 'unknown',
@@ -189,13 +227,57 @@ class BuildInfoGenerator {
       // 项目信息
       project: {
         name: this.getProjectName(),
-        appId: "wxf2badc6a683ab3a9",
+        appId: this.resolveProjectAppId(),
       },
     };
 
     return buildInfo;
   }
 
+  /**
+   * appid 解析参数，与 upload-mp.js 相同：构建产物目录和配置文件中的 appid 取自 CI 配置（BUILD_ENV 对应的环境）
+   * @returns {Object}
+   */
+  getAppIdOptions() {
+    let config = {};
+    try {
+      const baseConfig = require(path.join(CI_CONFIG_PATH, 'ci.config'));
+      config = new ConfigLoader({
+        baseConfig,
+        baseConfigPath: path.join(CI_CONFIG_PATH, 'ci.config.js'),
+        cwd: process.cwd(),
+        configFile: this.configFile
+      }).load(process.env.BUILD_ENV || 'development').config;
+    } catch (error) {
+      this.logger.warn(`读取 CI 配置失败，appid 只从 MP_APPID、project.config.json 和私钥地址中解析: ${error.message}`);
+    }
+
+    return {
+      cwd: process.cwd(),
+      projectPath: this.projectPath || config.projectPath,
+      configAppId: config.appid,
+      privateKeyPath: this.privateKeyPath
+    };
+  }
+
+  /**
+   * 解析 appid
+   * 构建镜像时项目尚未构建、也没有运行时的 MP_APPID，未找到时记为 null（upload-mp.js 上传前会再次解析）；
+   * 各来源不一致时仍然报错
+   * @returns {string|null}
+   */
+  resolveProjectAppId() {
+    try {
+      return resolveAppId(this.getAppIdOptions()).appid;
+    } catch (error) {
+      if (!error.notFound) {
+        throw error;
+      }
+      this.logger.warn(`${error.message}，构建信息中的 appId 记为 null，上传时由 upload-mp.js 再次解析`);
+      return null;
+    }
+  }
+
   /**
    * 获取项目名称
    */
@@ -217,13 +299,13 @@ class BuildInfoGenerator {
     const outputPath = path.resolve(this.outputDir);
     if (!fs.existsSync(outputPath)) {
       fs.mkdirSync(outputPath, { recursive: true });
-      console.log(`✓ 创建输出目录: ${outputPath}`);
+      this.logger.info(`创建输出目录: ${outputPath}`);
     }
 
     // 写入 JSON 文件
     const filePath = path.join(outputPath, this.filename);
     fs.writeFileSync(filePath, JSON.stringify(buildInfo, null, 2), 'utf-8');
-    console.log(`✓ 构建信息已生成: ${filePath}`);
+    this.logger.success(`构建信息已生成: ${filePath}`);
 
     // 同时生成一个简化版本（用于运行时）
     const runtimeInfo = {
@@ -237,34 +319,46 @@ class BuildInfoGenerator {
 
     const runtimeFilePath = path.join(outputPath, 'build-info.runtime.json');
     fs.writeFileSync(runtimeFilePath, JSON.stringify(runtimeInfo, null, 2), 'utf-8');
-    console.log(`✓ 运行时信息已生成: ${runtimeFilePath}`);
+    this.logger.success(`运行时信息已生成: ${runtimeFilePath}`);
 
     return { buildInfo, filePath, runtimeFilePath };
   }
 
   /**
    * 显示构建信息
+   * json 格式输出为一条日志，构建信息作为字段
    */
   displayBuildInfo(buildInfo) {
-    console.log('\n' + '='.repeat(60));
-    console.log('构建信息');
-    console.log('='.repeat(60));
-    console.log(`版本号: ${buildInfo.version}`);
-    console.log(`描述: ${buildInfo.description || '(无描述)'}`);
-    console.log(`环境: ${buildInfo.environment}`);
-    console.log(`构建时间: ${buildInfo.buildTime}`);
-    console.log(`Git 分支: ${buildInfo.git.branch}`);
-    console.log(`Git 提交: ${buildInfo.git.commitShort}`);
-
-    if (buildInfo.git.isDirty) {
-      console.log('⚠️  警告: 工作区有未提交的更改');
+    if (this.logger.format === 'json') {
+      this.logger.info('构建信息', {
+        version: buildInfo.version,
+        description: buildInfo.description,
+        environment: buildInfo.environment,
+        buildTime: buildInfo.buildTime,
+        branch: buildInfo.git.branch,
+        commit: buildInfo.git.commitShort,
+        buildNumber: buildInfo.ci.buildNumber || null
+      });
+    } else {
+      this.logger.newline();
+      this.logger.divider();
+      this.logger.info('构建信息');
+      this.logger.divider();
+      this.logger.info(`版本号: ${buildInfo.version}`);
+      this.logger.info(`描述: ${buildInfo.description || '(无描述)'}`);
+      this.logger.info(`环境: ${buildInfo.environment}`);
+      this.logger.info(`构建时间: ${buildInfo.buildTime}`);
+      this.logger.info(`Git 分支: ${buildInfo.git.branch}`);
+      this.logger.info(`Git 提交: ${buildInfo.git.commitShort}`);
+      if (buildInfo.ci.buildNumber) {
+        this.logger.info(`构建号: ${buildInfo.ci.buildNumber}`);
+      }
+      this.logger.divider();
     }
 
-    if (buildInfo.ci.buildNumber) {
-      console.log(`构建号: ${buildInfo.ci.buildNumber}`);
+    if (buildInfo.git.isDirty) {
+      this.logger.warn('工作区有未提交的更改');
     }
-
-    console.log('='.repeat(60) + '\n');
   }
 
   /**
@@ -272,7 +366,7 @@ class BuildInfoGenerator {
    */
   execute() {
     try {
-      console.log('开始生成构建信息...\n');
+      this.logger.info('开始生成构建信息...');
 
       // 生成构建信息
       const buildInfo = this.generateBuildInfo();
@@ -283,32 +377,33 @@ class BuildInfoGenerator {
       // 显示构建信息
       this.displayBuildInfo(buildInfo);
 
-      console.log('✅ 构建信息生成成功！');
-      console.log(`   完整信息: ${filePath}`);
-      console.log(`   运行时信息: ${runtimeFilePath}`);
+      this.logger.success('构建信息生成成功！', { filePath, runtimeFilePath });
 
       return buildInfo;
 
     } catch (error) {
-      console.error('❌ 生成构建信息失败:', error.message);
+      this.logger.error(`生成构建信息失败: ${error.message}`);
       process.exit(1);
     }
   }
 
   /**
    * 验证构建信息文件是否存在
+   * @param {string} distDir
+   * @param {Logger} logger - 日志实例
+   * @returns {boolean}
    */
-  static verify(distDir = './') {
+  static verify(distDir = './', logger = createLogger()) {
     const buildInfoPath = path.join(distDir, 'build-info.json');
     const runtimeInfoPath = path.join(distDir, 'build-info.runtime.json');
 
     if (!fs.existsSync(buildInfoPath)) {
-      console.error(`❌ 构建信息文件不存在: ${buildInfoPath}`);
+      logger.error(`构建信息文件不存在: ${buildInfoPath}`);
       return false;
     }
 
     if (!fs.existsSync(runtimeInfoPath)) {
-      console.error(`❌ 运行时信息文件不存在: ${runtimeInfoPath}`);
+      logger.error(`运行时信息文件不存在: ${runtimeInfoPath}`);
       return false;
     }
 
@@ -316,13 +411,14 @@ class BuildInfoGenerator {
       const buildInfo = JSON.parse(fs.readFileSync(buildInfoPath, 'utf-8'));
       JSON.parse(fs.readFileSync(runtimeInfoPath, 'utf-8')); // 验证文件格式
 
-      console.log('✅ 构建信息验证成功');
-      console.log(`   版本: ${buildInfo.version}`);
-      console.log(`   构建时间: ${buildInfo.buildTime}`);
+      logger.success(`构建信息验证成功: 版本 ${buildInfo.version}，构建时间 ${buildInfo.buildTime}`, {
+        version: buildInfo.version,
+        buildTime: buildInfo.buildTime
+      });
 
       return true;
     } catch (error) {
-      console.error('❌ 构建信息文件格式错误:', error.message);
+      logger.error(`构建信息文件格式错误: ${error.message}`);
       return false;
     }
   }
@@ -345,6 +441,9 @@ if (require.main === module) {
   --env           环境类型 [默认: development]
   --output        输出目录 [默认: ./]
   --filename      文件名 [默认: build-info.json]
+  --project-path  构建产物目录，用于读取其中 project.config.json 的 appid [默认: ci.config.js 中的 projectPath]
+  --private-key   私钥文件路径，用于从文件名中解析 appid
+  --config        项目配置文件（miniprogram-ci.config.*）[默认: 自动查找]
   --verify        验证构建信息文件是否存在
   --help, -h      显示帮助信息
 
@@ -368,6 +467,8 @@ if (require.main === module) {
   node scripts/generate-build-info.js --verify
 
 环境变量:
+  LOG_LEVEL          日志级别（debug/info/warn/error）[默认: info]
+  LOG_FORMAT         日志格式（text/json）[默认: text]
   BUILD_VERSION       版本号
   NODE_ENV           环境类型
   GIT_BRANCH         Git 分支
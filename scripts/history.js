@@ -0,0 +1,194 @@
+/**
+ * 上传/预览历史查询脚本
+ * 功能：
+ * - 列出、筛选历史记录（环境、机器人、分支、版本、日期）
+ * - 查看单条记录详情
+ * - 导出为 CSV / JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+const minimist = require('minimist');
+const Logger = require('./utils/logger');
+const ConfigLoader = require('./utils/config-loader');
+const { createHistoryStore, toCsv } = require('./utils/history-store');
+
+// 支持从环境变量指定配置路径（Docker 环境使用 /ci/config）
+const CI_CONFIG_PATH = process.env.CI_CONFIG_PATH || path.join(__dirname, '../config');
+const ciConfig = require(path.join(CI_CONFIG_PATH, 'ci.config'));
+
+const COMMANDS = ['list', 'show', 'export'];
+
+const TYPE_LABELS = {
+  upload: '上传',
+  preview: '预览',
+  release: '释放机器人'
+};
+
+class HistoryCommand {
+  constructor(options = {}) {
+    this.options = options;
+    this.logger = new Logger({ timestamps: false });
+
+    // history 为全局配置，与环境无关
+    const { config } = new ConfigLoader({
+      baseConfig: ciConfig,
+      baseConfigPath: path.join(CI_CONFIG_PATH, 'ci.config.js'),
+      cwd: process.cwd(),
+      configFile: options.config
+    }).load('development');
+
+    // --file 直接指定 JSONL 文件，优先于配置
+    const historyConfig = options.file
+      ? { ...config.history, store: 'jsonl', path: options.file }
+      : config.history;
+    this.store = createHistoryStore(historyConfig, { cwd: process.cwd() });
+  }
+
+  /**
+   * 从命令行参数提取筛选条件
+   * @returns {Object}
+   */
+  getFilter() {
+    const { type, env, robot, branch, version, date, since, until } = this.options;
+    return { type, env, robot, branch, version: version === undefined ? undefined : String(version), date, since, until };
+  }
+
+  /**
+   * 列出记录（最新的在前）
+   */
+  list() {
+    const limit = this.options.limit === undefined ? 20 : Number(this.options.limit);
+    const records = this.store.query(this.getFilter()).reverse();
+    const shown = limit > 0 ? records.slice(0, limit) : records;
+
+    this.logger.info(`历史存储: ${this.store.describe()}`);
+    if (shown.length === 0) {
+      this.logger.warn('没有符合条件的记录');
+      return;
+    }
+
+    this.logger.table(shown.map(record => [
+      record.id,
+      TYPE_LABELS[record.type] || record.type,
+      new Date(record.time).toLocaleString('zh-CN', { hour12: false }),
+      record.env || '-',
+      record.robot === undefined ? '-' : record.robot,
+      record.version || '-',
+      record.branch || '-',
+      String(record.commit || '-').substring(0, 7),
+      record.desc || ''
+    ]), ['ID', '类型', '时间', '环境', '机器人', '版本', '分支', '提交', '描述']);
+
+    this.logger.info(`共 ${records.length} 条记录${shown.length < records.length ? `，显示最近 ${shown.length} 条（--limit 0 显示全部）` : ''}`);
+  }
+
+  /**
+   * 查看单条记录
+   * @param {string} id
+   */
+  show(id) {
+    if (!id) {
+      throw new Error('请指定记录 id：node history.js show <id>');
+    }
+    const record = this.store.get(String(id));
+    if (!record) {
+      throw new Error(`未找到记录: ${id}`);
+    }
+    console.log(JSON.stringify(record, null, 2));
+  }
+
+  /**
+   * 导出记录
+   */
+  export() {
+    const format = this.options.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+      throw new Error(`不支持的导出格式: ${format}（可选: csv/json）`);
+    }
+
+    const records = this.store.query(this.getFilter());
+    const content = format === 'csv' ? toCsv(records) : JSON.stringify(records, null, 2) + '\n';
+
+    if (this.options.output) {
+      const outputPath = path.resolve(this.options.output);
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      fs.writeFileSync(outputPath, content, 'utf-8');
+      this.logger.success(`已导出 ${records.length} 条记录到: ${outputPath}`);
+    } else {
+      process.stdout.write(content);
+    }
+  }
+
+  /**
+   * 执行命令
+   * @param {string} command
+   * @param {string[]} args
+   */
+  run(command, args) {
+    switch (command) {
+      case 'show':
+        return this.show(args[0]);
+      case 'export':
+        return this.export();
+      case 'list':
+      default:
+        return this.list();
+    }
+  }
+}
+
+// 命令行入口
+if (require.main === module) {
+  const argv = minimist(process.argv.slice(2), { string: ['version', 'branch', 'date', 'since', 'until'] });
+  const [command = 'list', ...args] = argv._.map(String);
+
+  if (argv.help || argv.h || !COMMANDS.includes(command)) {
+    console.log(`
+使用方法:
+  node scripts/history.js [list|show|export] [options]
+
+命令:
+  list               列出记录（默认，最新的在前）
+  show <id>          查看单条记录（支持 id 前缀）
+  export             导出记录
+
+筛选选项（list / export）:
+  --type             记录类型 (upload/preview/release)
+  --env              环境名称
+  --robot            机器人编号
+  --branch           Git 分支
+  --version          版本号、版本前缀（1.2）或 SemVer 范围（">=1.2.0 <2.0.0"）
+  --date             指定日期（如 2024-05-14）
+  --since / --until  时间范围（如 2024-05-01、2024-05-14T18:00）
+
+其他选项:
+  --limit            list 显示条数 [默认: 20，0 表示全部]
+  --format           export 格式 (csv/json) [默认: csv]
+  --output           export 输出文件 [默认: 标准输出]
+  --file             直接指定 JSONL 历史文件 [默认: ci.config.js 中的 history.path]
+  --config           项目配置文件路径
+  --help, -h         显示帮助信息
+
+示例:
+  # 3 号机器人在 5 月 14 日的上传记录
+  node scripts/history.js list --type upload --robot 3 --date 2024-05-14
+
+  # 导出 production 环境 2.x 版本的上传记录
+  node scripts/history.js export --env production --version "^2.0.0" --format csv --output history.csv
+
+  # 在镜像中查询（需挂载历史目录）
+  docker run --rm -v /data/mp-history:/app/history --entrypoint node <image> /ci/scripts/history.js list
+    `);
+    process.exit(COMMANDS.includes(command) ? 0 : 1);
+  }
+
+  try {
+    new HistoryCommand(argv).run(command, args);
+  } catch (error) {
+    console.error(`[ERROR] ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = HistoryCommand;
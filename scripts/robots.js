@@ -0,0 +1,202 @@
+/**
+ * CI 机器人查询脚本
+ * 功能：
+ * - 列出 robots.registry 中登记的机器人及当前租约
+ * - 强制释放遗留的租约（按机器人或分支）
+ * - 回收远端已删除分支持有的租约
+ */
+
+const path = require('path');
+const minimist = require('minimist');
+const Logger = require('./utils/logger');
+const ConfigLoader = require('./utils/config-loader');
+const { RobotRegistry, RobotLock, createRobotLock, listRemoteBranches } = require('./utils/robots');
+const { createHistoryStore } = require('./utils/history-store');
+
+// 支持从环境变量指定配置路径（Docker 环境使用 /ci/config）
+const CI_CONFIG_PATH = process.env.CI_CONFIG_PATH || path.join(__dirname, '../config');
+const ciConfig = require(path.join(CI_CONFIG_PATH, 'ci.config'));
+
+const COMMANDS = ['list', 'release', 'prune'];
+
+class RobotsCommand {
+  constructor(options = {}) {
+    this.options = options;
+    this.logger = new Logger({ timestamps: false });
+
+    // robots 为全局配置，与环境无关
+    const { config } = new ConfigLoader({
+      baseConfig: ciConfig,
+      baseConfigPath: path.join(CI_CONFIG_PATH, 'ci.config.js'),
+      cwd: process.cwd(),
+      configFile: options.config
+    }).load('development');
+
+    this.registry = new RobotRegistry(config.robots);
+    this.autoConfig = (config.robots || {}).auto || {};
+    this.lock = createRobotLock((config.robots || {}).lock, { cwd: process.cwd() });
+    this.historyStore = createHistoryStore(config.history, { cwd: process.cwd() });
+  }
+
+  /**
+   * 列出登记的机器人及租约（未登记但持有租约的机器人也会列出）
+   */
+  async list() {
+    const leases = this.lock ? await this.lock.list() : [];
+    const ids = new Set([
+      ...this.registry.list().map(robot => robot.id),
+      ...leases.map(lease => lease.robot)
+    ]);
+
+    const rows = Array.from(ids).sort((a, b) => a - b).map(id => {
+      const robot = this.registry.find(id) || {};
+      const lease = leases.find(item => item.robot === id);
+      return [
+        id,
+        robot.name || '-',
+        robot.owner || '-',
+        robot.purpose || '-',
+        robot.env || '-',
+        lease ? (lease.state === 'leased' ? '租约' : '上传中') : '空闲',
+        lease ? RobotLock.describeHolder(lease) : '',
+        lease ? new Date(lease.expiresAt).toLocaleString('zh-CN', { hour12: false }) : ''
+      ];
+    });
+
+    this.logger.info(`自动分配（--robot auto）机器人池: ${this.autoConfig.pool || '-'}，策略: ${this.autoConfig.strategy || 'lru'}`);
+    if (this.lock) {
+      this.logger.info(`租约存储: ${this.lock.describe()}`);
+    } else {
+      this.logger.info('robots.lock 未开启');
+    }
+    if (rows.length === 0) {
+      this.logger.warn('robots.registry 中没有登记机器人');
+      return;
+    }
+    this.logger.table(rows, ['编号', '名称', '负责人', '用途', '默认环境', '状态', '持有人', '到期时间']);
+  }
+
+  /**
+   * 强制释放机器人的租约
+   * @param {string} value - 机器人编号或名称
+   */
+  async release(value) {
+    if (this.options.branch) {
+      return this.releaseBranch(String(this.options.branch));
+    }
+    if (!this.lock) {
+      throw new Error('robots.lock 未开启');
+    }
+    if (!value) {
+      throw new Error('请指定机器人：node robots.js release <编号|名称> 或 --branch <分支>');
+    }
+
+    const robot = this.registry.resolve(value);
+    const lease = await this.lock.status(robot.id);
+    await this.lock.forceRelease(robot.id);
+    this.logger.success(lease
+      ? `已释放机器人 ${RobotRegistry.describe(robot)}（原持有人: ${RobotLock.describeHolder(lease)}）`
+      : `机器人 ${RobotRegistry.describe(robot)} 当前没有租约`);
+  }
+
+  /**
+   * 释放分支占用的机器人：释放租约，并在历史中记录，--robot auto 不再为该分支保留机器人
+   * @param {string} branch
+   */
+  async releaseBranch(branch) {
+    if (this.lock) {
+      await this.releaseLeases(lease => lease.holder === branch, `分支 ${branch} `);
+    }
+    this.historyStore.append('release', { branch });
+    this.logger.success(`已记录分支 ${branch} 的释放，其上传过的机器人可被自动分配给其他分支`);
+  }
+
+  /**
+   * 回收远端已删除分支持有的租约
+   */
+  async prune() {
+    if (!this.lock) {
+      throw new Error('robots.lock 未开启');
+    }
+    const openBranches = listRemoteBranches(process.cwd(), this.autoConfig.remote);
+    if (!openBranches) {
+      throw new Error('无法读取 Git 远端分支，请在仓库目录中执行或使用 release --branch');
+    }
+    return this.releaseLeases(lease => lease.branch && !openBranches.includes(lease.branch), '远端已删除的分支');
+  }
+
+  /**
+   * 释放符合条件的租约
+   * @param {Function} predicate
+   * @param {string} label - 日志说明
+   */
+  async releaseLeases(predicate, label) {
+    const leases = (await this.lock.list()).filter(predicate);
+    for (const lease of leases) {
+      await this.lock.forceRelease(lease.robot);
+      this.logger.success(`已释放机器人 ${lease.robot}（持有人: ${RobotLock.describeHolder(lease)}）`);
+    }
+    if (leases.length === 0) {
+      this.logger.info(`${label}没有持有租约`);
+    }
+  }
+
+  /**
+   * 执行命令
+   * @param {string} command
+   * @param {string[]} args
+   */
+  async run(command, args) {
+    switch (command) {
+      case 'release':
+        return this.release(args[0]);
+      case 'prune':
+        return this.prune();
+      case 'list':
+      default:
+        return this.list();
+    }
+  }
+}
+
+// 命令行入口
+if (require.main === module) {
+  const argv = minimist(process.argv.slice(2));
+  const [command = 'list', ...args] = argv._.map(String);
+
+  if (argv.help || argv.h || !COMMANDS.includes(command)) {
+    console.log(`
+使用方法:
+  node scripts/robots.js [list|release|prune] [options]
+
+命令:
+  list               列出登记的机器人及当前租约（默认）
+  release <robot>    强制释放机器人的租约（编号或名称）
+  release --branch   释放指定分支占用的机器人（租约及 --robot auto 的分配）
+  prune              释放 Git 远端已删除的分支持有的租约（需在仓库目录中执行）
+
+选项:
+  --branch           分支名称（release）
+  --config           项目配置文件路径
+  --help, -h         显示帮助信息
+
+示例:
+  # 查看哪些机器人被占用
+  node scripts/robots.js list
+
+  # 分支已合并，释放 feature-a 机器人
+  node scripts/robots.js release feature-a
+
+  # 合并请求关闭后释放该分支自动分配的机器人
+  node scripts/robots.js release --branch feature/login
+    `);
+    process.exit(COMMANDS.includes(command) ? 0 : 1);
+  }
+
+  new RobotsCommand(argv).run(command, args).catch(error => {
+    console.error(`[ERROR] ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = RobotsCommand;
@@ -10,52 +10,236 @@
 const ci = require('miniprogram-ci');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
 const minimist = require('minimist');
 const KeyManager = require('./generate-key');
 const VersionManager = require('./utils/version');
 const Logger = require('./utils/logger');
 const { OSSUploader } = require('./utils/oss-uploader');
+const Notifier = require('./utils/notifier');
+const { withRetry, getWechatErrorCode } = require('./utils/retry');
+const ProjectBuilder = require('./utils/builder');
+const ConfigLoader = require('./utils/config-loader');
+const { resolveAppId } = require('./utils/appid');
+const PackageScanner = require('./utils/package-scanner');
+const SizeBudget = require('./utils/size-budget');
+const { formatSize } = SizeBudget;
+const SizeReport = require('./utils/size-report');
+const ResultWriter = require('./utils/result-writer');
+const { createHistoryStore } = require('./utils/history-store');
+const { RobotRegistry, RobotLock, RobotAllocator, createRobotLock, listRemoteBranches, isKnownBranch } = require('./utils/robots');
+const { addSecret, checkEgressIp, getEgressIp, isIpWhitelistError } = require('./utils/security');
 
 // 支持从环境变量指定配置路径（Docker 环境使用 /ci/config）
 const CI_CONFIG_PATH = process.env.CI_CONFIG_PATH || path.join(__dirname, '../config');
 const ciConfig = require(path.join(CI_CONFIG_PATH, 'ci.config'));
 
+/**
+ * 创建配置加载器（默认配置 < 项目配置 < 环境变量 < 命令行参数）
+ * @param {Object} options - 命令行参数
+ * @returns {ConfigLoader}
+ */
+function createConfigLoader(options) {
+  return new ConfigLoader({
+    baseConfig: ciConfig,
+    baseConfigPath: path.join(CI_CONFIG_PATH, 'ci.config.js'),
+    cwd: process.cwd(),
+    configFile: options.config
+  });
+}
+
+/**
+ * 未指定 --env 且开启 robots.envFromRegistry 时，取 --robot / ROBOT 对应机器人在 robots.registry 中登记的环境
+ * 默认不开启，避免已有流水线（如 ROBOT=3 未设置 BUILD_ENV）因登记表而切换到正式环境
+ * @param {Object} options - 命令行参数
+ * @returns {string|null}
+ */
+function getRobotDefaultEnv(options) {
+  const robot = options.robot !== undefined ? options.robot : process.env.ROBOT;
+  if (robot === undefined || robot === '' || robot === true) {
+    return null;
+  }
+  const { config } = createConfigLoader(options).load('development', options);
+  const robots = config.robots || {};
+  if (robots.envFromRegistry !== true) {
+    return null;
+  }
+  const entry = new RobotRegistry(robots).find(robot);
+  return entry ? entry.env : null;
+}
+
 class MiniProgramUploader {
   constructor(options) {
-    this.env = options.env || 'development';
+    this.env = options.env || getRobotDefaultEnv(options) || 'development';
     this.action = options.action || 'upload'; // upload 或 preview
     this.version = options.version;
+    this.allowDowngrade = options['allow-downgrade'] === true || options['allow-downgrade'] === 'true';
+    this.resolvedVersion = null; // 本次实际使用的版本号（resolveVersion() 解析后缓存）
     this.desc = options.desc;
+    this.descTemplate = options['desc-template']; // 覆盖 version.descriptionTemplate
     this.qrcodeOutput = options.qrcode;
     this.uploadToOSS = options['upload-oss'] !== false; // 默认上传到 OSS
     this.verbose = options.verbose || false;
     this.silent = options.silent || false;
     this.privateKeyPath = options['private-key']; // 支持传入私钥文件路径
+    this.notify = options.notify !== false && options.notify !== 'false'; // 默认发送通知
+    this.skipBuild = options['skip-build'] === true || options['skip-build'] === 'true';
+    this.buildCommand = options['build-command']; // 覆盖 build.commands 中的构建命令
+    this.buildDuration = null; // 构建耗时（毫秒），未构建时为 null
+    this.dryRunMode = options['dry-run'] === true || options['dry-run'] === 'true';
+    this.planFile = options['plan-file'] || './dry-run-plan.json';
+    this.sizeBaseline = options['size-baseline']; // 包体积对比基准版本
+    this.sizeReportPath = options['size-report'] || './size-report'; // 生成 .json 和 .md
+    // 机器可读的执行结果（json/dotenv/junit），未指定时不输出
+    this.resultWriter = options['output-format'] || options['result-file']
+      ? new ResultWriter({ format: options['output-format'], file: options['result-file'] })
+      : null;
+
+    // 获取配置（项目配置、环境变量、命令行参数依次覆盖默认配置）
+    const loaded = createConfigLoader(options).load(this.env, options);
+    this.config = loaded.config;
+    this.envChains = loaded.envChains;
+    this.projectConfigPath = loaded.projectConfigPath;
+    this.configAppId = this.config.appid; // 配置文件中显式指定的 appid
+    this.resolveAppId();
+
+    // 解析机器人（编号或 robots.registry 中的名称），之后 config.robot 统一为编号
+    // auto 在构建后按分支分配（见 allocateRobot()）
+    this.robotRegistry = new RobotRegistry(this.config.robots);
+    this.autoRobot = String(this.config.robot) === 'auto';
+    this.robot = this.autoRobot ? null : this.robotRegistry.resolve(this.config.robot);
+    if (this.robot) {
+      this.config.robot = this.robot.id;
+    }
 
-    // 获取配置
-    this.config = ciConfig.getConfig(this.env);
+    // 校验配置（缺失字段、未知字段、类型错误）
+    ciConfig.validate(this.config);
 
-    // 如果命令行指定了机器人编号，覆盖配置（命令行优先级最高）
-    if (options.robot) {
-      this.config.robot = parseInt(options.robot);
-    }
+    // 命令行传入的 Cookie 不在环境变量中，需单独登记脱敏
+    addSecret(options.cookie);
+
+    // 本次执行的标识，写入每条 json 日志和机器人租约，便于在日志平台中关联
+    this.runId = crypto.randomBytes(8).toString('hex');
 
-    // 初始化工具
-    this.keyManager = new KeyManager(this.config.appid);
-    this.versionManager = new VersionManager();
+    // 初始化工具（日志实例注入各模块，统一级别、格式和上下文）
+    const logging = this.config.logging;
     this.logger = new Logger({
+      level: logging.level,
       verbose: this.verbose,
       silent: this.silent,
-      timestamps: true,
-      logFile: this.config.logging.file ? this.config.logging.filePath : null
+      format: logging.format,
+      colors: logging.colors,
+      timestamps: logging.timestamps,
+      logFile: logging.file ? logging.filePath : null,
+      context: { runId: this.runId, env: this.env, robot: this.robot ? this.robot.id : null, stage: 'init' }
     });
+    const security = this.config.security || {};
+    this.keyManager = new KeyManager(this.config.appid, this.config.privateKey, { ...security, logger: this.logger });
+    this.versionManager = new VersionManager({ config: this.config.version, logger: this.logger });
     this.ossUploader = new OSSUploader({
       ...this.config.oss,
-      cookie: options.cookie || process.env.API_COOKIE
-    });
+      cookie: options.cookie || process.env.API_COOKIE,
+      forceHttps: security.forceHttps,
+      retry: this.config.errorHandling
+    }, { logger: this.logger });
+    this.notifier = new Notifier(this.config.notification, { logger: this.logger });
+    this.sizeBudget = new SizeBudget(this.config.sizeBudget);
+    this.historyStore = createHistoryStore(this.config.history, { cwd: process.cwd() });
+    this.robotLock = createRobotLock((this.config.robots || {}).lock, { cwd: process.cwd() });
+    this.robotLease = null; // 本次上传持有的机器人租约
+    this.uploaded = false;
+    // 机器人登记的环境与本次使用的环境不一致时提示（如 release 机器人用于 development 上传）
+    if (this.robot && this.robot.env && this.robot.env !== this.env) {
+      this.logger.warn(`机器人 ${RobotRegistry.describe(this.robot)} 登记的环境为 ${this.robot.env}，本次使用 ${this.env} 环境` +
+        (options.env ? '' : '（未指定 --env / BUILD_ENV，默认 development；开启 robots.envFromRegistry 可改用登记的环境）'));
+    }
+    const imported = this.historyStore.importLegacy();
+    if (imported > 0) {
+      this.logger.info(`已将 ${imported} 条旧版历史记录导入 ${this.historyStore.describe()}`);
+    }
 
     // 项目实例
     this.project = null;
+    // 构建产物扫描结果（按需扫描一次）
+    this.scanResult = null;
+  }
+
+  /**
+   * 解析 appid 并校验各来源一致
+   * 构建后会再次调用，以检查构建产物中的 project.config.json
+   * @returns {{appid: string, sources: {source: string, appid: string}[]}}
+   */
+  resolveAppId() {
+    const result = resolveAppId({
+      cwd: process.cwd(),
+      projectPath: this.config.projectPath,
+      configAppId: this.configAppId,
+      privateKeyPath: this.privateKeyPath
+    });
+
+    this.config.appid = result.appid;
+    return result;
+  }
+
+  /**
+   * 执行项目构建
+   * 构建命令取自 --build-command 或 build.commands[env]，超时时间取自 build.timeout
+   */
+  async build() {
+    if (this.skipBuild || !this.config.build.autoBuild) {
+      this.logger.info(this.skipBuild ? '已指定 --skip-build，跳过构建步骤' : 'build.autoBuild 未开启，跳过构建步骤');
+      this.verifyBuildOutput();
+      return;
+    }
+
+    // 自定义环境未配置构建命令时，沿 extend 链使用父环境的命令
+    const commands = this.config.build.commands || {};
+    const inherited = this.config.envChain.find(name => commands[name]);
+    const command = this.buildCommand || (inherited && commands[inherited]);
+    if (!command) {
+      throw new Error(`未配置 ${this.env} 环境的构建命令（build.commands.${this.env}）`);
+    }
+
+    this.logger.info(`开始构建: ${command}`);
+
+    const builder = new ProjectBuilder({
+      cwd: process.cwd(),
+      timeout: this.config.build.timeout,
+      logger: this.logger
+    });
+    const { duration } = await builder.run(command);
+
+    this.buildDuration = duration;
+    this.logger.success(`构建完成，耗时: ${(duration / 1000).toFixed(1)}秒`, { duration });
+
+    this.verifyBuildOutput();
+  }
+
+  /**
+   * 验证构建产物，并将 build-info.json 复制到产物目录
+   */
+  verifyBuildOutput() {
+    const projectPath = path.resolve(this.config.projectPath);
+
+    if (!fs.existsSync(projectPath)) {
+      throw new Error(`构建产物目录不存在: ${projectPath}`);
+    }
+    if (fs.readdirSync(projectPath).length === 0) {
+      throw new Error(`构建产物目录为空: ${projectPath}`);
+    }
+
+    const buildInfoPath = path.join(process.cwd(), 'build-info.json');
+    if (fs.existsSync(buildInfoPath)) {
+      fs.copyFileSync(buildInfoPath, path.join(projectPath, 'build-info.json'));
+      this.logger.debug('build-info.json 已复制到构建产物目录');
+    }
+
+    // 构建产物中的 project.config.json 可能与源码中的不同，重新校验 appid
+    const { appid, sources } = this.resolveAppId();
+    this.logger.debug(`appid: ${appid}（来源: ${sources.map(item => item.source).join(', ')}）`);
+
+    this.logger.success('构建产物验证通过');
   }
 
   /**
@@ -75,6 +259,136 @@ class MiniProgramUploader {
     return null;
   }
 
+  /**
+   * 获取当前环境的版本配置项（如 preRelease、range）
+   * 配置项可以是字符串，或按环境名配置（未配置时沿 extend 链向上查找）
+   * @param {string} key - version 配置中的字段名
+   * @returns {string|null}
+   */
+  getVersionSetting(key) {
+    const value = this.config.version[key];
+    if (!value || typeof value === 'string') {
+      return value || null;
+    }
+    const inherited = this.config.envChain.find(name => value[name]);
+    return inherited ? value[inherited] : null;
+  }
+
+  /**
+   * 解析本次使用的版本号（结果缓存）
+   * 优先级：--version / 构建信息 > Git Tag > version.autoIncrement > package.json
+   * @returns {string}
+   */
+  resolveVersion() {
+    if (!this.resolvedVersion) {
+      const buildInfo = this.readBuildInfo() || {};
+      const commit = (buildInfo.git && buildInfo.git.commitShort) ||
+        (process.env.GIT_COMMIT || process.env.CI_COMMIT_SHA || '').substring(0, 7);
+
+      const { version, source } = this.versionManager.resolveVersion(this.version, {
+        env: this.env,
+        history: this.loadUploadHistory(),
+        preRelease: this.getVersionSetting('preRelease'),
+        commit
+      });
+      this.resolvedVersion = version;
+      this.logger.info(`版本号来源: ${source}`);
+    }
+    return this.resolvedVersion;
+  }
+
+  /**
+   * 检查上传版本号
+   * - 满足 version.range 指定的范围
+   * - 不低于上次正式版，包括继承 production 的环境（--allow-downgrade 或 version.allowDowngrade 可跳过）
+   * @param {string} version
+   */
+  checkVersion(version) {
+    if (!this.versionManager.parseVersion(version)) {
+      this.logger.warn(`版本号 ${version} 不符合 SemVer 规范，跳过版本范围和回退检查`);
+      return;
+    }
+
+    const range = this.getVersionSetting('range');
+    if (range && !this.versionManager.satisfies(version, range)) {
+      const error = new Error(`版本号 ${version} 不满足 ${this.env} 环境的版本范围 ${range}（version.range）`);
+      error.retryable = false;
+      throw error;
+    }
+
+    if (!this.allowDowngrade && !this.config.version.allowDowngrade) {
+      this.versionManager.assertNotBelowProduction(version, this.loadUploadHistory(), this.envChains);
+    }
+  }
+
+  /**
+   * 按 version.descriptionTemplate 生成上传描述
+   * @param {string} version - 版本号
+   * @returns {string}
+   */
+  generateDescription(version) {
+    const versionConfig = this.config.version || {};
+    return this.versionManager.generateDescription(this.env, this.desc, {
+      template: this.descTemplate || versionConfig.descriptionTemplate,
+      maxLength: versionConfig.descriptionMaxLength,
+      envLabel: this.config.label,
+      version,
+      robot: this.config.robot,
+      buildInfo: this.readBuildInfo()
+    });
+  }
+
+  /**
+   * 读取并校验私钥（在构建前执行，私钥无效时尽早失败）
+   */
+  async prepareKey() {
+    this.logger.info('正在准备私钥...');
+
+    // 将提供的私钥路径传递给 generateFromEnv，让它处理验证和生成逻辑；
+    // privateKey.inMemory 时返回 null，私钥内容通过 keyManager.getKey() 传给 ci.Project
+    this.privateKeyFile = await this.keyManager.generateFromEnv(this.privateKeyPath);
+  }
+
+  /**
+   * 出口 IP 预检：与 security.ipWhitelist 比对，不在白名单中时终止
+   * 回显服务不可用时只输出警告，不阻断上传
+   */
+  async checkEgressIp() {
+    let result;
+    try {
+      result = await checkEgressIp(this.config.security);
+    } catch (error) {
+      // 只容忍回显服务不可用；白名单格式错误、出口 IP 不在白名单中均终止
+      if (!error.echoUnavailable) {
+        throw error;
+      }
+      this.logger.warn(`出口 IP 检查失败，已跳过: ${error.message}`);
+      return;
+    }
+
+    if (result) {
+      this.egressIp = result.ip;
+      this.logger.success(`出口 IP ${result.ip} 在 IP 白名单中`);
+    }
+  }
+
+  /**
+   * 微信返回 IP 白名单错误时输出当前出口 IP，便于添加到白名单
+   */
+  async explainIpError() {
+    const { ipEchoUrl, ipCheckTimeout } = this.config.security || {};
+    try {
+      const ip = this.egressIp || (ipEchoUrl && await getEgressIp(ipEchoUrl, ipCheckTimeout));
+      if (ip) {
+        this.logger.error(`当前出口 IP: ${ip}，请添加到微信后台「开发管理 → 开发设置 → 小程序代码上传 → IP 白名单」`);
+        return;
+      }
+    } catch (error) {
+      this.logger.debug(`查询出口 IP 失败: ${error.message}`);
+    }
+    this.logger.error('请确认 CI Runner 的出口 IP 已添加到微信后台「开发管理 → 开发设置 → 小程序代码上传 → IP 白名单」');
+  }
+
   /**
    * 初始化项目
    */
@@ -84,7 +398,8 @@ class MiniProgramUploader {
     try {
       // 读取构建信息（如果存在）
       const buildInfo = this.readBuildInfo();
-      if (buildInfo && !this.version) {
+      // 开启自动递增时不使用构建信息中的版本号
+      if (buildInfo && !this.version && !this.config.version.autoIncrement) {
         this.version = buildInfo.version;
         this.logger.info(`从构建信息读取版本号: ${this.version}`);
       }
@@ -93,54 +408,90 @@ class MiniProgramUploader {
         this.logger.info(`从构建信息读取描述: ${this.desc}`);
       }
 
-      // 获取私钥文件路径
-      // 将提供的私钥路径传递给 generateFromEnv，让它处理验证和生成逻辑
-      const privateKeyPath = await this.keyManager.generateFromEnv(this.privateKeyPath);
+      const privateKeyPath = this.privateKeyFile;
 
       // 创建项目实例
       this.project = new ci.Project({
         appid: this.config.appid,
         type: this.config.type,
         projectPath: path.resolve(this.config.projectPath),
-        privateKeyPath: privateKeyPath,
+        ...(privateKeyPath ? { privateKeyPath } : { privateKey: this.keyManager.getKey() }),
         ignores: this.config.ignores
       });
 
       this.logger.success('项目初始化完成');
       this.logger.debug(`项目路径: ${path.resolve(this.config.projectPath)}`);
-      this.logger.debug(`私钥路径: ${privateKeyPath}`);
+      this.logger.debug(`私钥路径: ${privateKeyPath || '内存（privateKey.inMemory）'}`);
     } catch (error) {
       this.logger.error(`项目初始化失败: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * 按 errorHandling 配置重试执行微信平台调用
+   * 网络抖动、超时、平台繁忙等错误会指数退避重试；私钥、IP 白名单、appid 等错误立即失败
+   * @param {string} label - 日志前缀
+   * @param {Function} fn - 异步函数
+   * @param {AbortSignal} signal - 取消后不再重试
+   * @returns {Promise<*>}
+   */
+  async runWithRetry(label, fn, signal) {
+    return withRetry(fn, {
+      ...this.config.errorHandling,
+      signal,
+      onRetry: (error, attempt, delay) => {
+        this.logger.warn(`${label}失败: ${error.message}`);
+        this.logger.warn(`${label}${(delay / 1000).toFixed(1)} 秒后进行第 ${attempt}/${this.config.errorHandling.retryCount} 次重试...`);
+      }
+    });
+  }
+
   /**
    * 执行上传和预览（同时进行）
    */
   async uploadWithPreview() {
-    const version = this.versionManager.getRecommendedVersion(this.version);
-    const desc = this.versionManager.generateDescription(this.env, this.desc);
+    const version = this.resolveVersion();
+    const wechatVersion = this.versionManager.toWechatVersion(version);
+    const desc = this.generateDescription(version);
     const qrcodeOutput = this.qrcodeOutput || this.config.qrcodeOptions.outputDest;
 
+    this.checkVersion(version);
+
     // 验证机器人编号
-    const robot = ciConfig.validateRobot(this.config.robot);
+    ciConfig.validateRobot(this.config.robot);
 
     this.logger.info(`开始执行上传和预览...`);
-    this.logger.info(`版本号: ${version}`);
+    this.logger.info(`版本号: ${version}${wechatVersion !== version ? `（微信版本号: ${wechatVersion}）` : ''}`);
     this.logger.info(`描述: ${desc}`);
-    this.logger.info(`使用机器人: ${robot}`);
+    this.logger.info(`使用机器人: ${this.describeRobot()}`);
     this.logger.divider();
 
+    // 上传和预览任一失败时取消另一个的后续重试，并等待两者都结束后再进入 finally
+    // （finally 会删除临时私钥，避免另一个任务在私钥删除后继续重试）
+    const controller = new AbortController();
+    const runTask = async (label, task) => {
+      try {
+        return await task();
+      } catch (error) {
+        if (controller.signal.aborted) {
+          this.logger.warn(`${label}已取消`);
+        } else {
+          controller.abort(error);
+        }
+        throw error;
+      }
+    };
+
     try {
       // 同时执行上传和预览
-      const [uploadResult] = await Promise.all([
+      const results = await Promise.allSettled([
         // 执行上传
-        (async () => {
+        runTask('【上传】', async () => {
           this.logger.info('【上传】开始上传代码...');
-          const result = await ci.upload({
+          const result = await this.runWithRetry('【上传】', () => ci.upload({
             project: this.project,
-            version: version,
+            version: wechatVersion,
             desc: desc,
             setting: this.config.setting,
             robot: this.config.robot,
@@ -149,15 +500,16 @@ class MiniProgramUploader {
               const message = info.message || '上传中';
               this.logger.progress(`【上传】${message} (${percent.toFixed(1)}%)`);
             }
-          });
+          }), controller.signal);
           this.logger.success('【上传】上传成功！');
+          this.uploaded = true; // 机器人的体验版已被本次上传覆盖
           return result;
-        })(),
+        }),
 
         // 执行预览
-        (async () => {
+        runTask('【预览】', async () => {
           this.logger.info('【预览】开始生成预览二维码...');
-          const result = await ci.preview({
+          const result = await this.runWithRetry('【预览】', () => ci.preview({
             project: this.project,
             desc: desc,
             setting: this.config.setting,
@@ -169,12 +521,18 @@ class MiniProgramUploader {
               const message = info.message || '生成中';
               this.logger.progress(`【预览】${message} (${percent.toFixed(1)}%)`);
             }
-          });
+          }), controller.signal);
           this.logger.success('【预览】预览二维码生成成功！');
           return result;
-        })()
+        })
       ]);
 
+      // 抛出最先失败的任务的错误
+      if (controller.signal.aborted) {
+        throw controller.signal.reason;
+      }
+      const uploadResult = results[0].value;
+
       this.logger.divider();
 
       // 上传二维码到 OSS
@@ -182,7 +540,9 @@ class MiniProgramUploader {
       if (this.uploadToOSS && fs.existsSync(qrcodeOutput)) {
         this.logger.info('正在上传二维码到 OSS...');
 
-        const ossResult = await this.ossUploader.upload(qrcodeOutput);
+        const ossResult = await this.ossUploader.upload(qrcodeOutput, {
+          variables: this.getObjectKeyVariables(version)
+        });
 
         if (ossResult.success) {
           qrcodeUrl = ossResult.url;
@@ -203,52 +563,53 @@ class MiniProgramUploader {
       }
 
       // 输出包信息
-      if (uploadResult.subPackageInfo && uploadResult.subPackageInfo.length > 0) {
-        this.logger.newline();
-        this.logger.info('包体积信息:');
-        const tableData = uploadResult.subPackageInfo.map(pkg => {
-          const sizeKB = (pkg.size / 1024).toFixed(2);
-          const sizeMB = (pkg.size / 1024 / 1024).toFixed(2);
-          return [
-            pkg.name === '__FULL__' ? '完整包' :
-            pkg.name === '__APP__' ? '主包' : pkg.name,
-            `${sizeKB} KB`,
-            `${sizeMB} MB`
-          ];
-        });
-        this.logger.table(tableData, ['包名', '大小(KB)', '大小(MB)']);
-      }
+      this.printPackageInfo(uploadResult.subPackageInfo);
+
+      // 与上一次上传对比包体积（需在保存本次记录之前）
+      const sizeReport = this.reportSizeTrend(uploadResult.subPackageInfo, version);
+
+      // 上传 sourcemap、体积报告等附加文件
+      const artifacts = await this.uploadArtifacts(version);
 
       // 保存上传记录
-      this.saveUploadRecord({
+      this.saveHistoryRecord('upload', {
         version,
+        wechatVersion,
         desc,
-        env: this.env,
-        robot: this.config.robot,
         uploadTime: new Date().toISOString(),
+        buildDuration: this.buildDuration,
         packageInfo: uploadResult.subPackageInfo,
-        buildInfo: this.versionManager.getBuildInfo(),
         qrcodeUrl: qrcodeUrl  // 添加二维码URL到上传记录
       });
 
       // 保存预览记录
       if (qrcodeUrl) {
-        this.savePreviewRecord({
+        this.saveHistoryRecord('preview', {
+          version,
           desc,
-          env: this.env,
-          robot: this.config.robot,
           previewTime: new Date().toISOString(),
           qrcodeUrl: qrcodeUrl,
-          localQrcodePath: qrcodeOutput,
-          buildInfo: this.versionManager.getBuildInfo()
+          localQrcodePath: qrcodeOutput
         });
       }
 
+      // 按微信返回的实际体积再次检查预算，通过后才保存文件体积快照：
+      // 先保存会让超限时的增长对比全部为 0，超限的构建也不应成为下次的对比基准
+      if (this.sizeBudget.enabled) {
+        this.enforceSizeBudget('上传后', uploadResult.subPackageInfo);
+        this.sizeBudget.saveSnapshot(this.env, this.scanPackages().files);
+      }
+
       // 返回合并的结果，包含二维码URL
       return {
         ...uploadResult,
+        sizeReport,
+        version,
+        wechatVersion,
+        desc,
         qrcodeUrl,
-        localQrcodePath: qrcodeOutput
+        localQrcodePath: qrcodeOutput,
+        artifacts
       };
     } catch (error) {
       this.logger.error(`上传或预览失败: ${error.message}`);
@@ -268,18 +629,19 @@ class MiniProgramUploader {
    * 执行预览（支持上传二维码到 OSS）
    */
   async preview() {
-    const desc = this.versionManager.generateDescription(this.env, this.desc);
+    const version = this.resolveVersion();
+    const desc = this.generateDescription(version);
     const qrcodeOutput = this.qrcodeOutput || this.config.qrcodeOptions.outputDest;
 
     // 验证机器人编号
-    const robot = ciConfig.validateRobot(this.config.robot);
+    ciConfig.validateRobot(this.config.robot);
 
     this.logger.info(`开始生成预览...`);
     this.logger.info(`描述: ${desc}`);
-    this.logger.info(`使用机器人: ${robot}`);
+    this.logger.info(`使用机器人: ${this.describeRobot()}`);
 
     try {
-      const previewResult = await ci.preview({
+      const previewResult = await this.runWithRetry('【预览】', () => ci.preview({
         project: this.project,
         desc: desc,
         setting: this.config.setting,
@@ -291,7 +653,7 @@ class MiniProgramUploader {
           const message = info.message || '生成中';
           this.logger.progress(`${message} (${percent.toFixed(1)}%)`);
         }
-      });
+      }));
 
       this.logger.success('预览生成成功！');
       this.logger.info(`二维码已保存至: ${qrcodeOutput}`);
@@ -301,7 +663,9 @@ class MiniProgramUploader {
       if (this.uploadToOSS && fs.existsSync(qrcodeOutput)) {
         this.logger.info('正在上传二维码到 OSS...');
 
-        const ossResult = await this.ossUploader.upload(qrcodeOutput);
+        const ossResult = await this.ossUploader.upload(qrcodeOutput, {
+          variables: this.getObjectKeyVariables(version)
+        });
 
         if (ossResult.success) {
           qrcodeUrl = ossResult.url;
@@ -309,14 +673,11 @@ class MiniProgramUploader {
           this.logger.highlight(`CDN 地址: ${qrcodeUrl}`);
 
           // 保存预览记录
-          this.savePreviewRecord({
+          this.saveHistoryRecord('preview', {
             desc,
-            env: this.env,
-            robot: this.config.robot,
             previewTime: new Date().toISOString(),
             qrcodeUrl: qrcodeUrl,
-            localQrcodePath: qrcodeOutput,
-            buildInfo: this.versionManager.getBuildInfo()
+            localQrcodePath: qrcodeOutput
           });
 
           // 输出 CDN 地址到文件（方便 CI/CD 使用）
@@ -333,25 +694,20 @@ class MiniProgramUploader {
       }
 
       // 输出包信息
-      if (previewResult.subPackageInfo && previewResult.subPackageInfo.length > 0) {
-        this.logger.newline();
-        this.logger.info('包体积信息:');
-        const tableData = previewResult.subPackageInfo.map(pkg => {
-          const sizeKB = (pkg.size / 1024).toFixed(2);
-          const sizeMB = (pkg.size / 1024 / 1024).toFixed(2);
-          return [
-            pkg.name === '__FULL__' ? '完整包' :
-            pkg.name === '__APP__' ? '主包' : pkg.name,
-            `${sizeKB} KB`,
-            `${sizeMB} MB`
-          ];
-        });
-        this.logger.table(tableData, ['包名', '大小(KB)', '大小(MB)']);
-      }
+      this.printPackageInfo(previewResult.subPackageInfo);
+
+      // 按微信返回的实际体积再次检查预算
+      this.enforceSizeBudget('预览后', previewResult.subPackageInfo);
+
+      // 上传截图等附加文件
+      const artifacts = await this.uploadArtifacts(version);
 
       return {
         ...previewResult,
-        qrcodeUrl
+        desc,
+        qrcodeUrl,
+        localQrcodePath: qrcodeOutput,
+        artifacts
       };
     } catch (error) {
       this.logger.error(`预览生成失败: ${error.message}`);
@@ -360,67 +716,466 @@ class MiniProgramUploader {
   }
 
   /**
-   * 保存上传记录
+   * 批量上传 oss.batch.files 中的附加文件（sourcemap、体积报告、截图等）
+   * 上传失败只输出警告，不影响上传结果
+   * @param {string} version - 版本号
+   * @returns {Promise<Array<{filePath: string, url: string}>>}
    */
-  saveUploadRecord(record) {
-    try {
-      const recordFile = './upload-history.json';
-      let history = [];
-
-      if (fs.existsSync(recordFile)) {
-        const content = fs.readFileSync(recordFile, 'utf-8');
-        try {
-          history = JSON.parse(content);
-        } catch (e) {
-          this.logger.warn('上传历史文件格式错误，将重新创建');
-          history = [];
-        }
+  async uploadArtifacts(version) {
+    const files = (this.config.oss.batch || {}).files || [];
+    if (!this.uploadToOSS || files.length === 0) {
+      return [];
+    }
+
+    const existing = files.filter(file => {
+      if (fs.existsSync(file)) return true;
+      this.logger.warn(`附加文件不存在，已跳过: ${file}`);
+      return false;
+    });
+    if (existing.length === 0) {
+      return [];
+    }
+
+    this.logger.info(`正在上传附加文件到 OSS: ${existing.join(', ')}`);
+    const { results, skippedList, errorList } = await this.ossUploader.uploadBatch(existing, {
+      variables: this.getObjectKeyVariables(version)
+    });
+
+    errorList.forEach(item => this.logger.warn(`附加文件上传失败: ${item.filePath}（${item.error}）`));
+    const uploaded = results.filter(item => item.success);
+    this.logger.success(`附加文件上传完成: 成功 ${uploaded.length} 个（未变化跳过 ${skippedList.length} 个），失败 ${errorList.length} 个`);
+
+    return uploaded.map(item => ({ filePath: item.filePath, url: item.url }));
+  }
+
+  /**
+   * 输出包体积表格
+   * @param {Array} packages - subPackageInfo 或扫描得到的包信息
+   * @param {string} title - 标题
+   */
+  printPackageInfo(packages, title = '包体积信息:') {
+    if (!packages || packages.length === 0) {
+      return;
+    }
+
+    this.logger.newline();
+    this.logger.info(title);
+    const tableData = packages.map(pkg => {
+      const sizeKB = (pkg.size / 1024).toFixed(2);
+      const sizeMB = (pkg.size / 1024 / 1024).toFixed(2);
+      return [
+        pkg.name === '__FULL__' ? '完整包' :
+        pkg.name === '__APP__' ? '主包' : pkg.name,
+        `${sizeKB} KB`,
+        `${sizeMB} MB`
+      ];
+    });
+    this.logger.table(tableData, ['包名', '大小(KB)', '大小(MB)']);
+  }
+
+  /**
+   * 按 ignores 扫描构建产物（结果缓存）
+   * @returns {{files: Array, packages: Array}}
+   */
+  scanPackages() {
+    if (!this.scanResult) {
+      const scanner = new PackageScanner({
+        projectPath: this.config.projectPath,
+        ignores: this.config.ignores
+      });
+      this.scanResult = scanner.scan();
+    }
+    return this.scanResult;
+  }
+
+  /**
+   * 检查包体积预算，超出 error 阈值时输出增长最多的文件并终止
+   * @param {string} stage - 检查阶段（上传前/上传后）
+   * @param {Array} packages - 包体积信息
+   */
+  enforceSizeBudget(stage, packages) {
+    if (!this.sizeBudget.enabled) {
+      return;
+    }
+
+    const { warnings, errors } = this.sizeBudget.check(packages);
+
+    warnings.forEach(item => {
+      this.logger.warn(`【包体积】${stage} ${item.name} 为 ${formatSize(item.size)}，超过预警值 ${formatSize(item.limit)}`);
+    });
+
+    if (errors.length === 0) {
+      this.logger.debug(`【包体积】${stage}检查通过`);
+      return;
+    }
+
+    const snapshot = this.sizeBudget.loadSnapshot(this.env);
+    const { files } = this.scanPackages();
+
+    errors.forEach(item => {
+      this.logger.error(`【包体积】${stage} ${item.name} 为 ${formatSize(item.size)}，超过上限 ${formatSize(item.limit)}`);
+      this.logger.info(snapshot
+        ? `与上次上传相比增长最多的 ${this.sizeBudget.topN} 个文件:`
+        : `体积最大的 ${this.sizeBudget.topN} 个文件（无上次快照）:`);
+
+      const topFiles = this.sizeBudget.getTopFiles(item.name, files, snapshot);
+      this.logger.table(
+        topFiles.map(file => [
+          file.path,
+          formatSize(file.size),
+          file.delta === null ? '-' : `${file.delta >= 0 ? '+' : ''}${formatSize(file.delta)}`
+        ]),
+        ['文件', '大小', '增长']
+      );
+    });
+
+    const error = new Error(`包体积超出预算: ${errors.map(item => `${item.name} ${formatSize(item.size)} > ${formatSize(item.limit)}`).join('; ')}`);
+    error.retryable = false;
+    throw error;
+  }
+
+  /**
+   * 演练模式：执行除调用微信接口和 OSS 上传以外的所有步骤，输出执行计划
+   */
+  async dryRun() {
+    const version = this.resolveVersion();
+    const desc = this.generateDescription(version);
+
+    if (this.action === 'upload') {
+      this.checkVersion(version);
+    }
+    const qrcodeOutput = this.qrcodeOutput || this.config.qrcodeOptions.outputDest;
+    const robot = ciConfig.validateRobot(this.config.robot);
+
+    this.logger.info('【演练】不会调用 ci.upload / ci.preview，也不会上传 OSS');
+    this.logger.info(`版本号: ${version}`);
+    this.logger.info(`描述: ${desc}`);
+    this.logger.info(`使用机器人: ${this.describeRobot()}`);
+
+    // 上传会占用机器人，提前检查租约
+    if (this.action === 'upload' && this.robotLock) {
+      const lease = await this.robotLock.status(robot);
+      if (lease && !RobotLock.isAvailable(lease, this.getRobotHolder())) {
+        this.logger.warn(`机器人 ${robot} 正被 ${RobotLock.describeHolder(lease)} 占用（至 ${lease.expiresAt}），实际上传时将失败`);
       }
+    }
+
+    // 按 ignores 扫描构建产物，估算包体积
+    const { files, packages } = this.scanPackages();
+
+    this.logger.info(`待上传文件: ${files.length} 个`);
+    if (this.logger.verbose) {
+      this.logger.list(files.map(file => `${file.path} (${(file.size / 1024).toFixed(2)} KB)`));
+    }
+    this.printPackageInfo(packages, '估算包体积（未压缩）:');
+
+    const plan = {
+      dryRun: true,
+      generatedAt: new Date().toISOString(),
+      action: this.action,
+      env: this.env,
+      envChain: this.config.envChain,
+      appid: this.config.appid,
+      robot,
+      robotName: this.robot.name,
+      version,
+      wechatVersion: this.versionManager.toWechatVersion(version),
+      desc,
+      projectPath: path.resolve(this.config.projectPath),
+      projectConfigPath: this.projectConfigPath,
+      privateKeyPath: this.privateKeyFile,
+      setting: this.config.setting,
+      ignores: this.config.ignores,
+      qrcode: {
+        format: this.config.qrcodeOptions.format,
+        outputDest: path.resolve(qrcodeOutput),
+        uploadToOSS: this.uploadToOSS,
+        ossProvider: this.config.oss.provider,
+        ossPreset: this.config.oss.preset,
+        ossKeyTemplate: this.config.oss.keyTemplate,
+        ossFiles: (this.config.oss.batch || {}).files || []
+      },
+      build: {
+        skipped: this.skipBuild || !this.config.build.autoBuild,
+        duration: this.buildDuration
+      },
+      buildInfo: this.readBuildInfo(),
+      skipped: ['ci.upload', 'ci.preview', 'oss.upload'],
+      packages,
+      files
+    };
+
+    const planFile = path.resolve(this.planFile);
+    fs.mkdirSync(path.dirname(planFile), { recursive: true });
+    fs.writeFileSync(planFile, JSON.stringify(plan, null, 2));
+    this.logger.success(`执行计划已保存到: ${planFile}`);
+
+    return plan;
+  }
+
+  /**
+   * 读取上传历史
+   * @returns {Array}
+   */
+  loadUploadHistory() {
+    try {
+      return this.historyStore.query({ type: 'upload' });
+    } catch (error) {
+      this.logger.warn(`读取上传历史失败: ${error.message}`);
+      return [];
+    }
+  }
+
 
-      history.push(record);
+  /**
+   * 生成包体积对比报告
+   * 基准为 --size-baseline 指定的版本，或同环境、同分支的上一次上传
+   * @param {Array} packageInfo - 本次 subPackageInfo
+   * @param {string} version - 本次版本号
+   * @returns {Object|null} JSON 报告
+   */
+  reportSizeTrend(packageInfo, version) {
+    if (!packageInfo || packageInfo.length === 0) {
+      return null;
+    }
+
+    try {
+      const { branch } = this.getGitInfo();
+      const baseline = SizeReport.findBaseline(this.loadUploadHistory(), {
+        env: this.env,
+        branch,
+        version: this.sizeBaseline
+      });
 
-      // 只保留最近 100 条记录
-      if (history.length > 100) {
-        history = history.slice(-100);
+      if (!baseline && this.sizeBaseline) {
+        this.logger.warn(`未找到基准版本 ${this.sizeBaseline} 的上传记录`);
       }
 
-      fs.writeFileSync(recordFile, JSON.stringify(history, null, 2));
-      this.logger.debug('上传记录已保存');
+      const report = new SizeReport({
+        current: packageInfo,
+        baseline,
+        meta: { env: this.env, branch, version }
+      });
+
+      this.logger.newline();
+      this.logger.info(baseline
+        ? `包体积变化（对比 ${baseline.version} @ ${baseline.uploadTime}）:`
+        : '包体积变化（无对比基准）:');
+      const { headers, rows } = report.toTable();
+      this.logger.table(rows, headers);
+
+      const basePath = path.resolve(this.sizeReportPath);
+      fs.mkdirSync(path.dirname(basePath), { recursive: true });
+      fs.writeFileSync(`${basePath}.json`, JSON.stringify(report.toJSON(), null, 2));
+      fs.writeFileSync(`${basePath}.md`, report.toMarkdown());
+      this.logger.info(`包体积报告已保存到: ${basePath}.json, ${basePath}.md`);
+
+      return report.toJSON();
     } catch (error) {
-      this.logger.warn(`保存上传记录失败: ${error.message}`);
+      this.logger.warn(`生成包体积报告失败: ${error.message}`);
+      return null;
     }
   }
 
   /**
-   * 保存预览记录
+   * 当前构建的 Git 分支和提交（优先取 build-info.json，其次为 CI 环境变量）
+   * build-info.json 中的分支为 HEAD（分离头指针）或 unknown 时同样使用 CI 环境变量
+   * @returns {{branch: string, commit: string}}
+   */
+  getGitInfo() {
+    const buildInfo = this.readBuildInfo();
+    const git = (buildInfo && buildInfo.git) || {};
+    const fallback = this.versionManager.getBuildInfo();
+    return {
+      branch: isKnownBranch(git.branch) ? git.branch : fallback.branch,
+      commit: git.commit || fallback.commit
+    };
+  }
+
+  /**
+   * OSS 对象名称模板变量（oss.keyTemplate）
+   * @param {string} version - 版本号
+   * @returns {Object}
    */
-  savePreviewRecord(record) {
+  getObjectKeyVariables(version) {
+    return {
+      appid: this.config.appid,
+      env: this.env,
+      version,
+      robot: this.config.robot,
+      robotName: this.robot && this.robot.name,
+      ...this.getGitInfo()
+    };
+  }
+
+  /**
+   * 保存上传/预览记录到历史存储
+   * @param {string} type - upload / preview
+   * @param {Object} record
+   */
+  saveHistoryRecord(type, record) {
     try {
-      const recordFile = './preview-history.json';
-      let history = [];
-
-      if (fs.existsSync(recordFile)) {
-        const content = fs.readFileSync(recordFile, 'utf-8');
-        try {
-          history = JSON.parse(content);
-        } catch (e) {
-          this.logger.warn('预览历史文件格式错误，将重新创建');
-          history = [];
-        }
+      const saved = this.historyStore.append(type, {
+        env: this.env,
+        robot: this.config.robot,
+        robotName: this.robot && this.robot.name,
+        ...this.getGitInfo(),
+        ...record,
+        buildInfo: this.versionManager.getBuildInfo()
+      });
+      this.logger.debug(`${type === 'upload' ? '上传' : '预览'}记录已保存: ${saved.id}`);
+    } catch (error) {
+      this.logger.warn(`保存${type === 'upload' ? '上传' : '预览'}记录失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 机器人显示信息，如 4 (feature-a) - 迭代并行测试，负责人: 张三
+   * @returns {string}
+   */
+  describeRobot() {
+    const details = [
+      this.robot.purpose,
+      this.robot.owner && `负责人: ${this.robot.owner}`
+    ].filter(Boolean);
+    return `${RobotRegistry.describe(this.robot)}${details.length > 0 ? ` - ${details.join('，')}` : ''}`;
+  }
+
+  /**
+   * 机器人租约的持有人信息（同一分支视为同一持有人）
+   * @returns {Object}
+   */
+  getRobotHolder() {
+    if (!this.robotHolder) {
+      const { branch } = this.getGitInfo();
+      const builder = process.env.BUILDER || null;
+      const knownBranch = isKnownBranch(branch) ? branch : null;
+      this.robotHolder = {
+        holder: knownBranch || builder || os.hostname(),
+        runId: this.runId,
+        branch: knownBranch,
+        owner: builder,
+        env: this.env,
+        pipeline: process.env.CI_PIPELINE_URL || process.env.BUILD_URL || null,
+        host: os.hostname(),
+        pid: process.pid
+      };
+    }
+    return this.robotHolder;
+  }
+
+  /**
+   * 锁定本次上传使用的机器人（robots.lock），被其他分支占用时终止
+   */
+  async acquireRobot() {
+    if (!this.robotLock || this.robotLease) {
+      return;
+    }
+    const holder = this.getRobotHolder();
+    this.robotLease = await this.robotLock.acquire(this.robot.id, holder);
+    this.logger.info(`已锁定机器人 ${RobotRegistry.describe(this.robot)}（持有人: ${RobotLock.describeHolder(holder)}）`);
+  }
+
+  /**
+   * --robot auto：按 robots.auto 为当前分支分配机器人
+   * 上传时立即加锁，加锁失败（并行流水线抢先占用）时换下一个机器人
+   */
+  async allocateRobot() {
+    const { branch } = this.getGitInfo();
+    if (!isKnownBranch(branch)) {
+      throw new Error(`无法确定当前分支（${branch || '空'}），--robot auto 需要分支信息：分离头指针（detached HEAD）的检出请设置 GIT_BRANCH，或使用 build-info.json、CI_COMMIT_REF_NAME、GITHUB_HEAD_REF/GITHUB_REF_NAME`);
+    }
+
+    const autoConfig = (this.config.robots || {}).auto || {};
+    const allocator = new RobotAllocator(autoConfig);
+    const openBranches = autoConfig.checkRemote === false
+      ? null
+      : listRemoteBranches(process.cwd(), autoConfig.remote);
+    if (!openBranches) {
+      this.logger.debug('无法读取 Git 远端分支，仅按 robots.auto.releaseAfter 判断分支是否已关闭');
+    }
+    const history = this.loadUploadHistory();
+    const releases = this.historyStore.query({ type: 'release' });
+    const lockOnAllocate = this.robotLock && this.action === 'upload' && !this.dryRunMode;
+    const exclude = [];
+
+    for (;;) {
+      const leases = this.robotLock ? await this.robotLock.list() : [];
+      const allocation = allocator.allocate(branch, { history, leases, openBranches, releases, exclude });
+
+      this.robot = this.robotRegistry.resolve(allocation.id);
+      this.config.robot = allocation.id;
+      this.logger.setContext({ robot: allocation.id });
+      this.logger.info(`自动分配机器人: ${this.describeRobot()}（${allocation.reason}）`);
+
+      if (!lockOnAllocate) {
+        return;
       }
 
-      history.push(record);
+      // 已关闭分支仍持有的租约直接回收
+      if (allocation.occupant && allocation.occupant.source === 'lease') {
+        await this.robotLock.forceRelease(allocation.id);
+      }
 
-      // 只保留最近 50 条记录
-      if (history.length > 50) {
-        history = history.slice(-50);
+      try {
+        await this.acquireRobot();
+        return;
+      } catch (error) {
+        if (!error.lock) {
+          throw error;
+        }
+        this.logger.warn(`机器人 ${allocation.id} 已被 ${RobotLock.describeHolder(error.lock)} 占用，重新分配`);
+        exclude.push(allocation.id);
       }
+    }
+  }
+
+  /**
+   * 释放机器人锁，上传成功时按 robots.lock.lease 保留租约
+   * 租约只保留给分支：没有分支信息时持有人为构建人或主机名（容器每次的主机名不同），
+   * 保留租约会让之后的上传（即使来自同一分支）在租约期内被拒绝，因此直接释放
+   * @param {boolean} success - 上传是否成功
+   */
+  async releaseRobot(success) {
+    if (!this.robotLease) {
+      return;
+    }
+    this.robotLease = null;
+
+    const holder = this.getRobotHolder();
+    const keepLease = success && Boolean(holder.branch);
+    if (success && !holder.branch && this.robotLock.lease > 0) {
+      this.logger.warn(`无法确定当前分支，不保留机器人 ${RobotRegistry.describe(this.robot)} 的租约（robots.lock.lease），请设置 GIT_BRANCH 以按分支保留`);
+    }
 
-      fs.writeFileSync(recordFile, JSON.stringify(history, null, 2));
-      this.logger.debug('预览记录已保存');
+    try {
+      const kept = await this.robotLock.release(this.robot.id, holder, { success: keepLease });
+      if (kept && kept.runId === this.robotHolder.runId) {
+        this.logger.info(`机器人 ${RobotRegistry.describe(this.robot)} 的租约保留至 ${kept.expiresAt}`);
+      } else {
+        this.logger.debug(`机器人 ${RobotRegistry.describe(this.robot)} 已释放`);
+      }
     } catch (error) {
-      this.logger.warn(`保存预览记录失败: ${error.message}`);
+      this.logger.warn(`释放机器人锁失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 发送结果通知（钉钉/企业微信/飞书）
+   * @param {Object} payload - 通知内容
+   */
+  async sendNotification(payload) {
+    if (!this.notify || !this.notifier.isEnabled()) {
+      return;
     }
+
+    this.logger.info(`正在发送通知: ${this.notifier.getChannels().join(', ')}`);
+    await this.notifier.notify({
+      action: this.action,
+      env: this.env,
+      robot: this.robot ? RobotRegistry.describe(this.robot) : this.config.robot,
+      ...payload
+    });
   }
 
   /**
@@ -446,19 +1201,92 @@ class MiniProgramUploader {
     this.logger.success('清理完成');
   }
 
+  /**
+   * 写入机器可读的执行结果，供 CI 系统读取
+   * @param {string} status - success / failed
+   * @param {Object} data
+   * @param {Object} data.result - 操作返回值
+   * @param {Error} data.error - 失败时的错误
+   * @param {string} data.duration - 耗时（秒）
+   */
+  writeResult(status, { result, error, duration }) {
+    if (!this.resultWriter) {
+      return;
+    }
+
+    // 失败时使用上传前扫描得到的包体积
+    const packages = (result && (result.subPackageInfo || result.packages)) ||
+      (this.scanResult && this.scanResult.packages) || [];
+    const qrcodeUrl = result && result.qrcodeUrl;
+    const localQrcodePath = result && (result.localQrcodePath || (result.qrcode && result.qrcode.outputDest));
+
+    try {
+      const filePath = this.resultWriter.write({
+        status,
+        action: this.action,
+        dryRun: this.dryRunMode,
+        env: this.env,
+        version: (result && result.version) || this.resolvedVersion || this.version || null,
+        desc: (result && result.desc) || this.desc || null,
+        robot: this.config.robot,
+        robotName: this.robot && this.robot.name,
+        appid: this.config.appid,
+        duration: Number(duration),
+        finishedAt: new Date().toISOString(),
+        qrcode: qrcodeUrl || localQrcodePath
+          ? { localPath: localQrcodePath ? path.resolve(localQrcodePath) : null, url: qrcodeUrl || null }
+          : null,
+        packages: packages.map(pkg => ({ name: pkg.name, size: pkg.size })),
+        error: error
+          ? {
+            message: error.message,
+            code: getWechatErrorCode(error),
+            retryable: error.retryable,
+            attempts: error.attempts,
+            stack: error.stack
+          }
+          : null
+      });
+      this.logger.info(`执行结果已保存到: ${filePath} (${this.resultWriter.format})`);
+    } catch (writeError) {
+      this.logger.warn(`执行结果写入失败: ${writeError.message}`);
+    }
+  }
+
+  /**
+   * 执行一个阶段：日志上下文的 stage 切换为该阶段，结束时输出耗时
+   * 失败时 stage 保留为该阶段，之后的错误日志可按 stage 定位
+   * @param {string} stage - 阶段名称，如 build、upload
+   * @param {Function} fn
+   * @returns {Promise<*>}
+   */
+  async runStage(stage, fn) {
+    const startTime = Date.now();
+    this.logger.setContext({ stage });
+    const result = await fn();
+    const duration = Date.now() - startTime;
+    this.logger.debug(`阶段 ${stage} 完成，耗时: ${(duration / 1000).toFixed(1)}秒`, { duration });
+    return result;
+  }
+
   /**
    * 执行主流程
+   * 失败时输出错误、发送通知并重新抛出，由调用方决定退出码
    */
   async execute() {
     const startTime = Date.now();
 
     try {
       this.logger.divider();
-      this.logger.highlight(`开始执行 ${this.action} 操作 (${this.env} 环境)`);
+      this.logger.highlight(`开始执行 ${this.action} 操作 (${this.env} 环境)${this.dryRunMode ? ' [演练]' : ''}`);
       this.logger.divider();
 
+      if (this.projectConfigPath) {
+        this.logger.info(`使用项目配置: ${this.projectConfigPath}`);
+      }
+
       // 显示构建信息
-      if (this.verbose) {
+      if (this.logger.verbose) {
         const buildInfo = this.versionManager.getBuildInfo();
         this.logger.debug(`Node.js: ${buildInfo.nodejs}`);
         this.logger.debug(`平台: ${buildInfo.platform}`);
@@ -466,45 +1294,116 @@ class MiniProgramUploader {
         this.logger.debug(`提交: ${buildInfo.commit}`);
       }
 
+      // 私钥无效或出口 IP 不在白名单中时无需等待构建
+      await this.runStage('key', () => this.prepareKey());
+      await this.runStage('ip-check', () => this.checkEgressIp());
+
+      // 构建项目
+      await this.runStage('build', () => this.build());
+
+      // --robot auto：构建后（可读取 build-info.json 中的分支）分配机器人
+      if (this.autoRobot) {
+        await this.runStage('robot', () => this.allocateRobot());
+      }
+
       // 初始化项目
-      await this.initProject();
+      await this.runStage('project', () => this.initProject());
+
+      // 上传前检查包体积预算
+      if (this.sizeBudget.enabled) {
+        await this.runStage('size-budget', () => this.enforceSizeBudget('上传前', this.scanPackages().packages));
+      }
 
       let result;
       // 执行操作
-      if (this.action === 'upload') {
-        result = await this.upload();
+      if (this.dryRunMode) {
+        result = await this.runStage('dry-run', () => this.dryRun());
+      } else if (this.action === 'upload') {
+        result = await this.runStage('upload', async () => {
+          await this.acquireRobot();
+          const uploadResult = await this.upload();
+          await this.releaseRobot(true);
+          return uploadResult;
+        });
       } else if (this.action === 'preview') {
-        result = await this.preview();
+        result = await this.runStage('preview', () => this.preview());
       } else {
         throw new Error(`不支持的操作: ${this.action}`);
       }
 
+      this.logger.setContext({ stage: 'done' });
       const duration = ((Date.now() - startTime) / 1000).toFixed(1);
 
       this.logger.divider();
-      this.logger.success(`操作完成！耗时: ${duration}秒`);
+      this.logger.success(`操作完成！耗时: ${duration}秒`, { duration: Date.now() - startTime });
 
-      // 如果有二维码 URL，输出到控制台
+      // 如果有二维码 URL，输出到控制台（json 格式下作为日志字段，避免混入非 JSON 行）
       if (result && result.qrcodeUrl) {
-        this.logger.newline();
-        this.logger.icon('🔗', '二维码 CDN 地址:');
-        console.log(result.qrcodeUrl);
-        this.logger.newline();
+        if (this.logger.format === 'json') {
+          this.logger.info(`二维码 CDN 地址: ${result.qrcodeUrl}`, { qrcodeUrl: result.qrcodeUrl });
+        } else {
+          this.logger.newline();
+          this.logger.icon('🔗', '二维码 CDN 地址:');
+          console.log(result.qrcodeUrl);
+          this.logger.newline();
+        }
       }
 
+      this.writeResult('success', { result, duration });
+
+      if (this.dryRunMode) {
+        return result;
+      }
+
+      await this.sendNotification({
+        status: 'success',
+        version: result && result.version,
+        desc: result && result.desc,
+        duration,
+        packageInfo: result && result.subPackageInfo,
+        qrcodeUrl: result && result.qrcodeUrl
+      });
+
       return result;
 
     } catch (error) {
       const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-      this.logger.error(`执行失败: ${error.message}`);
-      this.logger.error(`耗时: ${duration}秒`);
+      this.logger.error(`执行失败: ${error.message}`, {
+        code: getWechatErrorCode(error),
+        retryable: error.retryable,
+        attempts: error.attempts
+      });
+      if (error.attempts > 1) {
+        this.logger.error(`已尝试 ${error.attempts} 次`);
+      } else if (error.retryable === false && error.attempts) {
+        this.logger.error('该错误不可重试，请检查私钥、IP 白名单或 appid 配置');
+      }
+      if (isIpWhitelistError(error) && !error.egressIp && !error.configError) {
+        await this.explainIpError();
+      }
+      this.logger.error(`耗时: ${duration}秒`, { duration: Date.now() - startTime });
 
-      if (this.verbose && error.stack) {
+      if (this.logger.verbose && error.stack) {
         this.logger.debug('错误堆栈:');
         this.logger.debug(error.stack);
       }
 
-      process.exit(1);
+      // 代码已上传成功（如后续预览失败）时同样保留租约
+      await this.releaseRobot(this.uploaded);
+      this.writeResult('failed', { error, duration });
+
+      if (!this.dryRunMode) {
+        await this.sendNotification({
+          status: 'failed',
+          version: this.resolvedVersion || this.version,
+          desc: this.desc,
+          duration,
+          error: error.message
+        });
+      }
+
+      // 抛出而不是直接退出，确保 finally 中的清理执行
+      throw error;
     } finally {
       this.cleanup();
     }
@@ -522,16 +1421,29 @@ if (require.main === module) {
   node scripts/upload-mp.js [options]
 
 选项:
-  --env              环境类型 (development/staging/production) [默认: development]
+  --env              环境名称 (development/staging/production 或 environments 中的自定义环境) [默认: development，开启 robots.envFromRegistry 时为机器人登记的环境]
   --action           操作类型 (upload/preview) [默认: upload]
-  --version          版本号 [默认: package.json 中的版本]
-  --desc             版本描述
+  --version          版本号 [默认: Git Tag、version.autoIncrement 自动递增或 package.json 中的版本]
+  --allow-downgrade  允许上传低于上次正式版的版本号
+  --desc             版本描述（描述模板中的 \${desc}）
+  --desc-template    描述模板 [默认: ci.config.js 中的 version.descriptionTemplate]
   --qrcode           预览二维码输出路径
   --upload-oss       是否上传二维码到 OSS [默认: true]
   --cookie           API Cookie (用于 OSS 上传)
-  --robot            使用指定的 CI 机器人编号
-  --private-key      私钥文件路径（可选，默认从环境变量生成）
-  --verbose          显示详细日志
+  --robot            CI 机器人编号（1-30）、robots.registry 中登记的名称，或 auto（按分支自动分配）[默认: 环境配置中的 robot]
+  --config           项目配置文件路径 [默认: 自动查找 miniprogram-ci.config.{js,json,yaml}]
+  --print-config     输出解析后的配置及每项来源后退出（--print-config=json 输出 JSON）
+  --private-key      私钥文件路径（可选，默认按 privateKey 配置读取；该文件不会被清理）
+  --notify           是否发送钉钉/企业微信/飞书通知 [默认: true]
+  --build-command    构建命令 [默认: ci.config.js 中 build.commands 对应环境的命令]
+  --skip-build       跳过构建步骤，直接上传已有的构建产物
+  --dry-run          演练模式：校验配置、私钥并扫描代码包，不调用微信接口、不上传 OSS
+  --plan-file        演练模式执行计划输出路径 [默认: ./dry-run-plan.json]
+  --size-baseline    包体积对比基准版本 [默认: 同环境同分支的上一次上传]
+  --size-report      包体积报告输出路径（不含扩展名，生成 .json 和 .md）[默认: ./size-report]
+  --output-format    执行结果格式 (json/dotenv/junit)，成功和失败时均会输出
+  --result-file      执行结果输出路径 [默认: ./miniprogram-ci-result.{json,env,xml}，未指定格式时按扩展名推断]
+  --verbose          显示详细日志（等同于 LOG_LEVEL=debug）
   --silent           静默模式（不输出日志）
   --help, -h         显示帮助信息
 
@@ -539,6 +1451,12 @@ if (require.main === module) {
   # 上传体验版
   node scripts/upload-mp.js --env development --desc "修复了一些bug"
 
+  # 使用登记的 feature-a 机器人上传
+  node scripts/upload-mp.js --robot feature-a --desc "登录改版"
+
+  # 为当前分支自动分配机器人（后续推送沿用同一机器人）
+  node scripts/upload-mp.js --robot auto --desc "登录改版"
+
   # 上传正式版
   node scripts/upload-mp.js --env production --version 1.2.0 --desc "新版本发布"
 
@@ -548,11 +1466,37 @@ if (require.main === module) {
   # 生成预览（不上传二维码）
   node scripts/upload-mp.js --action preview --upload-oss false
 
+  # 演练上传流程，输出执行计划
+  node scripts/upload-mp.js --env production --dry-run --skip-build
+
+  # 预览并输出 GitLab dotenv 报告（MP_QRCODE_URL 等变量可供后续作业使用）
+  node scripts/upload-mp.js --action preview --output-format dotenv --result-file output/miniprogram-ci.env
+
+  # 查看 production 环境最终生效的配置
+  node scripts/upload-mp.js --env production --print-config
+
 环境变量:
-  MP_PRIVATE_KEY_BASE64  小程序私钥的 Base64 编码 (必需)
+  MP_APPID               小程序 appid（可选，需与 project.config.json、私钥文件名一致）
+  MP_KEY_SOURCE          私钥来源（env/file/http/vault，默认按已设置的变量自动选择）
+  MP_PRIVATE_KEY_URL     私钥下载地址（MP_PRIVATE_KEY_TOKEN 为 Bearer 令牌）
+  MP_PRIVATE_KEY_BASE64  小程序私钥的 Base64 编码
+  VAULT_ADDR             Vault 地址（VAULT_TOKEN 为令牌，MP_VAULT_PATH 为 KV 路径）
+  MP_PRIVATE_KEY_SHA256  期望的私钥文件 SHA-256 指纹
+  MP_PRIVATE_KEY_PASSPHRASE  加密私钥的口令
+  MP_PRIVATE_KEY_IN_MEMORY   true 时私钥只保存在内存中，不写入文件
+  IP_WHITELIST           微信后台登记的 IP 白名单（逗号分隔，支持 CIDR），设置后上传前检查出口 IP
+  IP_ECHO_URL            出口 IP 回显服务地址
   API_COOKIE             用于 OSS 上传的 Cookie
+  LOG_LEVEL              日志级别（debug/info/warn/error）[默认: info]
+  LOG_FORMAT             日志格式（text/json），json 为每行一个 JSON 对象 [默认: text]
+  OSS_PROVIDER           二维码存储方式（presigned/s3/aliyun/cos/local）
+  OSS_ACCESS_KEY_ID      对象存储访问密钥（OSS_ACCESS_KEY_SECRET 为密钥）
   OSS_ENDPOINT           OSS 端点
+  OSS_BUCKET             存储桶
   OSS_CDN_DOMAIN         CDN 域名
+  DINGTALK_WEBHOOK       钉钉机器人 Webhook（DINGTALK_SECRET 为加签密钥）
+  WECOM_WEBHOOK          企业微信机器人 Webhook
+  LARK_WEBHOOK           飞书机器人 Webhook（LARK_SECRET 为签名校验密钥）
     `);
     process.exit(0);
   }
@@ -564,8 +1508,16 @@ if (require.main === module) {
     process.exit(0);
   }
 
+  // 输出解析后的配置
+  if (argv['print-config']) {
+    const result = createConfigLoader(argv).load(argv.env || 'development', argv);
+    console.log(ConfigLoader.formatReport(result, argv['print-config'] === 'json' ? 'json' : 'text'));
+    process.exit(0);
+  }
+
   const uploader = new MiniProgramUploader(argv);
-  uploader.execute();
+  // 错误已在 execute() 中输出，这里只设置退出码
+  uploader.execute().catch(() => process.exit(1));
 }
 
 module.exports = MiniProgramUploader;
\ No newline at end of file
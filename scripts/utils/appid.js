@@ -0,0 +1,136 @@
+/**
+ * AppID 解析工具
+ * 功能：
+ * - 从 MP_APPID、配置文件、project.config.json、构建产物中的 project.config.json、私钥文件名中收集 appid
+ * - 多个来源不一致时报错，避免用错误的 appid 上传
+ * - 可作为命令行工具供 docker-entrypoint.sh 调用
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 私钥文件名格式：private.<appid>.key
+const KEY_FILE_PATTERN = /private\.([A-Za-z0-9_]+)\.key$/;
+
+/**
+ * 读取 project.config.json 中的 appid
+ * @param {string} filePath
+ * @returns {string|null}
+ */
+function readProjectConfigAppId(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    const projectConfig = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    return projectConfig.appid || null;
+  } catch (error) {
+    throw new Error(`读取 ${filePath} 失败: ${error.message}`);
+  }
+}
+
+/**
+ * 从私钥文件路径或 URL 中提取 appid
+ * @param {string} keyPath
+ * @returns {string|null}
+ */
+function getAppIdFromKeyName(keyPath) {
+  if (!keyPath) {
+    return null;
+  }
+  const fileName = String(keyPath).split(/[?#]/)[0].split(/[\\/]/).pop();
+  const match = fileName.match(KEY_FILE_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * 收集所有来源中的 appid
+ * @param {Object} options
+ * @param {string} options.cwd - 项目根目录
+ * @param {string} options.projectPath - 构建产物目录（如 ./dist）
+ * @param {string} options.configAppId - 配置文件中显式指定的 appid
+ * @param {string} options.privateKeyPath - 私钥文件路径
+ * @returns {{source: string, appid: string}[]}
+ */
+function collectAppIds(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const candidates = [];
+
+  const add = (source, appid) => {
+    if (appid) {
+      candidates.push({ source, appid: String(appid).trim() });
+    }
+  };
+
+  add('环境变量 MP_APPID', process.env.MP_APPID);
+  add('配置文件 appid', options.configAppId);
+
+  const rootConfigPath = path.join(cwd, 'project.config.json');
+  add(rootConfigPath, readProjectConfigAppId(rootConfigPath));
+
+  if (options.projectPath) {
+    const distConfigPath = path.join(path.resolve(cwd, options.projectPath), 'project.config.json');
+    if (distConfigPath !== rootConfigPath) {
+      add(distConfigPath, readProjectConfigAppId(distConfigPath));
+    }
+  }
+
+  add(`私钥文件名 ${options.privateKeyPath}`, getAppIdFromKeyName(options.privateKeyPath));
+  add('私钥地址 MP_PRIVATE_KEY_URL', getAppIdFromKeyName(process.env.MP_PRIVATE_KEY_URL));
+
+  return candidates;
+}
+
+/**
+ * 解析 appid，来源不一致或未找到时抛出异常
+ * @param {Object} options - 同 collectAppIds
+ * @returns {{appid: string, sources: {source: string, appid: string}[]}}
+ * @throws {Error} 未找到时 error.notFound 为 true
+ */
+function resolveAppId(options = {}) {
+  const sources = collectAppIds(options);
+
+  if (sources.length === 0) {
+    const error = new Error(
+      '未找到 appid：请在 project.config.json 中配置 appid，或设置环境变量 MP_APPID'
+    );
+    error.notFound = true;
+    throw error;
+  }
+
+  const distinct = [...new Set(sources.map(item => item.appid))];
+  if (distinct.length > 1) {
+    const details = sources.map(item => `  - ${item.source}: ${item.appid}`).join('\n');
+    throw new Error(`appid 不一致，请检查以下来源:\n${details}`);
+  }
+
+  return {
+    appid: distinct[0],
+    sources
+  };
+}
+
+// 命令行入口：输出解析出的 appid
+if (require.main === module) {
+  const minimist = require('minimist');
+  const argv = minimist(process.argv.slice(2));
+
+  try {
+    const { appid } = resolveAppId({
+      cwd: argv.cwd || process.cwd(),
+      projectPath: argv['project-path'],
+      privateKeyPath: argv['private-key']
+    });
+    console.log(appid);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  resolveAppId,
+  collectAppIds,
+  getAppIdFromKeyName
+};
@@ -0,0 +1,128 @@
+/**
+ * 项目构建工具
+ * 功能：
+ * - 执行 ci.config.js 中 build.commands 配置的构建命令
+ * - 构建输出实时写入日志
+ * - 超时后终止整个进程树
+ */
+
+const { spawn } = require('child_process');
+const readline = require('readline');
+const Logger = require('./logger');
+
+// 超时后从 SIGTERM 升级到 SIGKILL 的等待时间（毫秒）
+const KILL_GRACE_PERIOD = 5000;
+
+class ProjectBuilder {
+  /**
+   * @param {Object} options
+   * @param {string} options.cwd - 构建工作目录
+   * @param {number} options.timeout - 超时时间（毫秒），0 表示不限制
+   * @param {Logger} options.logger - 日志实例
+   */
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.timeout = options.timeout || 0;
+    this.logger = options.logger || Logger.default;
+  }
+
+  /**
+   * 终止进程组
+   * 构建命令通过 shell 启动，npm/taro 会再派生子进程，只杀 shell 会留下孤儿进程
+   * @param {ChildProcess} child - 子进程
+   * @param {string} signal - 信号
+   */
+  killTree(child, signal) {
+    try {
+      if (process.platform === 'win32') {
+        spawn('taskkill', ['/pid', String(child.pid), '/T', '/F']);
+      } else {
+        // detached 启动后子进程是进程组组长，负 pid 表示整个进程组
+        process.kill(-child.pid, signal);
+      }
+    } catch (error) {
+      // 进程已退出
+    }
+  }
+
+  /**
+   * 将子进程输出逐行写入日志
+   * @param {Readable} stream - 输出流
+   * @param {Function} write - 日志函数
+   */
+  pipeOutput(stream, write) {
+    const rl = readline.createInterface({ input: stream });
+    rl.on('line', line => {
+      if (line.trim()) {
+        write(`[build] ${line}`);
+      }
+    });
+  }
+
+  /**
+   * 执行构建命令
+   * @param {string} command - 构建命令，例如 npm run build
+   * @returns {Promise<{command: string, duration: number}>} duration 单位为毫秒
+   */
+  run(command) {
+    const startTime = Date.now();
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, {
+        cwd: this.cwd,
+        shell: true,
+        detached: process.platform !== 'win32',
+        env: process.env,
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      this.pipeOutput(child.stdout, line => this.logger.info(line));
+      this.pipeOutput(child.stderr, line => this.logger.warn(line));
+
+      let timedOut = false;
+      let timer = null;
+      let killTimer = null;
+
+      if (this.timeout > 0) {
+        timer = setTimeout(() => {
+          timedOut = true;
+          this.logger.error(`构建超时（${this.timeout / 1000} 秒），正在终止构建进程...`);
+          this.killTree(child, 'SIGTERM');
+          killTimer = setTimeout(() => this.killTree(child, 'SIGKILL'), KILL_GRACE_PERIOD);
+        }, this.timeout);
+      }
+
+      // 父进程被中断时一并终止构建进程
+      const onSignal = () => this.killTree(child, 'SIGTERM');
+      process.once('SIGINT', onSignal);
+      process.once('SIGTERM', onSignal);
+
+      const finish = () => {
+        clearTimeout(timer);
+        clearTimeout(killTimer);
+        process.removeListener('SIGINT', onSignal);
+        process.removeListener('SIGTERM', onSignal);
+      };
+
+      child.on('error', error => {
+        finish();
+        reject(new Error(`构建命令启动失败: ${error.message}`));
+      });
+
+      child.on('close', (code, signal) => {
+        finish();
+        const duration = Date.now() - startTime;
+
+        if (timedOut) {
+          reject(new Error(`构建超时: ${command}（超过 ${this.timeout / 1000} 秒）`));
+        } else if (code !== 0) {
+          reject(new Error(`构建失败: ${command}（${signal ? `信号 ${signal}` : `退出码 ${code}`}）`));
+        } else {
+          resolve({ command, duration });
+        }
+      });
+    });
+  }
+}
+
+module.exports = ProjectBuilder;
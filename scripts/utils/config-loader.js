@@ -0,0 +1,352 @@
+/**
+ * 配置加载工具
+ * 功能：
+ * - 在项目目录中查找 miniprogram-ci.config.{js,json,yaml,yml} 或 package.json 中的 miniprogramCi 字段
+ * - 按 默认配置 < 项目配置 < 环境变量 < 命令行参数 的优先级合并
+ * - 记录每个配置项的来源，供 --print-config 使用
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { redact } = require('./security');
+
+// 项目配置文件查找顺序
+const PROJECT_CONFIG_FILES = [
+  'miniprogram-ci.config.js',
+  'miniprogram-ci.config.json',
+  'miniprogram-ci.config.yaml',
+  'miniprogram-ci.config.yml'
+];
+
+// package.json 中的配置字段
+const PACKAGE_JSON_KEY = 'miniprogramCi';
+
+// 机器人可以是编号或 robots.registry 中的名称
+const parseRobot = value => (/^\d+$/.test(String(value)) ? parseInt(value) : String(value));
+
+// 环境变量 -> 配置路径
+const ENV_MAPPINGS = [
+  { name: 'ROBOT', path: 'robot', parse: parseRobot },
+  { name: 'OSS_PROVIDER', path: 'oss.provider' },
+  { name: 'OSS_PRESET', path: 'oss.preset' },
+  { name: 'OSS_ENDPOINT', path: 'oss.endpoint' },
+  { name: 'OSS_REGION', path: 'oss.region' },
+  { name: 'OSS_BUCKET', path: 'oss.bucket' },
+  { name: 'OSS_CDN_DOMAIN', path: 'oss.cdnDomain' },
+  { name: 'DINGTALK_WEBHOOK', path: 'notification.dingtalk.webhook' },
+  { name: 'DINGTALK_SECRET', path: 'notification.dingtalk.secret' },
+  { name: 'WECOM_WEBHOOK', path: 'notification.wecom.webhook' },
+  { name: 'LARK_WEBHOOK', path: 'notification.lark.webhook' },
+  { name: 'LARK_SECRET', path: 'notification.lark.secret' },
+  { name: 'HISTORY_PATH', path: 'history.path' },
+  { name: 'MP_KEY_SOURCE', path: 'privateKey.source' },
+  { name: 'MP_PRIVATE_KEY_SHA256', path: 'privateKey.sha256' },
+  { name: 'MP_PRIVATE_KEY_FILE', path: 'privateKey.file.path' },
+  { name: 'MP_PRIVATE_KEY_URL', path: 'privateKey.http.url' },
+  { name: 'MP_PRIVATE_KEY_AUTH', path: 'privateKey.http.auth' },
+  { name: 'MP_PRIVATE_KEY_IN_MEMORY', path: 'privateKey.inMemory', parse: value => value === 'true' },
+  { name: 'MP_PRIVATE_KEY_DIR', path: 'privateKey.directory' },
+  { name: 'VAULT_ADDR', path: 'privateKey.vault.address' },
+  { name: 'MP_VAULT_PATH', path: 'privateKey.vault.path' },
+  { name: 'LOG_LEVEL', path: 'logging.level' },
+  { name: 'LOG_FORMAT', path: 'logging.format' },
+  { name: 'IP_WHITELIST', path: 'security.ipWhitelist', parse: value => value.split(',') },
+  { name: 'IP_ECHO_URL', path: 'security.ipEchoUrl' }
+];
+
+// 命令行参数 -> 配置路径
+const CLI_MAPPINGS = [
+  { name: 'robot', path: 'robot', parse: parseRobot },
+  { name: 'qrcode', path: 'qrcodeOptions.outputDest' }
+];
+
+// 输出配置时需要脱敏的字段
+const SENSITIVE_KEY_PATTERN = /secret|cookie|password|passphrase|token|webhook|auth|credential/i;
+
+// 字段名不含敏感词但值本身即为凭证的配置（未认证的私钥下载地址）
+const SENSITIVE_PATHS = ['privateKey.http.url'];
+
+/**
+ * 按路径读取值
+ * @param {Object} obj
+ * @param {string[]} keys
+ * @returns {*}
+ */
+function getPath(obj, keys) {
+  return keys.reduce((current, key) => (current == null ? undefined : current[key]), obj);
+}
+
+/**
+ * 按路径写入值（自动创建中间对象）
+ * @param {Object} obj
+ * @param {string[]} keys
+ * @param {*} value
+ */
+function setPath(obj, keys, value) {
+  let current = obj;
+  keys.slice(0, -1).forEach(key => {
+    if (current[key] === null || typeof current[key] !== 'object') {
+      current[key] = {};
+    }
+    current = current[key];
+  });
+  current[keys[keys.length - 1]] = value;
+}
+
+/**
+ * 列出配置中所有叶子节点路径（数组视为叶子）
+ * @param {Object} obj
+ * @param {string[]} prefix
+ * @returns {string[][]}
+ */
+function listLeaves(obj, prefix = []) {
+  return Object.keys(obj).reduce((leaves, key) => {
+    const value = obj[key];
+    const keys = [...prefix, key];
+    if (value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+      return leaves.concat(listLeaves(value, keys));
+    }
+    return leaves.concat([keys]);
+  }, []);
+}
+
+class ConfigLoader {
+  /**
+   * @param {Object} options
+   * @param {Object} options.baseConfig - ci.config.js 模块
+   * @param {string} options.baseConfigPath - ci.config.js 路径（用于显示来源）
+   * @param {string} options.cwd - 项目目录
+   * @param {string} options.configFile - 显式指定的项目配置文件
+   */
+  constructor(options = {}) {
+    this.baseConfig = options.baseConfig;
+    this.baseConfigPath = options.baseConfigPath || 'ci.config.js';
+    this.cwd = options.cwd || process.cwd();
+    this.configFile = options.configFile || null;
+  }
+
+  /**
+   * 从 ci.config.js 模块中提取原始配置（去掉函数导出）
+   * @param {Object} source
+   * @returns {Object}
+   */
+  pickRaw(source) {
+    const raw = {};
+    ['common', 'environments', ...this.baseConfig.GLOBAL_SECTIONS].forEach(key => {
+      if (source[key] !== undefined) {
+        raw[key] = source[key];
+      }
+    });
+    return raw;
+  }
+
+  /**
+   * 读取配置文件
+   * @param {string} filePath
+   * @returns {Object}
+   */
+  readConfigFile(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+
+    try {
+      if (ext === '.js' || ext === '.cjs') {
+        return require(filePath);
+      }
+
+      const content = fs.readFileSync(filePath, 'utf-8');
+      if (ext === '.yaml' || ext === '.yml') {
+        // js-yaml 仅在使用 YAML 配置时加载
+        return require('js-yaml').load(content) || {};
+      }
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`读取项目配置失败 (${filePath}): ${error.message}`);
+    }
+  }
+
+  /**
+   * 查找项目配置
+   * @returns {{path: string, data: Object}|null}
+   */
+  findProjectConfig() {
+    if (this.configFile) {
+      const filePath = path.resolve(this.cwd, this.configFile);
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`指定的项目配置文件不存在: ${filePath}`);
+      }
+      return { path: filePath, data: this.readConfigFile(filePath) };
+    }
+
+    for (const fileName of PROJECT_CONFIG_FILES) {
+      const filePath = path.join(this.cwd, fileName);
+      if (fs.existsSync(filePath)) {
+        return { path: filePath, data: this.readConfigFile(filePath) };
+      }
+    }
+
+    const packageJsonPath = path.join(this.cwd, 'package.json');
+    if (fs.existsSync(packageJsonPath)) {
+      const packageJson = this.readConfigFile(packageJsonPath);
+      if (packageJson[PACKAGE_JSON_KEY]) {
+        return { path: `${packageJsonPath}#${PACKAGE_JSON_KEY}`, data: packageJson[PACKAGE_JSON_KEY] };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 检查项目配置的顶层字段
+   * @param {Object} data
+   * @param {string} filePath
+   */
+  checkProjectConfig(data, filePath) {
+    const allowed = ['common', 'environments', ...this.baseConfig.GLOBAL_SECTIONS];
+    const unknown = Object.keys(data).filter(key => !allowed.includes(key));
+
+    if (unknown.length > 0) {
+      throw new Error(`项目配置 ${filePath} 包含未知字段: ${unknown.join(', ')}（允许: ${allowed.join(', ')}）`);
+    }
+  }
+
+  /**
+   * 判断解析后配置中的某个值来自项目配置还是默认配置
+   * 环境字段按 envChain -> common 的顺序查找第一个定义了该值的位置
+   * @param {string[]} keys - 配置路径
+   * @param {string[]} envChain - 继承链
+   * @param {Object} projectRaw - 项目原始配置
+   * @returns {boolean}
+   */
+  isFromProject(keys, envChain, projectRaw) {
+    if (this.baseConfig.GLOBAL_SECTIONS.includes(keys[0])) {
+      return getPath(projectRaw, keys) !== undefined;
+    }
+
+    const locations = [...envChain.map(name => ['environments', name]), ['common']];
+    const isArray = Array.isArray(getPath(this.mergedRaw, [...locations[0], ...keys]));
+
+    for (const location of locations) {
+      if (getPath(projectRaw, [...location, ...keys]) !== undefined) {
+        return true;
+      }
+      // 数组会沿继承链追加合并（项目配置只替换同一位置的默认值），需要检查所有位置
+      if (!isArray && getPath(this.baseRaw, [...location, ...keys]) !== undefined) {
+        return false;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 加载配置
+   * @param {string} env - 环境名称
+   * @param {Object} cliOptions - 命令行参数
+   * @returns {{config: Object, sources: Object, projectConfigPath: string|null, envChains: Object}}
+   */
+  load(env, cliOptions = {}) {
+    const { deepMerge, resolveConfig } = this.baseConfig;
+
+    // 1. 默认配置 + 项目配置
+    this.baseRaw = this.pickRaw(this.baseConfig);
+    const project = this.findProjectConfig();
+    const projectRaw = project ? project.data : {};
+    if (project) {
+      this.checkProjectConfig(projectRaw, project.path);
+    }
+    // 项目配置中的数组（如 ignores、oss rewrite）替换默认值，而不是追加，否则无法去掉默认项
+    this.mergedRaw = deepMerge(this.baseRaw, projectRaw, { arrays: 'replace' });
+
+    const config = resolveConfig(this.mergedRaw, env);
+    const sources = {};
+
+    listLeaves(config).forEach(keys => {
+      if (keys[0] === 'env' || keys[0] === 'envChain') return;
+      sources[keys.join('.')] = this.isFromProject(keys, config.envChain, projectRaw)
+        ? `project (${project.path})`
+        : `default (${this.baseConfigPath})`;
+    });
+    sources.env = 'cli (--env)';
+    sources.envChain = 'derived';
+
+    // 2. 环境变量
+    ENV_MAPPINGS.forEach(mapping => {
+      const value = process.env[mapping.name];
+      if (value === undefined || value === '') return;
+      setPath(config, mapping.path.split('.'), mapping.parse ? mapping.parse(value) : value);
+      sources[mapping.path] = `env (${mapping.name})`;
+    });
+
+    // 3. 命令行参数
+    CLI_MAPPINGS.forEach(mapping => {
+      const value = cliOptions[mapping.name];
+      if (value === undefined || value === '' || value === true) return;
+      setPath(config, mapping.path.split('.'), mapping.parse ? mapping.parse(value) : value);
+      sources[mapping.path] = `cli (--${mapping.name})`;
+    });
+
+    return {
+      config,
+      sources,
+      projectConfigPath: project ? project.path : null,
+      envChains: this.getEnvChains()
+    };
+  }
+
+  /**
+   * 所有环境的继承链，如 { hotfix: ['hotfix', 'production', 'development'] }
+   * 用于判断其他环境的上传记录是否属于正式版（见 VersionManager#assertNotBelowProduction）
+   * @returns {Object<string, string[]>}
+   */
+  getEnvChains() {
+    const environments = this.mergedRaw.environments || {};
+    return Object.keys(environments).reduce((chains, name) => {
+      try {
+        chains[name] = this.baseConfig.resolveEnvironment(environments, name).chain;
+      } catch (error) {
+        // 继承关系有误的环境跳过，实际使用该环境时由 resolveConfig() 报错
+      }
+      return chains;
+    }, {});
+  }
+
+  /**
+   * 生成配置报告（敏感字段脱敏）
+   * @param {{config: Object, sources: Object}} result - load() 的返回值
+   * @param {string} format - text / json
+   * @returns {string}
+   */
+  static formatReport(result, format = 'text') {
+    const entries = listLeaves(result.config).map(keys => {
+      const key = keys.join('.');
+      let value = getPath(result.config, keys);
+      if (value && (SENSITIVE_KEY_PATTERN.test(keys[keys.length - 1]) || SENSITIVE_PATHS.includes(key))) {
+        value = '******';
+      } else if (typeof value === 'string') {
+        // 其余字符串按日志规则脱敏（URL 中的签名参数、已登记的密钥值等）
+        value = redact(value);
+      }
+      return { key, value, source: result.sources[key] || 'derived' };
+    });
+
+    if (format === 'json') {
+      return JSON.stringify({
+        projectConfigPath: result.projectConfigPath,
+        values: entries
+      }, null, 2);
+    }
+
+    const width = Math.max(...entries.map(entry => entry.key.length));
+    const lines = [
+      '='.repeat(60),
+      '配置解析结果',
+      `项目配置: ${result.projectConfigPath || '(未找到)'}`,
+      '='.repeat(60),
+      ...entries.map(entry => `${entry.key.padEnd(width)}  ${JSON.stringify(entry.value)}  ← ${entry.source}`),
+      '='.repeat(60)
+    ];
+    return lines.join('\n');
+  }
+}
+
+module.exports = ConfigLoader;
+module.exports.PROJECT_CONFIG_FILES = PROJECT_CONFIG_FILES;
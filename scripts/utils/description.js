@@ -0,0 +1,163 @@
+/**
+ * 版本描述模板
+ * 功能：
+ * - 按 version.descriptionTemplate 渲染上传描述
+ * - 变量来自 build-info.json、Git 信息、CI 环境变量、构建人和机器人编号
+ * - 按微信描述长度限制截断
+ *
+ * 模板语法：
+ * - ${name}        变量，未定义时为空
+ * - ${name|默认值} 变量为空时使用默认值
+ * - [[ ... ]]      可选片段，其中任一变量为空时整段省略
+ */
+
+// 默认模板（与 ci.config.js 中的 version.descriptionTemplate 一致）
+const DEFAULT_TEMPLATE = '[${envLabel}] ${desc}[[ | ${builder}]][[ (${branch}@${commit})]]';
+
+// 默认描述长度上限（字符数）
+const DEFAULT_MAX_LENGTH = 200;
+
+const VARIABLE_PATTERN = /\$\{(\w+)(?:\|([^}]*))?\}/g;
+const OPTIONAL_PATTERN = /\[\[([\s\S]*?)\]\]/g;
+
+/**
+ * 格式化时间（与原有描述格式一致）
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatTime(date) {
+  return date.toLocaleString('zh-CN', {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  });
+}
+
+/**
+ * 将多行文本压缩为单行
+ * @param {*} value
+ * @returns {string}
+ */
+function toSingleLine(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return String(value).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 收集模板变量
+ * 优先级：显式传入 > build-info.json > 环境变量
+ * @param {Object} context
+ * @param {string} context.env - 环境名称
+ * @param {string} context.envLabel - 环境显示名称
+ * @param {string} context.desc - 自定义描述
+ * @param {string} context.version - 版本号
+ * @param {number} context.robot - 机器人编号
+ * @param {Object} context.buildInfo - build-info.json 内容
+ * @param {Date} context.now - 当前时间
+ * @returns {Object}
+ */
+function collectVariables(context = {}) {
+  const env = process.env;
+  const buildInfo = context.buildInfo || {};
+  const git = buildInfo.git || {};
+  const ci = buildInfo.ci || {};
+  const now = context.now || new Date();
+
+  const commitFull = git.commit || env.GIT_COMMIT || env.CI_COMMIT_SHA || '';
+  const commitMessage = git.lastCommitMessage || env.CI_COMMIT_MESSAGE || '';
+  const envLabel = context.envLabel || (context.env === 'production' ? '正式版' : '体验版');
+
+  return {
+    env: context.env || '',
+    envLabel,
+    buildMode: env.BUILD_MODE || '',
+    desc: toSingleLine(context.desc) || `${envLabel}上传`,
+    version: context.version || buildInfo.version || '',
+    robot: context.robot !== undefined && context.robot !== null ? String(context.robot) : '',
+    builder: env.BUILDER || ci.buildUser || env.GITLAB_USER_NAME || env.BUILD_USER || '',
+    time: formatTime(now),
+    date: now.toLocaleDateString('zh-CN'),
+    isoTime: now.toISOString(),
+    buildTime: buildInfo.buildTime || '',
+    branch: (git.branch !== 'HEAD' && git.branch) || env.GIT_BRANCH || env.CI_COMMIT_REF_NAME || env.GITHUB_HEAD_REF || env.GITHUB_REF_NAME || env.BRANCH_NAME || '',
+    commit: git.commitShort || commitFull.substring(0, 7),
+    commitFull,
+    tag: git.tag || env.GIT_TAG || env.CI_COMMIT_TAG || '',
+    commitMessage: toSingleLine(commitMessage.split('\n')[0]),
+    author: git.lastCommitAuthor || env.CI_COMMIT_AUTHOR || '',
+    buildNumber: ci.buildNumber || env.BUILD_NUMBER || env.CI_PIPELINE_ID || '',
+    buildUrl: ci.buildUrl || env.BUILD_URL || env.CI_PIPELINE_URL || '',
+    jobId: env.CI_JOB_ID || env.BUILD_ID || '',
+    mergeRequest: env.CI_MERGE_REQUEST_IID || env.CHANGE_ID || ''
+  };
+}
+
+/**
+ * 替换模板变量
+ * @param {string} template
+ * @param {Object} variables
+ * @returns {{text: string, missing: boolean}} missing 表示存在无默认值的空变量
+ */
+function substitute(template, variables) {
+  let missing = false;
+  const text = template.replace(VARIABLE_PATTERN, (match, name, fallback) => {
+    const value = toSingleLine(variables[name]);
+    if (value) {
+      return value;
+    }
+    if (fallback !== undefined) {
+      return fallback;
+    }
+    missing = true;
+    return '';
+  });
+  return { text, missing };
+}
+
+/**
+ * 按字符截断描述（超出时以 … 结尾）
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function truncate(text, maxLength = DEFAULT_MAX_LENGTH) {
+  const chars = Array.from(text);
+  if (!maxLength || chars.length <= maxLength) {
+    return text;
+  }
+  return chars.slice(0, maxLength - 1).join('') + '…';
+}
+
+/**
+ * 渲染描述
+ * @param {string} template - 描述模板
+ * @param {Object} variables - collectVariables() 的返回值
+ * @param {Object} options
+ * @param {number} options.maxLength - 长度上限
+ * @returns {string}
+ */
+function renderDescription(template, variables, options = {}) {
+  const source = template || DEFAULT_TEMPLATE;
+
+  const withOptional = source.replace(OPTIONAL_PATTERN, (match, segment) => {
+    const { text, missing } = substitute(segment, variables);
+    return missing ? '' : text;
+  });
+  const { text } = substitute(withOptional, variables);
+
+  return truncate(text.replace(/\s+/g, ' ').trim(), options.maxLength || DEFAULT_MAX_LENGTH);
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  DEFAULT_MAX_LENGTH,
+  collectVariables,
+  renderDescription,
+  truncate
+};
@@ -0,0 +1,311 @@
+/**
+ * 上传/预览历史存储
+ * 功能：
+ * - 默认以 JSONL 文件追加保存记录（建议放在挂载的持久化卷上，容器退出后不丢失）
+ * - 支持通过 history.store 指定自定义存储模块（需实现 append(record) 和 all()）
+ * - 按环境、机器人、分支、版本、日期筛选，导出 CSV/JSON
+ * - 首次使用时导入旧的 upload-history.json / preview-history.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const semver = require('./semver');
+
+// 旧版历史文件（按类型）
+const LEGACY_FILES = {
+  upload: './upload-history.json',
+  preview: './preview-history.json'
+};
+
+// CSV 导出列
+const CSV_COLUMNS = [
+  'id', 'type', 'time', 'env', 'robot', 'version', 'wechatVersion', 'desc',
+  'branch', 'commit', 'fullSize', 'qrcodeUrl'
+];
+
+/**
+ * JSONL 文件存储（每行一条记录，只追加不改写）
+ */
+class JsonlBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - 文件路径
+   */
+  constructor(options = {}) {
+    this.file = path.resolve(options.path || './history/miniprogram-ci-history.jsonl');
+  }
+
+  /**
+   * 追加记录
+   * @param {Object} record
+   */
+  append(record) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, JSON.stringify(record) + '\n', 'utf-8');
+  }
+
+  /**
+   * 读取全部记录（跳过损坏的行）
+   * @returns {Object[]}
+   */
+  all() {
+    if (!fs.existsSync(this.file)) {
+      return [];
+    }
+    return fs.readFileSync(this.file, 'utf-8')
+      .split('\n')
+      .filter(line => line.trim())
+      .reduce((records, line) => {
+        try {
+          records.push(JSON.parse(line));
+        } catch (error) {
+          // 写入中断导致的半行记录直接忽略
+        }
+        return records;
+      }, []);
+  }
+
+  /**
+   * 存储位置描述
+   * @returns {string}
+   */
+  describe() {
+    return this.file;
+  }
+}
+
+/**
+ * 解析日期参数，支持 2024-05-14、2024-05-14T10:00 等 Date 可识别的格式
+ * @param {string} value
+ * @param {boolean} endOfDay - 仅有日期时取当天结束时间
+ * @returns {number} 时间戳
+ */
+function parseDate(value, endOfDay = false) {
+  const text = String(value).trim();
+  const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  const date = new Date(isDateOnly ? `${text}T${endOfDay ? '23:59:59.999' : '00:00:00'}` : text);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`无效的日期: ${value}（示例: 2024-05-14）`);
+  }
+  return date.getTime();
+}
+
+/**
+ * 版本筛选：包含范围运算符时按 SemVer 范围匹配，否则按前缀匹配
+ * @param {string} version
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function matchVersion(version, pattern) {
+  if (!version) {
+    return false;
+  }
+  if (/[<>=^~*|x ]/.test(pattern)) {
+    try {
+      return semver.satisfies(String(version).replace(/^v/, ''), pattern, { includePrerelease: true });
+    } catch (error) {
+      // 不是合法的范围表达式时按前缀匹配
+    }
+  }
+  return String(version) === pattern || String(version).startsWith(`${pattern}.`) || String(version).startsWith(`${pattern}-`);
+}
+
+/**
+ * 筛选记录
+ * @param {Object[]} records
+ * @param {Object} filter
+ * @param {string} filter.type - upload / preview
+ * @param {string} filter.env
+ * @param {number|string} filter.robot
+ * @param {string} filter.branch
+ * @param {string} filter.version - 版本号、版本前缀或 SemVer 范围
+ * @param {string} filter.date - 指定日期（当天）
+ * @param {string} filter.since - 起始时间
+ * @param {string} filter.until - 截止时间
+ * @returns {Object[]}
+ */
+function filterRecords(records, filter = {}) {
+  const since = filter.date || filter.since ? parseDate(filter.date || filter.since) : null;
+  const until = filter.date || filter.until ? parseDate(filter.date || filter.until, true) : null;
+
+  return records.filter(record => {
+    if (filter.type && record.type !== filter.type) return false;
+    if (filter.env && record.env !== filter.env) return false;
+    if (filter.robot !== undefined && filter.robot !== null && String(record.robot) !== String(filter.robot)) return false;
+    if (filter.branch && record.branch !== filter.branch) return false;
+    if (filter.version && !matchVersion(record.version, String(filter.version))) return false;
+
+    const time = new Date(record.time).getTime();
+    if (since !== null && !(time >= since)) return false;
+    if (until !== null && !(time <= until)) return false;
+    return true;
+  });
+}
+
+/**
+ * CSV 字段转义
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeCsv(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 导出为 CSV
+ * @param {Object[]} records
+ * @returns {string}
+ */
+function toCsv(records) {
+  const rows = records.map(record => {
+    const full = (record.packageInfo || []).find(pkg => pkg.name === '__FULL__');
+    const values = { ...record, fullSize: full ? full.size : '' };
+    return CSV_COLUMNS.map(column => escapeCsv(values[column])).join(',');
+  });
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+class HistoryStore {
+  /**
+   * @param {Object} backend - 存储后端，需实现 append(record) 和 all()
+   */
+  constructor(backend) {
+    this.backend = backend;
+  }
+
+  /**
+   * 保存记录（补充 id、类型和时间）
+   * @param {string} type - upload / preview
+   * @param {Object} record
+   * @returns {Object} 保存的记录
+   */
+  append(type, record) {
+    const saved = {
+      id: `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+      type,
+      time: new Date().toISOString(),
+      ...record
+    };
+    this.backend.append(saved);
+    return saved;
+  }
+
+  /**
+   * 读取全部记录（按时间升序）
+   * @returns {Object[]}
+   */
+  all() {
+    return this.backend.all()
+      .slice()
+      .sort((a, b) => new Date(a.time).getTime() - new Date(b.time).getTime());
+  }
+
+  /**
+   * 按条件查询（按时间升序）
+   * @param {Object} filter - 见 filterRecords()
+   * @returns {Object[]}
+   */
+  query(filter = {}) {
+    return filterRecords(this.all(), filter);
+  }
+
+  /**
+   * 按 id（或 id 前缀）查找记录
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    const matches = this.all().filter(record => record.id === id || String(record.id).startsWith(id));
+    if (matches.length > 1 && !matches.some(record => record.id === id)) {
+      throw new Error(`记录 id 前缀 ${id} 匹配到 ${matches.length} 条记录，请提供更完整的 id`);
+    }
+    return matches.find(record => record.id === id) || matches[0] || null;
+  }
+
+  /**
+   * 存储位置描述
+   * @returns {string}
+   */
+  describe() {
+    return typeof this.backend.describe === 'function' ? this.backend.describe() : this.backend.constructor.name;
+  }
+
+  /**
+   * 导入旧版 JSON 历史文件（仅在存储为空时执行）
+   * @param {string} cwd - 旧文件所在目录
+   * @returns {number} 导入的记录数
+   */
+  importLegacy(cwd = process.cwd()) {
+    if (this.backend.all().length > 0) {
+      return 0;
+    }
+
+    let count = 0;
+    Object.keys(LEGACY_FILES).forEach(type => {
+      const file = path.resolve(cwd, LEGACY_FILES[type]);
+      if (!fs.existsSync(file)) return;
+
+      let records;
+      try {
+        records = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      } catch (error) {
+        return;
+      }
+
+      (Array.isArray(records) ? records : []).forEach((record, index) => {
+        const time = record.uploadTime || record.previewTime || new Date(0).toISOString();
+        this.backend.append({
+          id: `legacy-${type}-${index + 1}`,
+          type,
+          time,
+          branch: record.buildInfo && record.buildInfo.branch,
+          commit: record.buildInfo && record.buildInfo.commit,
+          ...record
+        });
+        count += 1;
+      });
+    });
+    return count;
+  }
+}
+
+/**
+ * 按 history 配置创建历史存储
+ * @param {Object} config - ci.config.js 中的 history 配置
+ * @param {Object} options
+ * @param {string} options.cwd - 自定义存储模块的相对路径基准
+ * @returns {HistoryStore}
+ */
+function createHistoryStore(config = {}, options = {}) {
+  const store = config.store || 'jsonl';
+
+  if (store === 'jsonl') {
+    return new HistoryStore(new JsonlBackend({ path: config.path }));
+  }
+
+  // 自定义存储模块：导出一个类，构造参数为 history 配置
+  const modulePath = path.resolve(options.cwd || process.cwd(), store);
+  let Backend;
+  try {
+    Backend = require(modulePath);
+  } catch (error) {
+    throw new Error(`加载历史存储模块失败 (${modulePath}): ${error.message}`);
+  }
+
+  const backend = new Backend(config);
+  if (typeof backend.append !== 'function' || typeof backend.all !== 'function') {
+    throw new Error(`历史存储模块 ${modulePath} 需实现 append(record) 和 all() 方法`);
+  }
+  return new HistoryStore(backend);
+}
+
+module.exports = {
+  HistoryStore,
+  JsonlBackend,
+  createHistoryStore,
+  filterRecords,
+  toCsv,
+  CSV_COLUMNS
+};
@@ -0,0 +1,332 @@
+/**
+ * 私钥来源
+ * 功能：
+ * - env：环境变量（Base64 或 PEM 原文），默认 MP_PRIVATE_KEY_BASE64
+ * - file：挂载的文件，如 Docker secrets（/run/secrets/...）
+ * - http：HTTP(S) 下载，支持 Bearer / Basic 认证、超时和重定向
+ * - vault：HashiCorp Vault KV（v1 / v2）
+ * - 读取后按 sha256 校验私钥文件的 SHA-256 指纹
+ * - forceHttps 时拒绝明文 HTTP 的下载地址、重定向和 Vault 地址
+ *
+ * 令牌、密码等凭证只从环境变量读取，不写入配置文件
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const Logger = require('./logger');
+const { requireHttps } = require('./security');
+
+/**
+ * 替换路径、地址中的 {appid}
+ * @param {string} value
+ * @param {string} appid
+ * @returns {string}
+ */
+function withAppId(value, appid) {
+  return String(value || '').replace(/\{appid\}/g, appid || '');
+}
+
+/**
+ * 解码私钥内容：PEM 原文直接使用，否则按 Base64 解码
+ * @param {string|Buffer} value
+ * @returns {Buffer}
+ */
+function decodeKey(value) {
+  const text = Buffer.isBuffer(value) ? value.toString('utf-8') : String(value);
+  return text.includes('-----BEGIN')
+    ? Buffer.from(text, 'utf-8')
+    : Buffer.from(text.replace(/\s+/g, ''), 'base64');
+}
+
+/**
+ * 私钥文件的 SHA-256 指纹（与 sha256sum 输出一致）
+ * @param {Buffer} content
+ * @returns {string}
+ */
+function fingerprint(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * 规范化期望的指纹：忽略大小写、sha256: 前缀和冒号分隔
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeFingerprint(value) {
+  return String(value || '').trim().toLowerCase().replace(/^sha256:/, '').replace(/:/g, '');
+}
+
+/**
+ * 校验私钥指纹，不一致时抛出不可重试的错误
+ * @param {Buffer} content
+ * @param {string} expected - 期望的 SHA-256（hex）
+ * @param {string} source - 来源描述
+ */
+function verifyFingerprint(content, expected, source) {
+  if (!expected) {
+    return;
+  }
+
+  const actual = fingerprint(content);
+  if (actual !== normalizeFingerprint(expected)) {
+    const error = new Error(`私钥指纹不匹配（${source}）: 期望 ${normalizeFingerprint(expected)}，实际 ${actual}`);
+    error.retryable = false;
+    throw error;
+  }
+}
+
+class EnvKeySource {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - 环境变量名
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'MP_PRIVATE_KEY_BASE64';
+  }
+
+  async fetch() {
+    const value = process.env[this.name];
+    if (!value) {
+      throw new Error(`环境变量 ${this.name} 未设置`);
+    }
+    return decodeKey(value);
+  }
+
+  describe() {
+    return `环境变量 ${this.name}`;
+  }
+}
+
+class FileKeySource {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - 文件路径，支持 {appid}
+   * @param {string} appid
+   */
+  constructor(options = {}, appid) {
+    this.path = withAppId(options.path || '/run/secrets/mp_private_key', appid);
+  }
+
+  async fetch() {
+    if (!fs.existsSync(this.path)) {
+      throw new Error(`私钥文件不存在: ${this.path}`);
+    }
+    return decodeKey(fs.readFileSync(this.path));
+  }
+
+  describe() {
+    return `文件 ${this.path}`;
+  }
+}
+
+class HttpKeySource {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - 下载地址，支持 {appid}
+   * @param {string} options.auth - 认证方式：bearer（MP_PRIVATE_KEY_TOKEN）/ basic（MP_PRIVATE_KEY_USERNAME、MP_PRIVATE_KEY_PASSWORD），留空为不认证
+   * @param {number} options.timeout - 超时（毫秒）
+   * @param {number} options.maxRedirects - 最多跟随的重定向次数
+   * @param {boolean} options.forceHttps - 拒绝明文 HTTP 地址（security.forceHttps）
+   * @param {Logger} options.logger - 日志实例
+   * @param {string} appid
+   */
+  constructor(options = {}, appid) {
+    this.url = withAppId(options.url || process.env.MP_PRIVATE_KEY_URL, appid);
+    this.auth = options.auth || (process.env.MP_PRIVATE_KEY_TOKEN ? 'bearer' : '');
+    this.timeout = options.timeout || 15000;
+    this.maxRedirects = options.maxRedirects === undefined ? 3 : options.maxRedirects;
+    this.forceHttps = options.forceHttps === true;
+    this.logger = options.logger || Logger.default;
+
+    if (!this.url) {
+      throw new Error('未配置私钥下载地址（privateKey.http.url 或 MP_PRIVATE_KEY_URL）');
+    }
+    if (this.forceHttps) {
+      requireHttps({ '下载地址': this.url }, '私钥下载');
+    }
+  }
+
+  /**
+   * 认证请求头
+   * @returns {Object}
+   */
+  getHeaders() {
+    const env = process.env;
+    if (this.auth === 'bearer') {
+      if (!env.MP_PRIVATE_KEY_TOKEN) {
+        throw new Error('私钥下载使用 Bearer 认证，但 MP_PRIVATE_KEY_TOKEN 未设置');
+      }
+      return { Authorization: `Bearer ${env.MP_PRIVATE_KEY_TOKEN}` };
+    }
+    if (this.auth === 'basic') {
+      if (!env.MP_PRIVATE_KEY_USERNAME || !env.MP_PRIVATE_KEY_PASSWORD) {
+        throw new Error('私钥下载使用 Basic 认证，但 MP_PRIVATE_KEY_USERNAME / MP_PRIVATE_KEY_PASSWORD 未设置');
+      }
+      const credentials = Buffer.from(`${env.MP_PRIVATE_KEY_USERNAME}:${env.MP_PRIVATE_KEY_PASSWORD}`).toString('base64');
+      return { Authorization: `Basic ${credentials}` };
+    }
+    if (this.auth) {
+      throw new Error(`不支持的私钥下载认证方式: ${this.auth}（可选 bearer / basic）`);
+    }
+    return {};
+  }
+
+  async fetch() {
+    if (!this.auth) {
+      this.logger.warn('私钥下载地址未配置认证（privateKey.http.auth），任何能访问该地址的人都能获取私钥');
+    }
+
+    try {
+      const response = await axios.get(this.url, {
+        headers: this.getHeaders(),
+        timeout: this.timeout,
+        maxRedirects: this.maxRedirects,
+        // 重定向到 HTTP 地址同样拒绝，避免私钥经明文传输
+        beforeRedirect: options => {
+          if (this.forceHttps) {
+            requireHttps({ '重定向地址': options.href }, '私钥下载');
+          }
+        },
+        responseType: 'arraybuffer'
+      });
+      return decodeKey(Buffer.from(response.data));
+    } catch (error) {
+      if (error.response) {
+        throw new Error(`下载失败，状态码: ${error.response.status}`);
+      }
+      throw error;
+    }
+  }
+
+  describe() {
+    // 只输出协议和主机，私钥地址（尤其是未认证的地址）本身即为凭证
+    return `HTTP ${new URL(this.url).origin}/***${this.auth ? `（${this.auth} 认证）` : ''}`;
+  }
+}
+
+class VaultKeySource {
+  /**
+   * @param {Object} options
+   * @param {string} options.address - Vault 地址（默认 VAULT_ADDR）
+   * @param {string} options.mount - KV 引擎挂载点
+   * @param {string} options.path - 密钥路径，支持 {appid}
+   * @param {string} options.field - 私钥所在字段
+   * @param {number} options.kvVersion - KV 引擎版本：1 / 2
+   * @param {string} options.namespace - Vault 企业版命名空间（默认 VAULT_NAMESPACE）
+   * @param {number} options.timeout - 超时（毫秒）
+   * @param {boolean} options.forceHttps - 拒绝明文 HTTP 地址（security.forceHttps）
+   * @param {string} appid
+   */
+  constructor(options = {}, appid) {
+    this.address = String(options.address || process.env.VAULT_ADDR || '').replace(/\/+$/, '');
+    this.mount = String(options.mount || 'secret').replace(/^\/+|\/+$/g, '');
+    this.path = withAppId(options.path, appid).replace(/^\/+/, '');
+    this.field = options.field || 'private_key';
+    this.kvVersion = Number(options.kvVersion) === 1 ? 1 : 2;
+    this.namespace = options.namespace || process.env.VAULT_NAMESPACE;
+    this.timeout = options.timeout || 15000;
+
+    if (!this.address || !this.path) {
+      throw new Error('Vault 未配置地址或密钥路径（privateKey.vault.address / VAULT_ADDR、privateKey.vault.path）');
+    }
+    if (options.forceHttps) {
+      requireHttps({ '地址': this.address }, 'Vault');
+    }
+  }
+
+  /**
+   * 读取地址：KV v2 为 /v1/<mount>/data/<path>，v1 为 /v1/<mount>/<path>
+   * @returns {string}
+   */
+  getUrl() {
+    return this.kvVersion === 2
+      ? `${this.address}/v1/${this.mount}/data/${this.path}`
+      : `${this.address}/v1/${this.mount}/${this.path}`;
+  }
+
+  async fetch() {
+    const token = process.env.VAULT_TOKEN;
+    if (!token) {
+      throw new Error('环境变量 VAULT_TOKEN 未设置');
+    }
+
+    const headers = { 'X-Vault-Token': token };
+    if (this.namespace) {
+      headers['X-Vault-Namespace'] = this.namespace;
+    }
+
+    let response;
+    try {
+      response = await axios.get(this.getUrl(), { headers, timeout: this.timeout });
+    } catch (error) {
+      if (error.response) {
+        const errors = (error.response.data && error.response.data.errors) || [];
+        throw new Error(`读取 Vault 失败，状态码: ${error.response.status}${errors.length ? `（${errors.join('; ')}）` : ''}`);
+      }
+      throw error;
+    }
+
+    const body = response.data && response.data.data;
+    const secret = this.kvVersion === 2 ? body && body.data : body;
+    const value = secret && secret[this.field];
+    if (!value) {
+      throw new Error(`Vault 密钥 ${this.mount}/${this.path} 中没有字段 ${this.field}`);
+    }
+    return decodeKey(value);
+  }
+
+  describe() {
+    return `Vault ${this.address} ${this.mount}/${this.path}#${this.field}`;
+  }
+}
+
+const KEY_SOURCES = {
+  env: EnvKeySource,
+  file: FileKeySource,
+  http: HttpKeySource,
+  vault: VaultKeySource
+};
+
+/**
+ * 未指定 source 时按已设置的环境变量选择（兼容原有的 MP_PRIVATE_KEY_URL / MP_PRIVATE_KEY_BASE64）
+ * @param {Object} config - privateKey 配置
+ * @returns {string}
+ */
+function detectSource(config) {
+  const env = process.env;
+  if ((config.http || {}).url || env.MP_PRIVATE_KEY_URL) return 'http';
+  if (env.MP_PRIVATE_KEY_BASE64) return 'env';
+  if ((config.vault || {}).path && (config.vault.address || env.VAULT_ADDR)) return 'vault';
+  if ((config.file || {}).path && fs.existsSync(config.file.path)) return 'file';
+  return null;
+}
+
+/**
+ * 按 privateKey 配置创建私钥来源
+ * @param {Object} config - ci.config.js 中的 privateKey 配置
+ * @param {Object} options
+ * @param {string} options.appid - 用于替换路径中的 {appid}
+ * @param {boolean} options.forceHttps - 拒绝明文 HTTP 地址
+ * @param {Logger} options.logger - 日志实例
+ * @returns {Object}
+ */
+function createKeySource(config = {}, options = {}) {
+  const source = config.source || detectSource(config);
+  if (!source) {
+    throw new Error('未配置私钥来源（privateKey.source / MP_KEY_SOURCE），或设置 MP_PRIVATE_KEY_URL、MP_PRIVATE_KEY_BASE64');
+  }
+
+  const KeySource = KEY_SOURCES[source];
+  if (!KeySource) {
+    throw new Error(`不支持的私钥来源: ${source}（可选: ${Object.keys(KEY_SOURCES).join('/')}）`);
+  }
+  return new KeySource({ ...config[source], forceHttps: options.forceHttps, logger: options.logger }, options.appid);
+}
+
+module.exports = {
+  createKeySource,
+  fingerprint,
+  verifyFingerprint,
+  KEY_SOURCES
+};
@@ -2,18 +2,128 @@
  * 日志工具
  * 功能：
  * - 格式化输出日志
- * - 支持不同级别日志
+ * - 按级别过滤日志（debug / info / warn / error）
+ * - text 格式（彩色文本）和 json 格式（每行一个 JSON 对象，供 Loki、ELK 等采集）
+ * - 上下文字段（runId、env、robot、stage 等）附加到每条 json 日志
  * - 进度显示
+ * - 输出前脱敏 Cookie、签名参数、密钥等（见 security.js）
  */
 
+const fs = require('fs');
+const path = require('path');
 const chalk = require('chalk');
+const { redact } = require('./security');
+
+// 日志级别，低于 level 的日志不输出
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const FORMATS = ['text', 'json'];
+
+// 各输出方法对应的级别，以及 text 格式下的标签和颜色
+const STYLES = {
+  debug: { level: 'debug', label: 'DEBUG', color: 'gray', tagColor: 'gray' },
+  info: { level: 'info', label: 'INFO', color: 'white', tagColor: 'blue' },
+  success: { level: 'info', label: 'SUCCESS', color: 'green', tagColor: 'green' },
+  progress: { level: 'info', label: 'PROGRESS', color: 'cyan', tagColor: 'cyan' },
+  warn: { level: 'warn', label: 'WARN', color: 'yellow', tagColor: 'yellow' },
+  error: { level: 'error', label: 'ERROR', color: 'red', tagColor: 'red' }
+};
+
+/**
+ * 递归脱敏 json 日志中的字符串字段
+ * 逐个字段处理而不是处理序列化后的整行，避免脱敏规则吞掉 JSON 的引号和分隔符
+ * @param {*} value
+ * @returns {*}
+ */
+function redactValue(value) {
+  if (typeof value === 'string') {
+    return redact(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redactValue);
+  }
+  if (value instanceof Error) {
+    return { message: redact(value.message), stack: value.stack ? redact(value.stack) : undefined };
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((result, key) => {
+      result[key] = redactValue(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+}
 
 class Logger {
+  /**
+   * @param {Object} options
+   * @param {string} options.level - 最低输出级别：debug / info / warn / error，默认 info
+   * @param {boolean} options.verbose - 等同于 level: 'debug'
+   * @param {boolean} options.silent - 不输出到控制台（仍写入日志文件）
+   * @param {string} options.format - text / json
+   * @param {boolean} options.colors - text 格式是否彩色输出
+   * @param {boolean} options.timestamps - text 格式是否带时间戳（json 格式总是包含 time 字段）
+   * @param {string} options.logFile - 日志文件路径，与控制台使用相同格式
+   * @param {Object} options.context - 附加到每条 json 日志的字段，如 { runId, env, robot }
+   */
   constructor(options = {}) {
-    this.verbose = options.verbose || false;
+    this.level = options.verbose ? 'debug' : (options.level || 'info');
+    if (!LEVELS[this.level]) {
+      throw new Error(`不支持的日志级别: ${this.level}（可选: ${Object.keys(LEVELS).join('/')}）`);
+    }
+    this.format = options.format || 'text';
+    if (!FORMATS.includes(this.format)) {
+      throw new Error(`不支持的日志格式: ${this.format}（可选: ${FORMATS.join('/')}）`);
+    }
+
+    this.verbose = this.level === 'debug';
     this.silent = options.silent || false;
     this.logFile = options.logFile || null;
     this.timestamps = options.timestamps !== false;
+    this.colors = options.colors !== false;
+    // 关闭彩色或使用 json 格式时，chalk 各方法原样返回文本
+    this.chalk = this.colors && this.format === 'text' ? chalk : new chalk.Instance({ level: 0 });
+    this.context = { ...options.context };
+    this.parent = null;
+  }
+
+  /**
+   * 创建子日志实例，共享级别、格式和输出目标，并附加固定字段
+   * component 字段在 text 格式下显示为消息前缀，如 [OSSUploader]
+   * @param {Object} fields - 如 { component: 'OSSUploader' }
+   * @returns {Logger}
+   */
+  child(fields = {}) {
+    const child = Object.create(this);
+    child.parent = this;
+    child.context = { ...fields };
+    return child;
+  }
+
+  /**
+   * 更新上下文字段（如 stage、robot），之后的日志均携带
+   * 子实例的日志同样包含父实例的上下文
+   * @param {Object} fields
+   */
+  setContext(fields) {
+    Object.assign(this.context, fields);
+  }
+
+  /**
+   * 当前上下文（父实例字段在前，子实例字段覆盖）
+   * @returns {Object}
+   */
+  getContext() {
+    return this.parent ? { ...this.parent.getContext(), ...this.context } : { ...this.context };
+  }
+
+  /**
+   * 是否输出指定级别的日志
+   * @param {string} level
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
   }
 
   /**
@@ -34,7 +144,9 @@ class Logger {
    */
   formatMessage(level, message) {
     const timestamp = this.getTimestamp();
-    return timestamp ? `${timestamp} ${message}` : message;
+    const { component } = this.getContext();
+    const text = component ? `[${component}] ${message}` : message;
+    return timestamp ? `${timestamp} ${text}` : text;
   }
 
   /**
@@ -42,104 +154,161 @@ class Logger {
    * @param {string} message - 消息内容
    * @param {Function} chalkFn - chalk 颜色函数
    */
-  output(message, chalkFn = chalk.white) {
+  output(message, chalkFn = this.chalk.white) {
+    this.write(chalkFn(redact(message)));
+  }
+
+  /**
+   * 写入一行到控制台和日志文件
+   * @param {string} line - 已脱敏的内容
+   */
+  write(line) {
     if (!this.silent) {
-      console.log(chalkFn(message));
+      console.log(line);
     }
 
     // 如果配置了日志文件，同时写入文件
     if (this.logFile) {
-      const fs = require('fs');
-      const path = require('path');
-
       // 确保日志目录存在
       const logDir = path.dirname(this.logFile);
       if (!fs.existsSync(logDir)) {
         fs.mkdirSync(logDir, { recursive: true });
       }
 
-      const plainMessage = message.replace(/\x1b\[[0-9;]*m/g, ''); // 移除颜色代码
-      fs.appendFileSync(this.logFile, plainMessage + '\n', 'utf-8');
+      const plainLine = line.replace(/\x1b\[[0-9;]*m/g, ''); // 移除颜色代码
+      fs.appendFileSync(this.logFile, plainLine + '\n', 'utf-8');
     }
   }
 
+  /**
+   * 输出一条 json 日志
+   * @param {string} level
+   * @param {string} message
+   * @param {Object} fields - 附加字段，如 { duration }
+   */
+  writeJson(level, message, fields = {}) {
+    const record = {
+      time: new Date().toISOString(),
+      level,
+      msg: String(message),
+      ...this.getContext(),
+      ...fields
+    };
+    this.write(JSON.stringify(redactValue(record)));
+  }
+
+  /**
+   * 按级别输出日志
+   * @param {string} type - STYLES 中的类型（success、progress 按 info 级别输出）
+   * @param {string} message
+   * @param {Object} fields - 附加字段，仅 json 格式输出
+   */
+  log(type, message, fields) {
+    const style = STYLES[type];
+    if (!this.isLevelEnabled(style.level)) {
+      return;
+    }
+
+    if (this.format === 'json') {
+      this.writeJson(style.level, message, fields);
+      return;
+    }
+
+    const formatted = this.formatMessage(style.label, message);
+    this.output(`${this.chalk[style.tagColor](`[${style.label}]`)} ${formatted}`, this.chalk[style.color]);
+  }
+
   /**
    * 信息日志
    * @param {string} message
+   * @param {Object} fields - 附加字段（json 格式）
    */
-  info(message) {
-    const formatted = this.formatMessage('INFO', message);
-    this.output(`${chalk.blue('[INFO]')} ${formatted}`, chalk.white);
+  info(message, fields) {
+    this.log('info', message, fields);
   }
 
   /**
    * 成功日志
    * @param {string} message
+   * @param {Object} fields - 附加字段（json 格式）
    */
-  success(message) {
-    const formatted = this.formatMessage('SUCCESS', message);
-    this.output(`${chalk.green('[SUCCESS]')} ${formatted}`, chalk.green);
+  success(message, fields) {
+    this.log('success', message, fields);
   }
 
   /**
    * 错误日志
    * @param {string} message
+   * @param {Object} fields - 附加字段（json 格式）
    */
-  error(message) {
-    const formatted = this.formatMessage('ERROR', message);
-    this.output(`${chalk.red('[ERROR]')} ${formatted}`, chalk.red);
+  error(message, fields) {
+    this.log('error', message, fields);
   }
 
   /**
    * 警告日志
    * @param {string} message
+   * @param {Object} fields - 附加字段（json 格式）
    */
-  warn(message) {
-    const formatted = this.formatMessage('WARN', message);
-    this.output(`${chalk.yellow('[WARN]')} ${formatted}`, chalk.yellow);
+  warn(message, fields) {
+    this.log('warn', message, fields);
   }
 
   /**
-   * 调试日志（仅在 verbose 模式下显示）
+   * 调试日志（仅在 level 为 debug 或 verbose 模式下显示）
    * @param {string} message
+   * @param {Object} fields - 附加字段（json 格式）
    */
-  debug(message) {
-    if (this.verbose) {
-      const formatted = this.formatMessage('DEBUG', message);
-      this.output(`${chalk.gray('[DEBUG]')} ${formatted}`, chalk.gray);
-    }
+  debug(message, fields) {
+    this.log('debug', message, fields);
   }
 
   /**
    * 进度日志
    * @param {string} message
+   * @param {Object} fields - 附加字段（json 格式）
    */
-  progress(message) {
-    const formatted = this.formatMessage('PROGRESS', message);
-    this.output(`${chalk.cyan('[PROGRESS]')} ${formatted}`, chalk.cyan);
+  progress(message, fields) {
+    this.log('progress', message, fields);
   }
 
   /**
-   * 分隔线
+   * 分隔线（仅 text 格式）
    */
   divider() {
-    this.output(chalk.gray('='.repeat(60)), chalk.gray);
+    if (this.format === 'text' && this.isLevelEnabled('info')) {
+      this.output(this.chalk.gray('='.repeat(60)), this.chalk.gray);
+    }
   }
 
   /**
-   * 空行
+   * 空行（仅 text 格式）
    */
   newline() {
-    console.log('');
+    if (this.format === 'text' && this.isLevelEnabled('info') && !this.silent) {
+      console.log('');
+    }
   }
 
   /**
    * 表格输出
+   * json 格式输出为一条日志，rows 为以表头为键的对象数组
    * @param {Array} data - 表格数据
    * @param {Array} headers - 表头
    */
   table(data, headers) {
-    if (!data || data.length === 0) return;
+    if (!data || data.length === 0 || !this.isLevelEnabled('info')) return;
+
+    if (this.format === 'json') {
+      const rows = data.map(row => headers.reduce((record, header, index) => {
+        record[header] = row[index];
+        return record;
+      }, {}));
+      this.writeJson('info', headers.join(' | '), { rows });
+      return;
+    }
+
+    const c = this.chalk;
 
     // 计算列宽
     const columnWidths = headers.map((header, index) => {
@@ -155,8 +324,8 @@ class Logger {
       .map((header, index) => header.padEnd(columnWidths[index]))
       .join(' | ');
 
-    this.output(chalk.bold(headerRow), chalk.white);
-    this.output(chalk.gray('-'.repeat(headerRow.length)), chalk.gray);
+    this.output(c.bold(headerRow), c.white);
+    this.output(c.gray('-'.repeat(headerRow.length)), c.gray);
 
     // 输出数据行
     data.forEach(row => {
@@ -169,7 +338,7 @@ class Logger {
         })
         .join(' | ');
 
-      this.output(dataRow, chalk.white);
+      this.output(dataRow, c.white);
     });
   }
 
@@ -179,8 +348,13 @@ class Logger {
    * @param {string} bullet - 项目符号
    */
   list(items, bullet = '•') {
+    if (!this.isLevelEnabled('info')) return;
     items.forEach(item => {
-      this.output(`  ${chalk.cyan(bullet)} ${item}`, chalk.white);
+      if (this.format === 'json') {
+        this.writeJson('info', item);
+      } else {
+        this.output(`  ${this.chalk.cyan(bullet)} ${item}`, this.chalk.white);
+      }
     });
   }
 
@@ -189,7 +363,12 @@ class Logger {
    * @param {string} message
    */
   highlight(message) {
-    this.output(chalk.bgCyan.black(` ${message} `), chalk.white);
+    if (!this.isLevelEnabled('info')) return;
+    if (this.format === 'json') {
+      this.writeJson('info', message);
+      return;
+    }
+    this.output(this.chalk.bgCyan.black(` ${message} `), this.chalk.white);
   }
 
   /**
@@ -198,30 +377,35 @@ class Logger {
    * @param {string} message - 消息
    */
   icon(icon, message) {
-    this.output(`${icon} ${message}`, chalk.white);
+    if (!this.isLevelEnabled('info')) return;
+    if (this.format === 'json') {
+      this.writeJson('info', `${icon} ${message}`);
+      return;
+    }
+    this.output(`${icon} ${message}`, this.chalk.white);
   }
 
   /**
    * 静态方法 - 快速输出
    */
   static info(message) {
-    console.log(`${chalk.blue('[INFO]')} ${message}`);
+    console.log(`${chalk.blue('[INFO]')} ${redact(message)}`);
   }
 
   static success(message) {
-    console.log(`${chalk.green('[SUCCESS]')} ${message}`);
+    console.log(`${chalk.green('[SUCCESS]')} ${redact(message)}`);
   }
 
   static error(message) {
-    console.log(`${chalk.red('[ERROR]')} ${message}`);
+    console.log(`${chalk.red('[ERROR]')} ${redact(message)}`);
   }
 
   static warn(message) {
-    console.log(`${chalk.yellow('[WARN]')} ${message}`);
+    console.log(`${chalk.yellow('[WARN]')} ${redact(message)}`);
   }
 
   static progress(message) {
-    console.log(`${chalk.cyan('[PROGRESS]')} ${message}`);
+    console.log(`${chalk.cyan('[PROGRESS]')} ${redact(message)}`);
   }
 
   static divider() {
@@ -234,4 +418,5 @@ const defaultLogger = new Logger();
 
 // 导出类和默认实例
 module.exports = Logger;
-module.exports.default = defaultLogger;
\ No newline at end of file
+module.exports.default = defaultLogger;
+module.exports.LEVELS = LEVELS;
@@ -0,0 +1,323 @@
+/**
+ * 消息通知工具
+ * 功能：
+ * - 上传/预览结束后推送通知到钉钉、企业微信、飞书群机器人
+ * - 按各平台规则使用 secret 进行 HMAC 签名
+ * - 消息内容包含版本、环境、机器人、包体积和二维码 CDN 地址
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const Logger = require('./logger');
+
+/**
+ * 格式化包名
+ * @param {string} name - subPackageInfo 中的包名
+ * @returns {string}
+ */
+function formatPackageName(name) {
+  if (name === '__FULL__') return '完整包';
+  if (name === '__APP__') return '主包';
+  return name;
+}
+
+/**
+ * 格式化字节大小
+ * @param {number} size - 字节数
+ * @returns {string}
+ */
+function formatSize(size) {
+  if (size >= 1024 * 1024) {
+    return `${(size / 1024 / 1024).toFixed(2)} MB`;
+  }
+  return `${(size / 1024).toFixed(2)} KB`;
+}
+
+class Notifier {
+  /**
+   * @param {Object} config - ci.config.js 中的 notification 配置
+   * @param {Object} options
+   * @param {Logger} options.logger - 日志实例
+   */
+  constructor(config = {}, options = {}) {
+    this.config = config || {};
+    this.logger = options.logger || Logger.default;
+    this.timeout = options.timeout || 10000;
+  }
+
+  /**
+   * 获取已配置 webhook 的通知渠道
+   * @returns {string[]}
+   */
+  getChannels() {
+    return ['dingtalk', 'wecom', 'lark'].filter(
+      channel => this.config[channel] && this.config[channel].webhook
+    );
+  }
+
+  /**
+   * 是否有可用的通知渠道
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.getChannels().length > 0;
+  }
+
+  /**
+   * 钉钉加签
+   * 签名字符串为 `${timestamp}\n${secret}`，以 secret 为密钥做 HmacSHA256 后 Base64
+   * @param {string} secret - 加签密钥
+   * @param {number} timestamp - 毫秒时间戳
+   * @returns {string} 未 URL 编码的签名
+   */
+  static signDingTalk(secret, timestamp) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}\n${secret}`)
+      .digest('base64');
+  }
+
+  /**
+   * 飞书加签
+   * 以 `${timestamp}\n${secret}` 作为密钥对空字符串做 HmacSHA256 后 Base64
+   * @param {string} secret - 加签密钥
+   * @param {number} timestamp - 秒级时间戳
+   * @returns {string}
+   */
+  static signLark(secret, timestamp) {
+    return crypto
+      .createHmac('sha256', `${timestamp}\n${secret}`)
+      .update('')
+      .digest('base64');
+  }
+
+  /**
+   * 生成通知标题
+   * @param {Object} payload - 通知内容
+   * @returns {string}
+   */
+  buildTitle(payload) {
+    const actionLabel = payload.action === 'preview' ? '预览' : '上传';
+    return payload.status === 'success'
+      ? `✅ 小程序${actionLabel}成功 (${payload.env})`
+      : `❌ 小程序${actionLabel}失败 (${payload.env})`;
+  }
+
+  /**
+   * 生成通知正文行（Markdown）
+   * @param {Object} payload - 通知内容
+   * @returns {string[]}
+   */
+  buildLines(payload) {
+    const lines = [
+      `- 环境: ${payload.env}`,
+      `- 版本: ${payload.version || '-'}`,
+      `- 描述: ${payload.desc || '-'}`,
+      `- 机器人: ${payload.robot}`
+    ];
+
+    if (payload.duration) {
+      lines.push(`- 耗时: ${payload.duration}秒`);
+    }
+
+    if (payload.status !== 'success' && payload.error) {
+      lines.push(`- 错误: ${payload.error}`);
+    }
+
+    if (payload.packageInfo && payload.packageInfo.length > 0) {
+      lines.push('', '**包体积**');
+      payload.packageInfo.forEach(pkg => {
+        lines.push(`- ${formatPackageName(pkg.name)}: ${formatSize(pkg.size)}`);
+      });
+    }
+
+    return lines;
+  }
+
+  /**
+   * 构建钉钉消息体
+   * @param {Object} payload - 通知内容
+   * @returns {Object}
+   */
+  buildDingTalkMessage(payload) {
+    const title = this.buildTitle(payload);
+    const lines = [`### ${title}`, '', ...this.buildLines(payload)];
+
+    if (payload.qrcodeUrl) {
+      lines.push('', `![预览二维码](${payload.qrcodeUrl})`, '', `[查看二维码](${payload.qrcodeUrl})`);
+    }
+
+    return {
+      msgtype: 'markdown',
+      markdown: {
+        title,
+        text: lines.join('\n')
+      }
+    };
+  }
+
+  /**
+   * 构建企业微信消息体
+   * 企业微信 markdown 不支持图片，二维码以链接形式展示
+   * @param {Object} payload - 通知内容
+   * @returns {Object}
+   */
+  buildWeComMessage(payload) {
+    const color = payload.status === 'success' ? 'info' : 'warning';
+    const lines = [
+      `### <font color="${color}">${this.buildTitle(payload)}</font>`,
+      ...this.buildLines(payload)
+    ];
+
+    if (payload.qrcodeUrl) {
+      lines.push('', `[查看预览二维码](${payload.qrcodeUrl})`);
+    }
+
+    return {
+      msgtype: 'markdown',
+      markdown: {
+        content: lines.join('\n')
+      }
+    };
+  }
+
+  /**
+   * 构建飞书消息卡片
+   * @param {Object} payload - 通知内容
+   * @returns {Object}
+   */
+  buildLarkMessage(payload) {
+    const elements = [
+      {
+        tag: 'div',
+        text: {
+          tag: 'lark_md',
+          content: this.buildLines(payload).join('\n')
+        }
+      }
+    ];
+
+    if (payload.qrcodeUrl) {
+      elements.push({
+        tag: 'action',
+        actions: [
+          {
+            tag: 'button',
+            text: { tag: 'plain_text', content: '查看预览二维码' },
+            type: 'primary',
+            url: payload.qrcodeUrl
+          }
+        ]
+      });
+    }
+
+    return {
+      msg_type: 'interactive',
+      card: {
+        config: { wide_screen_mode: true },
+        header: {
+          template: payload.status === 'success' ? 'green' : 'red',
+          title: { tag: 'plain_text', content: this.buildTitle(payload) }
+        },
+        elements
+      }
+    };
+  }
+
+  /**
+   * 发送钉钉通知
+   * @param {Object} payload - 通知内容
+   * @returns {Promise<void>}
+   */
+  async sendDingTalk(payload) {
+    const { webhook, secret } = this.config.dingtalk;
+    let url = webhook;
+
+    if (secret) {
+      const timestamp = Date.now();
+      const sign = encodeURIComponent(Notifier.signDingTalk(secret, timestamp));
+      url += `${url.includes('?') ? '&' : '?'}timestamp=${timestamp}&sign=${sign}`;
+    }
+
+    const response = await axios.post(url, this.buildDingTalkMessage(payload), { timeout: this.timeout });
+    if (response.data && response.data.errcode !== 0) {
+      throw new Error(response.data.errmsg || `errcode ${response.data.errcode}`);
+    }
+  }
+
+  /**
+   * 发送企业微信通知
+   * @param {Object} payload - 通知内容
+   * @returns {Promise<void>}
+   */
+  async sendWeCom(payload) {
+    const { webhook } = this.config.wecom;
+
+    const response = await axios.post(webhook, this.buildWeComMessage(payload), { timeout: this.timeout });
+    if (response.data && response.data.errcode !== 0) {
+      throw new Error(response.data.errmsg || `errcode ${response.data.errcode}`);
+    }
+  }
+
+  /**
+   * 发送飞书通知
+   * @param {Object} payload - 通知内容
+   * @returns {Promise<void>}
+   */
+  async sendLark(payload) {
+    const { webhook, secret } = this.config.lark;
+    const body = this.buildLarkMessage(payload);
+
+    if (secret) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      body.timestamp = String(timestamp);
+      body.sign = Notifier.signLark(secret, timestamp);
+    }
+
+    const response = await axios.post(webhook, body, { timeout: this.timeout });
+    // 飞书新版返回 code，旧版返回 StatusCode
+    const code = response.data ? (response.data.code ?? response.data.StatusCode ?? 0) : 0;
+    if (code !== 0) {
+      throw new Error(response.data.msg || response.data.StatusMessage || `code ${code}`);
+    }
+  }
+
+  /**
+   * 发送通知到所有已配置的渠道
+   * 通知失败只输出警告，不影响上传流程
+   * @param {Object} payload - 通知内容
+   * @param {string} payload.status - success / failed
+   * @param {string} payload.action - upload / preview
+   * @param {string} payload.env - 环境
+   * @param {string} payload.version - 版本号
+   * @param {string} payload.desc - 描述
+   * @param {number|string} payload.robot - 机器人编号（登记了名称时为 "编号 (名称)"）
+   * @param {string} payload.duration - 耗时（秒）
+   * @param {Array} payload.packageInfo - 包体积信息
+   * @param {string} payload.qrcodeUrl - 二维码 CDN 地址
+   * @param {string} payload.error - 错误信息
+   * @returns {Promise<{channel: string, success: boolean, error?: string}[]>}
+   */
+  async notify(payload) {
+    const senders = {
+      dingtalk: p => this.sendDingTalk(p),
+      wecom: p => this.sendWeCom(p),
+      lark: p => this.sendLark(p)
+    };
+
+    const channels = this.getChannels();
+
+    return Promise.all(channels.map(async channel => {
+      try {
+        await senders[channel](payload);
+        this.logger.debug(`通知已发送: ${channel}`);
+        return { channel, success: true };
+      } catch (error) {
+        this.logger.warn(`发送 ${channel} 通知失败: ${error.message}`);
+        return { channel, success: false, error: error.message };
+      }
+    }));
+  }
+}
+
+module.exports = Notifier;
@@ -1,13 +1,25 @@
 /**
  * OSS 上传工具
  * 功能：
- * - 通过签名方式上传文件到讯飞 OSS
+ * - 按 oss.provider 上传文件到对象存储（预签名、S3 兼容、阿里云 OSS、腾讯云 COS、本地目录）
+ * - 失败时按 errorHandling 配置重试，按 ETag 校验上传内容
+ * - 大文件流式上传，批量上传支持并发和断点续传清单
+ * - 按 oss.keyTemplate 生成对象名称，可跳过内容相同的已有对象
  * - 返回 CDN 地址
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const axios = require('axios');
+const Logger = require('./logger');
+const { withRetry } = require('./retry');
+const { createStorageProvider } = require('./storage');
+const { hashFile } = require('./storage/http');
+const UploadManifest = require('./storage/manifest');
+const { fileVariables, renderKey } = require('./storage/key-template');
+
+// 默认超过 5MB 的文件流式上传
+const DEFAULT_STREAM_THRESHOLD = 5 * 1024 * 1024;
 
 // 内容类型映射
 const contentTypeMap = {
@@ -24,73 +36,133 @@ const contentTypeMap = {
   '.xml': 'application/xml',
   '.html': 'text/html',
   '.css': 'text/css',
-  '.js': 'application/javascript'
+  '.js': 'application/javascript',
+  '.map': 'application/json',
+  '.md': 'text/markdown'
 };
 
-// 预设配置
-const PRESETS = {
-  // 智文项目配置
-  zhiwen: {
-    endpoint: 'https://pre-zw.xfyun.cn',
-    bucket: 'zhiwen-assets',
-    cdnDomain: 'https://zhiwen-cdn.xfyun.cn',
-    signatureUrl: '/api/developer/user/fileToken'
-  },
-  // AI竞赛平台配置
-  aicontest: {
-    endpoint: 'https://open-inc.xfyun.cn',
-    bucket: 'aicontest',
-    cdnDomain: 'https://openres.xfyun.cn',
-    signatureUrl: '/cmp/xfyundoc/getPresignedUrl'
-  }
-};
+/**
+ * 展开文件和目录，目录下的文件保留以目录名开头的相对路径
+ * @param {string[]} filePaths
+ * @returns {Array<{filePath: string, relativePath: string}>}
+ */
+function collectFiles(filePaths) {
+  const entries = [];
+
+  const walk = (dir, base) => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(item => {
+      const fullPath = path.join(dir, item.name);
+      if (item.isDirectory()) {
+        walk(fullPath, base);
+      } else if (item.isFile()) {
+        entries.push({
+          filePath: fullPath,
+          relativePath: path.relative(base, fullPath).split(path.sep).join('/')
+        });
+      }
+    });
+  };
+
+  filePaths.forEach(filePath => {
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+      const dir = path.resolve(filePath);
+      walk(dir, path.dirname(dir));
+    } else {
+      entries.push({ filePath, relativePath: path.basename(filePath) });
+    }
+  });
 
-class OSSUploader {
-  constructor(config = {}) {
-    // 使用预设配置或自定义配置 - 默认使用 aicontest 配置
-    const preset = config.preset || 'aicontest';
-    const presetConfig = PRESETS[preset] || PRESETS.aicontest;
-
-    // OSS 配置 - 严格使用预设配置，除非显式指定了完整的配置
-    // 忽略任何 undefined、null 或空字符串的配置值
-    this.ossConfig = {
-      endpoint: (config.endpoint && config.endpoint !== '') ? config.endpoint : presetConfig.endpoint,
-      bucket: (config.bucket && config.bucket !== '') ? config.bucket : presetConfig.bucket,
-      cdnDomain: (config.cdnDomain && config.cdnDomain !== '') ? config.cdnDomain : presetConfig.cdnDomain
-    };
+  return entries;
+}
 
-    // API 配置 - 使用预设的 endpoint 构建签名 URL
-    this.apiConfig = {
-      signatureUrl: config.signatureUrl
-        ? `${presetConfig.endpoint}${config.signatureUrl}`
-        : `${presetConfig.endpoint}${presetConfig.signatureUrl}`,
+class OSSUploader {
+  /**
+   * @param {Object} config - ci.config.js 中的 oss 配置
+   * @param {string} config.provider - 存储方式（presigned/s3/aliyun/cos/local 或自定义模块路径）
+   * @param {string} config.cookie - 预签名上传所需的 Cookie
+   * @param {Object} config.retry - 重试配置（对应 ci.config.js 中的 errorHandling）
+   * @param {number} config.streamThreshold - 超过该大小（字节）的文件流式上传
+   * @param {boolean} config.verify - 是否比对存储返回的 ETag 与本地 MD5
+   * @param {string} config.uploadPath - 对象名称前缀
+   * @param {string} config.keyTemplate - 对象名称模板（见 storage/key-template.js）
+   * @param {boolean} config.dedup - 对象已存在且内容相同时跳过上传
+   * @param {Object} config.batch - 批量上传配置 { concurrency, manifest, uploadPath, keyTemplate }
+   * @param {Object} options
+   * @param {Logger} options.logger - 日志实例
+   */
+  constructor(config = {}, options = {}) {
+    this.config = {
+      ...config,
       cookie: config.cookie || process.env.API_COOKIE || ''
     };
+    this.provider = null; // 首次上传时创建，禁用上传或演练时不要求存储凭证
+
+    // 重试配置（对应 ci.config.js 中的 errorHandling）
+    this.retryConfig = config.retry || { retryCount: 0 };
+    this.streamThreshold = config.streamThreshold || DEFAULT_STREAM_THRESHOLD;
+    this.verify = config.verify !== false;
+    this.dedup = config.dedup === true;
+    this.batchConfig = config.batch || {};
+    this.logger = (options.logger || Logger.default).child({ component: 'OSSUploader' });
+  }
 
-    console.log(`[OSSUploader] 使用配置: ${preset}`);
-    console.log(`[OSSUploader] Endpoint: ${this.ossConfig.endpoint}`);
-    console.log(`[OSSUploader] Bucket: ${this.ossConfig.bucket}`);
-    console.log(`[OSSUploader] CDN Domain: ${this.ossConfig.cdnDomain}`);
-    console.log(`[OSSUploader] SignatureUrl: ${this.apiConfig.signatureUrl}`);
+  /**
+   * 获取存储实例
+   * @returns {Object}
+   */
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createStorageProvider(this.config, { cwd: process.cwd(), logger: this.logger });
+
+      const lines = typeof this.provider.describe === 'function'
+        ? this.provider.describe()
+        : [this.provider.constructor.name];
+      this.logger.info(`使用存储: ${lines[0]}`);
+      lines.slice(1).forEach(line => this.logger.info(line));
+
+      if (this.dedup && typeof this.provider.head !== 'function') {
+        this.logger.warn('当前存储不支持查询已有对象，dedup 不生效');
+      }
+    }
+    return this.provider;
   }
 
   /**
-   * 生成唯一的文件名
-   * @param {string} originalName - 原始文件名
-   * @param {boolean} pureName - 是否使用原名
-   * @returns {string} 文件名
+   * 存储标识：存储的配置描述（类型、endpoint、bucket、CDN 域名等），用于上传清单区分不同的存储
+   * @returns {string}
    */
-  generateFileName(originalName, pureName = false) {
-    const timestamp = Date.now();
-    const ext = path.extname(originalName);
-    const baseName = path.basename(originalName, ext);
+  getTarget() {
+    const provider = this.getProvider();
+    return typeof provider.describe === 'function'
+      ? provider.describe().join(' | ')
+      : provider.constructor.name;
+  }
+
+  /**
+   * 生成对象名称：uploadPath + keyTemplate
+   * @param {string} originalName - 原始文件名（批量上传时为相对路径）
+   * @param {Object|boolean} options - 命名选项，传入布尔值时等同于 { pureName }
+   * @param {boolean} options.pureName - 是否使用原名（不加前缀和模板）
+   * @param {string} options.template - 对象名称模板（默认 oss.keyTemplate）
+   * @param {string} options.uploadPath - 路径前缀（默认 oss.uploadPath）
+   * @param {Object} options.variables - 模板变量（appid、env、version、robot 等）
+   * @param {Object} options.digest - hashFile 结果，用于 {hash}、{md5}
+   * @returns {string} 对象名称
+   */
+  generateFileName(originalName, options = {}) {
+    const { pureName, template, uploadPath, variables, digest } = typeof options === 'boolean'
+      ? { pureName: options }
+      : options;
 
     if (pureName) {
       return originalName;
     }
 
-    // 使用时间戳目录结构，避免文件名冲突
-    return `${timestamp}/${baseName}${ext}`;
+    return renderKey(
+      template || this.config.keyTemplate,
+      { ...variables, ...fileVariables(originalName, digest) },
+      uploadPath === undefined ? this.config.uploadPath : uploadPath
+    );
   }
 
   /**
@@ -104,127 +176,103 @@ class OSSUploader {
   }
 
   /**
-   * 获取上传签名
-   * @param {string} objectName - 对象名称
-   * @param {string} contentType - 内容类型
-   * @returns {Promise<Object>} 签名数据
+   * 比对存储返回的 ETag 与本地 MD5
+   * 分片上传、服务端加密等场景的 ETag 不是 MD5，此时跳过（发送的 Content-MD5 由存储服务端校验）
+   * @param {string} etag
+   * @param {string} md5 - 本地 MD5（Base64）
+   * @param {string} objectName
    */
-  async getSignature(objectName, contentType) {
-    try {
-      const url = `${this.apiConfig.signatureUrl}?objectName=${encodeURIComponent(objectName)}&contentType=${encodeURIComponent(contentType)}`;
-
-      console.log(`[OSSUploader] 获取签名: ${url}`);
-
-      const response = await axios.get(url, {
-        headers: {
-          'Cookie': this.apiConfig.cookie,
-          'X-Requested-With': 'XMLHttpRequest',
-          'device': 'miniprogram-ci',
-          'from': 'zhiwen'
-        },
-        timeout: 10000
-      });
+  verifyEtag(etag, md5, objectName) {
+    if (!this.verify || !/^[0-9a-f]{32}$/i.test(etag || '')) {
+      return;
+    }
 
-      if (response.data && response.data.code === 0) {
-        return response.data.data;
-      } else {
-        throw new Error(response.data?.desc || '获取签名失败');
-      }
-    } catch (error) {
-      console.error('[OSSUploader] 获取上传签名失败:', error.message);
-      if (error.response) {
-        console.error('[OSSUploader] 响应状态:', error.response.status);
-        console.error('[OSSUploader] 响应数据:', error.response.data);
-      }
+    const expected = Buffer.from(md5, 'base64').toString('hex');
+    if (etag.toLowerCase() !== expected) {
+      const error = new Error(`ETag 校验失败: ${objectName}（本地 MD5 ${expected}，存储返回 ${etag}）`);
+      error.retryable = true;
       throw error;
     }
   }
 
   /**
-   * 使用签名上传文件
+   * 上传单个文件（失败时抛出异常）
    * @param {string} filePath - 本地文件路径
    * @param {Object} options - 上传选项
+   * @param {string} options.objectName - 指定对象名称（默认按 generateFileName 生成）
+   * @param {Object} options.digest - 预先计算的 hashFile 结果
+   * @returns {Promise<{success: boolean, url: string, objectName: string, etag: string, skipped?: boolean}>}
+   */
+  async putFile(filePath, options = {}) {
+    const fileName = path.basename(filePath);
+    const digest = options.digest || await hashFile(filePath);
+    const objectName = options.objectName || this.generateFileName(fileName, { ...options, digest });
+    const provider = this.getProvider();
+
+    // 已有内容相同的对象时跳过上传
+    if (this.dedup && typeof provider.head === 'function') {
+      const existing = await provider.head(objectName);
+      const md5 = Buffer.from(digest.md5, 'base64').toString('hex');
+      if (existing && String(existing.etag || '').toLowerCase() === md5) {
+        const url = provider.getUrl(objectName);
+        this.logger.info(`对象已存在且内容相同，跳过上传: ${url}`, { objectName });
+        return { success: true, skipped: true, url, objectName, etag: existing.etag };
+      }
+    }
+
+    // 大文件流式上传，避免整体读入内存（每次重试重新打开文件）
+    const body = digest.size > this.streamThreshold
+      ? fs.createReadStream(filePath)
+      : fs.readFileSync(filePath);
+
+    this.logger.info(`正在上传文件: ${fileName}`, { objectName, size: digest.size });
+    const result = await provider.put(objectName, body, {
+      contentType: this.getContentType(fileName),
+      contentLength: digest.size,
+      md5: digest.md5,
+      sha256: digest.sha256
+    });
+    this.verifyEtag(result.etag, digest.md5, objectName);
+    this.logger.info(`文件上传成功: ${result.url}`, { objectName });
+
+    return {
+      success: true,
+      url: result.url,
+      objectName: result.key || objectName,
+      etag: result.etag || null
+    };
+  }
+
+  /**
+   * 上传文件（主入口）
+   * @param {string} filePath - 本地文件路径
+   * @param {Object} options - 上传选项
+   * @param {Object} options.variables - 对象名称模板变量
    * @returns {Promise<{success: boolean, url?: string, error?: string}>}
    */
-  async uploadWithSignature(filePath, options = {}) {
+  async upload(filePath, options = {}) {
     try {
       // 检查文件是否存在
       if (!fs.existsSync(filePath)) {
         throw new Error(`文件不存在: ${filePath}`);
       }
 
-      // 读取文件
-      const fileBuffer = fs.readFileSync(filePath);
-      const fileName = path.basename(filePath);
-      const objectName = this.generateFileName(fileName, options.pureName);
-      const contentType = this.getContentType(fileName);
-
-      // 获取上传签名
-      console.log(`[OSSUploader] 正在获取上传签名...`);
-      const signatureData = await this.getSignature(objectName, contentType);
-
-      // 签名返回的是预签名URL
-      let uploadUrl = signatureData;
-
-      // 强制使用 HTTPS
-      if (options.forceSSL !== false) {
-        uploadUrl = uploadUrl.replace('http://', 'https://');
-      }
-
-      console.log(`[OSSUploader] 正在上传文件: ${fileName}`);
+      // 存储配置错误不重试
+      this.getProvider();
 
-      // 从 URL 中提取参数
-      const urlObj = new URL(uploadUrl);
-      const xAmzAcl = urlObj.searchParams.get('x-amz-acl');
-
-      // 准备请求头
-      const headers = {
-        'Content-Type': contentType
-      };
-
-      if (xAmzAcl) {
-        headers['x-amz-acl'] = xAmzAcl;
-      }
-
-      // 使用 PUT 方法上传文件
-      const uploadResponse = await axios.put(uploadUrl, fileBuffer, {
-        headers,
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity,
-        timeout: 60000
-      });
+      // 对象名称在重试前确定，重试时覆盖同一对象
+      const digest = options.digest || await hashFile(filePath);
+      const objectName = options.objectName || this.generateFileName(path.basename(filePath), { ...options, digest });
 
-      // 上传成功
-      if (uploadResponse.status === 200) {
-        // 从预签名 URL 中获取最终的文件 URL
-        let fileUrl = uploadUrl.split('?')[0];
-
-        // 转换为 CDN URL
-        if (this.ossConfig.cdnDomain) {
-          // 提取路径部分（去除域名）
-          const urlParts = fileUrl.match(/https?:\/\/[^\/]*(.*)/);
-          if (urlParts && urlParts[1]) {
-            let pathPart = urlParts[1];
-            // 移除 /open_res 前缀（如果存在）
-            pathPart = pathPart.replace(/^\/open_res/, '');
-            // 构建最终的 CDN URL
-            fileUrl = this.ossConfig.cdnDomain + pathPart;
-          }
+      // 网络抖动、5xx、ETag 不一致等错误按 retry 配置重试，4xx 等错误直接失败
+      return await withRetry(() => this.putFile(filePath, { ...options, digest, objectName }), {
+        ...this.retryConfig,
+        onRetry: (error, attempt, delay) => {
+          this.logger.warn(`上传失败（${error.message}），${(delay / 1000).toFixed(1)} 秒后第 ${attempt} 次重试`, { attempt });
         }
-
-        console.log(`[OSSUploader] 文件上传成功: ${fileUrl}`);
-
-        return {
-          success: true,
-          url: fileUrl,
-          objectName: objectName
-        };
-      } else {
-        throw new Error(`上传失败，状态码: ${uploadResponse.status}`);
-      }
-
+      });
     } catch (error) {
-      console.error('[OSSUploader] 文件上传失败:', error.message);
+      this.logger.error(`文件上传失败: ${error.message}`);
       return {
         success: false,
         error: error.message
@@ -232,53 +280,110 @@ class OSSUploader {
     }
   }
 
-  /**
-   * 上传文件（主入口）
-   * @param {string} filePath - 本地文件路径
-   * @param {Object} options - 上传选项
-   * @returns {Promise<{success: boolean, url?: string, error?: string}>}
-   */
-  async upload(filePath, options = {}) {
-    return this.uploadWithSignature(filePath, options);
-  }
-
   /**
    * 批量上传文件
-   * @param {string[]} filePaths - 文件路径数组
+   * 按 concurrency 并发上传，每个文件单独重试；指定 manifest 时记录已上传文件，重新执行时跳过内容未变化且对象名称、存储相同的文件
+   * @param {string[]} filePaths - 文件或目录路径数组（目录递归上传，保留相对路径）
    * @param {Object} options - 上传选项
-   * @returns {Promise<Array>} 上传结果数组
+   * @param {number} options.concurrency - 并发数（默认 oss.batch.concurrency）
+   * @param {string|false} options.manifest - 上传清单路径（默认 oss.batch.manifest，false 为不记录）
+   * @param {Object} options.variables - 对象名称模板变量
+   * @returns {Promise<{results: Array, successList: string[], skippedList: string[], errorList: Array}>}
    */
   async uploadBatch(filePaths, options = {}) {
-    const results = [];
+    const { concurrency = this.batchConfig.concurrency, manifest: manifestPath = this.batchConfig.manifest, ...uploadOptions } = options;
+    const manifest = manifestPath ? new UploadManifest(manifestPath, { logger: this.logger }) : null;
+    const entries = collectFiles(filePaths);
+    const batchId = Date.now(); // 同一批文件使用同一 {timestamp}
+
+    const results = new Array(entries.length);
     const successList = [];
+    const skippedList = [];
     const errorList = [];
+    let next = 0;
+    let finished = 0;
 
-    for (let i = 0; i < filePaths.length; i++) {
-      const filePath = filePaths[i];
-      console.log(`[OSSUploader] 批量上传进度: ${i + 1}/${filePaths.length}`);
+    const uploadEntry = async ({ filePath, relativePath }) => {
+      if (!fs.existsSync(filePath)) {
+        return { success: false, error: `文件不存在: ${filePath}` };
+      }
 
-      const result = await this.upload(filePath, options);
+      const digest = await hashFile(filePath);
+      // 先确定本次的对象名称，清单只在内容、对象名称和存储都相同时才跳过
+      const objectName = this.generateFileName(relativePath, {
+        pureName: uploadOptions.pureName,
+        template: this.batchConfig.keyTemplate || '{timestamp}/{path}',
+        uploadPath: this.batchConfig.uploadPath,
+        variables: { timestamp: batchId, ...uploadOptions.variables },
+        digest
+      });
+      const destination = manifest ? { objectName, target: this.getTarget() } : null;
+      const uploaded = manifest && manifest.find(filePath, digest.md5, destination);
+      if (uploaded) {
+        return { success: true, skipped: true, url: uploaded.url, objectName: uploaded.objectName, etag: uploaded.etag };
+      }
 
-      if (result.success) {
-        successList.push(result.url);
-      } else {
-        errorList.push({
-          filePath,
-          error: result.error
+      const result = await this.upload(filePath, { ...uploadOptions, digest, objectName });
+      if (result.success && manifest) {
+        manifest.record(filePath, {
+          md5: digest.md5,
+          size: digest.size,
+          objectName: result.objectName,
+          target: destination.target,
+          url: result.url,
+          etag: result.etag
         });
       }
+      return result;
+    };
 
-      results.push({
-        filePath,
-        ...result
-      });
-    }
+    const worker = async () => {
+      while (next < entries.length) {
+        const index = next++;
+        const entry = entries[index];
+
+        let result;
+        try {
+          result = await uploadEntry(entry);
+        } catch (error) {
+          result = { success: false, error: error.message };
+        }
 
-    console.log(`[OSSUploader] 批量上传完成: 成功 ${successList.length}，失败 ${errorList.length}`);
+        finished++;
+        this.logger.progress(`批量上传进度: ${finished}/${entries.length} ${entry.relativePath}${result.skipped ? '（未变化，跳过）' : ''}`);
+
+        if (result.success) {
+          successList.push(result.url);
+          if (result.skipped) {
+            skippedList.push(entry.filePath);
+          }
+        } else {
+          errorList.push({
+            filePath: entry.filePath,
+            error: result.error
+          });
+        }
+
+        results[index] = {
+          filePath: entry.filePath,
+          ...result
+        };
+      }
+    };
+
+    const workers = Math.min(Math.max(parseInt(concurrency, 10) || 1, 1), entries.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    this.logger.info(`批量上传完成: 成功 ${successList.length}（跳过 ${skippedList.length}），失败 ${errorList.length}`, {
+      succeeded: successList.length,
+      skipped: skippedList.length,
+      failed: errorList.length
+    });
 
     return {
       results,
       successList,
+      skippedList,
       errorList
     };
   }
@@ -308,12 +413,12 @@ class OSSUploader {
       try {
         fs.unlinkSync(tempFilePath);
       } catch (e) {
-        console.warn('[OSSUploader] 清理临时文件失败:', e.message);
+        this.logger.warn(`清理临时文件失败: ${e.message}`);
       }
 
       return result;
     } catch (error) {
-      console.error('[OSSUploader] Buffer 上传失败:', error.message);
+      this.logger.error(`Buffer 上传失败: ${error.message}`);
       return {
         success: false,
         error: error.message
@@ -335,6 +440,69 @@ class OSSUploader {
       return null;
     }
   }
+
+  /**
+   * 测试方法：使用本地存储验证上传清单和 dedup 按对象名称跳过
+   */
+  static async test() {
+    console.log('开始测试 OSS 上传工具...');
+
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oss-uploader-test-'));
+    const sourceDir = path.join(workDir, 'assets');
+    fs.mkdirSync(sourceDir);
+    fs.writeFileSync(path.join(sourceDir, 'report.json'), '{"size": 1}');
+
+    // 每次执行创建新实例，与多次运行流水线一致
+    const createUploader = (options = {}) => new OSSUploader({
+      provider: 'local',
+      local: { directory: path.join(workDir, 'oss') },
+      keyTemplate: '{version}/{filename}',
+      batch: { manifest: path.join(workDir, 'oss-manifest.json'), keyTemplate: '{version}/{path}' },
+      ...options
+    }, { logger: new Logger({ level: 'warn' }) });
+
+    try {
+      console.log('\n--- 测试 1: 批量上传清单跳过同一版本的未变化文件 ---');
+      const first = await createUploader().uploadBatch([sourceDir], { variables: { version: '1.0.0' } });
+      const second = await createUploader().uploadBatch([sourceDir], { variables: { version: '1.0.0' } });
+      if (first.skippedList.length !== 0 || second.skippedList.length !== 1) {
+        throw new Error(`同一版本重复执行应跳过 1 个文件，实际跳过 ${second.skippedList.length} 个`);
+      }
+      if (second.results[0].url !== first.results[0].url) {
+        throw new Error('跳过的文件应返回之前上传的地址');
+      }
+      console.log('✓ 测试通过: 同一版本未变化的文件已跳过');
+
+      console.log('\n--- 测试 2: 版本变化后重新上传到新对象 ---');
+      const third = await createUploader().uploadBatch([sourceDir], { variables: { version: '1.1.0' } });
+      const [result] = third.results;
+      if (result.skipped || result.objectName !== '1.1.0/assets/report.json') {
+        throw new Error(`版本变化后应上传到 1.1.0/assets/report.json，实际 ${result.skipped ? '被跳过' : result.objectName}`);
+      }
+      if (!fs.existsSync(path.join(workDir, 'oss', '1.1.0', 'assets', 'report.json'))) {
+        throw new Error('新版本的对象未写入存储');
+      }
+      console.log('✓ 测试通过: 版本变化后上传到新对象，未返回旧版本地址');
+
+      console.log('\n--- 测试 3: dedup 只跳过同名且内容相同的对象 ---');
+      const file = path.join(sourceDir, 'report.json');
+      const uploader = createUploader({ dedup: true });
+      const existing = await uploader.upload(file, { variables: { version: '2.0.0' } });
+      const duplicate = await uploader.upload(file, { variables: { version: '2.0.0' } });
+      const bumped = await uploader.upload(file, { variables: { version: '2.0.1' } });
+      if (existing.skipped || !duplicate.skipped || bumped.skipped) {
+        throw new Error('dedup 应只跳过同一对象名称的重复上传');
+      }
+      console.log('✓ 测试通过: 对象名称不同时不跳过');
+
+      console.log('\n所有测试通过！');
+    } catch (error) {
+      console.error(`✗ 测试失败: ${error.message}`);
+      process.exitCode = 1;
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
 }
 
 // 单例模式
@@ -352,8 +520,12 @@ function getOSSUploader(config) {
   return instance;
 }
 
+// 如果直接运行此文件，执行测试
+if (require.main === module) {
+  OSSUploader.test();
+}
+
 module.exports = {
   OSSUploader,
-  getOSSUploader,
-  PRESETS
+  getOSSUploader
 };
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * 代码包扫描工具
+ * 功能：
+ * - 按 ignores 规则扫描构建产物目录
+ * - 根据 app.json 的 subPackages 将文件归属到主包和分包
+ * - 估算各包体积（未压缩、未编译的原始大小）
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 将 glob 模式转换为正则表达式
+ * 支持 **、*、?，与 miniprogram-ci 的 ignores 写法一致
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let i = 0;
+  const glob = pattern.replace(/^\.\//, '');
+
+  while (i < glob.length) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        // **/ 匹配零或多级目录
+        source += '(?:.*/)?';
+        i += 3;
+      } else {
+        source += '.*';
+        i += 2;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+      i += 1;
+    } else if (char === '?') {
+      source += '[^/]';
+      i += 1;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      i += 1;
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+class PackageScanner {
+  /**
+   * @param {Object} options
+   * @param {string} options.projectPath - 构建产物目录
+   * @param {string[]} options.ignores - 忽略规则
+   */
+  constructor(options = {}) {
+    this.projectPath = path.resolve(options.projectPath || './dist');
+    this.ignoreMatchers = (options.ignores || []).map(globToRegExp);
+  }
+
+  /**
+   * 是否被 ignores 规则排除
+   * @param {string} relativePath - 相对 projectPath 的路径（/ 分隔）
+   * @returns {boolean}
+   */
+  isIgnored(relativePath) {
+    return this.ignoreMatchers.some(matcher => matcher.test(relativePath));
+  }
+
+  /**
+   * 读取 app.json 中的分包配置
+   * @returns {{name: string, root: string}[]}
+   */
+  getSubPackages() {
+    const appJsonPath = path.join(this.projectPath, 'app.json');
+    if (!fs.existsSync(appJsonPath)) {
+      return [];
+    }
+
+    try {
+      const appJson = JSON.parse(fs.readFileSync(appJsonPath, 'utf-8'));
+      const subPackages = appJson.subPackages || appJson.subpackages || [];
+      return subPackages
+        .filter(pkg => pkg.root)
+        .map(pkg => {
+          const root = pkg.root.replace(/^\.?\//, '').replace(/\/$/, '');
+          // 与 miniprogram-ci 返回的 subPackageInfo 保持一致，分包名为 /root/
+          return { name: `/${root}/`, root };
+        });
+    } catch (error) {
+      throw new Error(`解析 app.json 失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 递归列出目录下的文件
+   * @param {string} dir - 目录绝对路径
+   * @returns {{path: string, size: number}[]}
+   */
+  walk(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).reduce((files, entry) => {
+      const fullPath = path.join(dir, entry.name);
+      const relativePath = path.relative(this.projectPath, fullPath).split(path.sep).join('/');
+
+      if (entry.isDirectory()) {
+        return files.concat(this.walk(fullPath));
+      }
+      if (entry.isFile() && !this.isIgnored(relativePath)) {
+        files.push({ path: relativePath, size: fs.statSync(fullPath).size });
+      }
+      return files;
+    }, []);
+  }
+
+  /**
+   * 扫描构建产物
+   * @returns {{files: {path: string, size: number, package: string}[], packages: {name: string, size: number, fileCount: number}[]}}
+   */
+  scan() {
+    if (!fs.existsSync(this.projectPath)) {
+      throw new Error(`构建产物目录不存在: ${this.projectPath}`);
+    }
+
+    const subPackages = this.getSubPackages();
+    const totals = { __APP__: { size: 0, fileCount: 0 } };
+    subPackages.forEach(pkg => {
+      totals[pkg.name] = { size: 0, fileCount: 0 };
+    });
+
+    const files = this.walk(this.projectPath).map(file => {
+      const owner = subPackages.find(pkg => file.path.startsWith(`${pkg.root}/`));
+      const packageName = owner ? owner.name : '__APP__';
+      totals[packageName].size += file.size;
+      totals[packageName].fileCount += 1;
+      return { ...file, package: packageName };
+    });
+
+    const packages = Object.keys(totals).map(name => ({ name, ...totals[name] }));
+    packages.push({
+      name: '__FULL__',
+      size: files.reduce((sum, file) => sum + file.size, 0),
+      fileCount: files.length
+    });
+
+    return { files, packages };
+  }
+}
+
+module.exports = PackageScanner;
+module.exports.globToRegExp = globToRegExp;
@@ -0,0 +1,167 @@
+/**
+ * 执行结果输出工具
+ * 功能：
+ * - 将上传/预览结果输出为 JSON、dotenv（GitLab dotenv 报告）或 JUnit XML
+ * - 供 GitLab、Jenkins 等 CI 系统读取版本、二维码地址、包体积等信息
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FORMATS = ['json', 'dotenv', 'junit'];
+
+// 各格式的默认文件名
+const DEFAULT_FILES = {
+  json: './miniprogram-ci-result.json',
+  dotenv: './miniprogram-ci-result.env',
+  junit: './miniprogram-ci-result.xml'
+};
+
+/**
+ * 将包名转换为环境变量后缀：__APP__ -> APP，/packageA/ -> PACKAGEA
+ * @param {string} name
+ * @returns {string}
+ */
+function toEnvSuffix(name) {
+  return name.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '').toUpperCase();
+}
+
+/**
+ * XML 转义
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+class ResultWriter {
+  /**
+   * @param {Object} options
+   * @param {string} options.format - json / dotenv / junit
+   * @param {string} options.file - 输出文件路径
+   */
+  constructor(options = {}) {
+    this.format = options.format || ResultWriter.inferFormat(options.file);
+    if (!FORMATS.includes(this.format)) {
+      throw new Error(`不支持的输出格式: ${this.format}（可选: ${FORMATS.join('/')}）`);
+    }
+    this.file = options.file || DEFAULT_FILES[this.format];
+  }
+
+  /**
+   * 根据文件扩展名推断输出格式
+   * @param {string} file
+   * @returns {string}
+   */
+  static inferFormat(file) {
+    const ext = path.extname(file || '').toLowerCase();
+    if (ext === '.env') return 'dotenv';
+    if (ext === '.xml') return 'junit';
+    return 'json';
+  }
+
+  /**
+   * JSON 格式
+   * @param {Object} result
+   * @returns {string}
+   */
+  toJSON(result) {
+    return JSON.stringify(result, null, 2) + '\n';
+  }
+
+  /**
+   * dotenv 格式（GitLab artifacts:reports:dotenv 不支持多行和引号，值中的换行会被替换为空格）
+   * @param {Object} result
+   * @returns {string}
+   */
+  toDotenv(result) {
+    const vars = {
+      MP_STATUS: result.status,
+      MP_ACTION: result.action,
+      MP_ENV: result.env,
+      MP_VERSION: result.version,
+      MP_DESC: result.desc,
+      MP_ROBOT: result.robot,
+      MP_ROBOT_NAME: result.robotName,
+      MP_DURATION: result.duration,
+      MP_QRCODE_PATH: result.qrcode && result.qrcode.localPath,
+      MP_QRCODE_URL: result.qrcode && result.qrcode.url,
+      MP_ERROR: result.error && result.error.message
+    };
+
+    (result.packages || []).forEach(pkg => {
+      vars[`MP_PACKAGE_SIZE_${toEnvSuffix(pkg.name)}`] = pkg.size;
+    });
+
+    return Object.keys(vars)
+      .filter(key => vars[key] !== undefined && vars[key] !== null)
+      .map(key => `${key}=${String(vars[key]).replace(/\r?\n/g, ' ')}`)
+      .join('\n') + '\n';
+  }
+
+  /**
+   * JUnit XML 格式
+   * @param {Object} result
+   * @returns {string}
+   */
+  toJUnit(result) {
+    const failed = result.status !== 'success';
+    const name = `${result.action} ${result.version || ''}`.trim();
+    const properties = [
+      ['env', result.env],
+      ['version', result.version],
+      ['desc', result.desc],
+      ['robot', result.robot],
+      ['robotName', result.robotName],
+      ['qrcodeUrl', result.qrcode && result.qrcode.url],
+      ...(result.packages || []).map(pkg => [`packageSize.${pkg.name}`, pkg.size])
+    ].filter(([, value]) => value !== undefined && value !== null);
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="miniprogram-ci" tests="1" failures="${failed ? 1 : 0}" time="${escapeXml(result.duration)}">`,
+      `  <testsuite name="miniprogram-ci.${escapeXml(result.env)}" tests="1" failures="${failed ? 1 : 0}" time="${escapeXml(result.duration)}" timestamp="${escapeXml(result.finishedAt)}">`,
+      '    <properties>',
+      ...properties.map(([key, value]) => `      <property name="${escapeXml(key)}" value="${escapeXml(value)}"/>`),
+      '    </properties>',
+      `    <testcase classname="miniprogram-ci.${escapeXml(result.env)}" name="${escapeXml(name)}" time="${escapeXml(result.duration)}">`
+    ];
+
+    if (failed && result.error) {
+      lines.push(`      <failure message="${escapeXml(result.error.message)}">${escapeXml(result.error.stack || result.error.message)}</failure>`);
+    }
+
+    if (result.qrcode && result.qrcode.url) {
+      lines.push(`      <system-out>${escapeXml(`二维码: ${result.qrcode.url}`)}</system-out>`);
+    }
+
+    lines.push('    </testcase>', '  </testsuite>', '</testsuites>');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * 写入结果文件
+   * @param {Object} result
+   * @returns {string} 文件绝对路径
+   */
+  write(result) {
+    const content = {
+      json: () => this.toJSON(result),
+      dotenv: () => this.toDotenv(result),
+      junit: () => this.toJUnit(result)
+    }[this.format]();
+
+    const filePath = path.resolve(this.file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content, 'utf-8');
+    return filePath;
+  }
+}
+
+module.exports = ResultWriter;
+module.exports.FORMATS = FORMATS;
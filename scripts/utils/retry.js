@@ -0,0 +1,199 @@
+/**
+ * 重试工具
+ * 功能：
+ * - 将错误分类为可重试（网络抖动、超时、微信平台繁忙）和不可重试（私钥、IP 白名单、appid 错误）
+ * - 指数退避 + 随机抖动重试
+ * - 通过 AbortSignal 取消后续重试（并行任务之一失败时停止其他任务）
+ */
+
+// 可重试的网络错误码
+const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH'
+];
+
+// 不可重试的错误特征（配置类问题，重试也不会成功）
+const FATAL_PATTERNS = [
+  /invalid ip/i,
+  /ip.*white\s*list/i,
+  /白名单/,
+  /private\s*key/i,
+  /私钥/,
+  /invalid signature/i,
+  /签名.*(错误|无效|失败)/,
+  // 只匹配 appid 本身无效或不匹配，避免把错误信息中顺带出现 appid 的网络错误判为不可重试
+  /invalid appid/i,
+  /appid.*(not match|mismatch|不匹配|不一致|无效|不存在)/i,
+  /机器人编号/,
+  /项目路径|projectPath/i,
+  /version.*(invalid|不合法)/i
+];
+
+// 可重试的错误特征
+const RETRYABLE_PATTERNS = [
+  /timeout|timed out|超时/i,
+  /socket hang up/i,
+  /network/i,
+  /system (error|busy)/i,
+  /系统(繁忙|错误)/,
+  /服务(繁忙|不可用)/,
+  /too many requests|频繁/i,
+  /status code 5\d\d/i
+];
+
+// 微信平台表示系统繁忙的错误码
+const RETRYABLE_WECHAT_CODES = [-1, 45009, 45011];
+
+// 微信平台表示 appid 无效（40013）或缺失（41002）的错误码
+const FATAL_WECHAT_CODES = [40013, 41002];
+
+/**
+ * 从错误中提取微信返回的 errCode
+ * miniprogram-ci 的错误信息通常是 JSON 字符串，例如 {"errCode":-1,"errMsg":"system error"}
+ * @param {Error} error
+ * @returns {number|null}
+ */
+function getWechatErrorCode(error) {
+  if (typeof error.errCode === 'number') {
+    return error.errCode;
+  }
+  const match = String(error.message || '').match(/"?err_?code"?\s*[:=]\s*(-?\d+)/i);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * 判断错误是否可重试
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  if (!error) return false;
+
+  // 显式标记优先
+  if (typeof error.retryable === 'boolean') {
+    return error.retryable;
+  }
+
+  const message = String(error.message || error);
+
+  if (FATAL_PATTERNS.some(pattern => pattern.test(message))) {
+    return false;
+  }
+
+  const errCode = getWechatErrorCode(error);
+  if (errCode !== null && FATAL_WECHAT_CODES.includes(errCode)) {
+    return false;
+  }
+
+  if (error.code && RETRYABLE_ERROR_CODES.includes(error.code)) {
+    return true;
+  }
+
+  // HTTP 响应：5xx、408、429 可重试，其余 4xx 不重试
+  const status = error.response && error.response.status;
+  if (status) {
+    return status >= 500 || status === 408 || status === 429;
+  }
+
+  if (errCode !== null && RETRYABLE_WECHAT_CODES.includes(errCode)) {
+    return true;
+  }
+
+  // 未识别的错误不重试，避免掩盖真实问题
+  return RETRYABLE_PATTERNS.some(pattern => pattern.test(message));
+}
+
+/**
+ * 计算第 attempt 次重试前的等待时间（指数退避 + 随机抖动）
+ * @param {number} attempt - 重试序号（从 1 开始）
+ * @param {number} baseDelay - 基础延迟（毫秒）
+ * @param {number} maxDelay - 最大延迟（毫秒）
+ * @returns {number}
+ */
+function getBackoffDelay(attempt, baseDelay, maxDelay) {
+  const exponential = Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1));
+  // 在 [exponential / 2, exponential] 之间随机，避免并发任务同时重试
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+/**
+ * 等待指定时间，signal 取消时提前结束
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    if (signal) signal.addEventListener('abort', done, { once: true });
+  });
+}
+
+/**
+ * 带重试地执行异步函数
+ * @param {Function} fn - 异步函数，参数为当前尝试序号（从 1 开始）
+ * @param {Object} options
+ * @param {number} options.retryCount - 最大重试次数（不含首次执行）
+ * @param {number} options.retryDelay - 基础重试延迟（毫秒）
+ * @param {number} options.maxRetryDelay - 最大重试延迟（毫秒）
+ * @param {Function} options.isRetryable - 自定义错误分类函数
+ * @param {Function} options.onRetry - 重试前回调 (error, attempt, delay)
+ * @param {AbortSignal} options.signal - 取消后不再发起新的尝试，抛出 signal.reason
+ * @returns {Promise<*>}
+ */
+async function withRetry(fn, options = {}) {
+  const retryCount = options.retryCount ?? 3;
+  const retryDelay = options.retryDelay ?? 5000;
+  const maxRetryDelay = options.maxRetryDelay ?? 60000;
+  const isRetryable = options.isRetryable || isRetryableError;
+
+  const { signal } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw signal.reason;
+      }
+
+      const retryable = isRetryable(error);
+      if (!retryable || attempt > retryCount) {
+        if (error && typeof error === 'object') {
+          error.attempts = attempt;
+          error.retryable = retryable;
+        }
+        throw error;
+      }
+
+      const delay = getBackoffDelay(attempt, retryDelay, maxRetryDelay);
+      if (options.onRetry) {
+        options.onRetry(error, attempt, delay);
+      }
+      await sleep(delay, signal);
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  isRetryableError,
+  getBackoffDelay,
+  getWechatErrorCode
+};
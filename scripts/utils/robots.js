@@ -0,0 +1,596 @@
+/**
+ * CI 机器人登记与租约锁
+ * 功能：
+ * - 按 robots.registry 登记机器人（编号、名称、负责人、用途、默认环境），支持按名称选择
+ * - 上传期间锁定机器人，上传成功后由当前分支保留租约，避免并行流水线互相覆盖同一机器人的体验版
+ * - 默认以锁文件保存租约（建议放在挂载的持久化卷上），也可通过 robots.lock.store 指定自定义存储模块
+ * - --robot auto 按分支自动分配空闲机器人，同一分支沿用同一机器人，已关闭分支占用的机器人会被回收
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execSync } = require('child_process');
+
+// 微信平台支持的机器人编号范围
+const MIN_ROBOT = 1;
+const MAX_ROBOT = 30;
+
+// 锁文件互斥目录超过该时长视为残留（毫秒）
+const STALE_MUTEX_MS = 30000;
+
+// 自动分配的策略
+const AUTO_STRATEGIES = ['lru', 'hash'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 无法标识分支的取值：未知，或分离头指针（detached HEAD）时 git rev-parse --abbrev-ref 返回的 HEAD
+const UNKNOWN_BRANCHES = ['unknown', 'HEAD'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 校验机器人编号
+ * @param {*} value
+ * @returns {number}
+ */
+function toRobotId(value) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < MIN_ROBOT || id > MAX_ROBOT) {
+    throw new Error(`无效的机器人编号: ${value}，有效范围为 ${MIN_ROBOT}-${MAX_ROBOT}`);
+  }
+  return id;
+}
+
+class RobotRegistry {
+  /**
+   * @param {Object} config - ci.config.js 中的 robots 配置
+   * @param {Object} config.registry - 机器人登记表 { 编号: {name, owner, purpose, env} }
+   */
+  constructor(config = {}) {
+    this.robots = [];
+
+    Object.keys(config.registry || {}).forEach(key => {
+      const item = config.registry[key] || {};
+      const where = `robots.registry.${key}`;
+      const id = toRobotId(key);
+      if (item.name !== undefined && item.name !== null && (typeof item.name !== 'string' || /^\d*$/.test(item.name))) {
+        throw new Error(`${where}.name 应为非纯数字的字符串: ${item.name}`);
+      }
+      if (item.name && this.robots.some(robot => robot.name === item.name)) {
+        throw new Error(`${where}: 机器人名称 ${item.name} 重复登记`);
+      }
+
+      this.robots.push({
+        id,
+        name: item.name || null,
+        owner: item.owner || null,
+        purpose: item.purpose || null,
+        env: item.env || null
+      });
+    });
+  }
+
+  /**
+   * 已登记的机器人（按编号排序）
+   * @returns {Object[]}
+   */
+  list() {
+    return this.robots.slice().sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * 按编号或名称查找已登记的机器人
+   * @param {number|string} value
+   * @returns {Object|null}
+   */
+  find(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const text = String(value).trim();
+    return /^\d+$/.test(text)
+      ? this.robots.find(robot => robot.id === Number(text)) || null
+      : this.robots.find(robot => robot.name === text) || null;
+  }
+
+  /**
+   * 解析机器人：名称须已登记，编号须在 1-30 之间（未登记的编号也可使用）
+   * @param {number|string} value
+   * @returns {{id: number, name: string|null, owner: string|null, purpose: string|null, env: string|null}}
+   */
+  resolve(value) {
+    const robot = this.find(value);
+    if (robot) {
+      return { ...robot };
+    }
+
+    if (!/^\d+$/.test(String(value).trim())) {
+      const names = this.robots.filter(item => item.name).map(item => item.name);
+      throw new Error(`未登记的机器人名称: ${value}${names.length > 0 ? `（可选: ${names.join(', ')}）` : '（robots.registry 为空）'}`);
+    }
+
+    return { id: toRobotId(value), name: null, owner: null, purpose: null, env: null };
+  }
+
+  /**
+   * 机器人显示名称，如 4 (feature-a)
+   * @param {Object} robot - resolve() 的返回值
+   * @returns {string}
+   */
+  static describe(robot) {
+    return robot.name ? `${robot.id} (${robot.name})` : String(robot.id);
+  }
+}
+
+/**
+ * 锁文件存储：每个机器人一个 JSON 文件，读写时以 mkdir 目录作为互斥锁
+ */
+class FileLockStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - 锁文件目录
+   */
+  constructor(options = {}) {
+    this.directory = path.resolve(options.directory || './history/robot-locks');
+  }
+
+  getFile(robotId) {
+    return path.join(this.directory, `robot-${robotId}.json`);
+  }
+
+  read(robotId) {
+    try {
+      return JSON.parse(fs.readFileSync(this.getFile(robotId), 'utf-8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 获取互斥目录，超过 STALE_MUTEX_MS 未释放的视为进程异常退出后的残留
+   * @param {string} mutex
+   */
+  async lockMutex(mutex) {
+    const deadline = Date.now() + STALE_MUTEX_MS;
+    for (;;) {
+      try {
+        fs.mkdirSync(mutex);
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      try {
+        if (Date.now() - fs.statSync(mutex).mtimeMs > STALE_MUTEX_MS) {
+          fs.rmdirSync(mutex);
+          continue;
+        }
+      } catch (error) {
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`等待机器人锁文件超时: ${mutex}`);
+      }
+      await sleep(100);
+    }
+  }
+
+  /**
+   * 原子地更新机器人的租约
+   * @param {number} robotId
+   * @param {Function} updater - (current) => next，返回 null 表示删除
+   * @returns {Promise<Object|null>} 更新后的租约
+   */
+  async update(robotId, updater) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const file = this.getFile(robotId);
+    const mutex = `${file}.lock`;
+
+    await this.lockMutex(mutex);
+    try {
+      const next = updater(this.read(robotId));
+      if (next) {
+        const tempFile = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(next, null, 2));
+        fs.renameSync(tempFile, file);
+      } else if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+      return next || null;
+    } finally {
+      fs.rmdirSync(mutex);
+    }
+  }
+
+  /**
+   * 所有租约
+   * @returns {Promise<Object[]>}
+   */
+  async list() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+    return fs.readdirSync(this.directory)
+      .map(name => /^robot-(\d+)\.json$/.exec(name))
+      .filter(Boolean)
+      .map(match => this.read(Number(match[1])))
+      .filter(Boolean);
+  }
+
+  describe() {
+    return this.directory;
+  }
+}
+
+class RobotLock {
+  /**
+   * @param {Object} store - 租约存储，需实现 update(robotId, updater) 和 list()
+   * @param {Object} options - robots.lock 配置
+   * @param {number} options.timeout - 上传期间锁的有效期（毫秒）
+   * @param {number} options.lease - 上传成功后保留的租约时长（毫秒），0 表示立即释放
+   * @param {number} options.wait - 被占用时的最长等待时间（毫秒）
+   * @param {number} options.pollInterval - 等待期间的检查间隔（毫秒）
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.timeout = options.timeout || 30 * 60 * 1000;
+    this.lease = options.lease === undefined ? 24 * 60 * 60 * 1000 : options.lease;
+    this.wait = options.wait || 0;
+    this.pollInterval = options.pollInterval || 5000;
+    // 获取锁之前当前持有人的租约，上传失败时恢复
+    this.previous = new Map();
+  }
+
+  /**
+   * 租约是否仍有效
+   * @param {Object} entry
+   * @param {number} now
+   * @returns {boolean}
+   */
+  static isActive(entry, now = Date.now()) {
+    return Boolean(entry) && new Date(entry.expiresAt).getTime() > now;
+  }
+
+  /**
+   * 当前持有人能否使用该机器人：租约已过期、同一次运行，或同一持有人（分支）的保留租约
+   * @param {Object} entry
+   * @param {Object} holder
+   * @returns {boolean}
+   */
+  static isAvailable(entry, holder) {
+    return !RobotLock.isActive(entry) ||
+      entry.runId === holder.runId ||
+      (entry.state === 'leased' && entry.holder === holder.holder);
+  }
+
+  /**
+   * 获取机器人锁，被其他持有人占用时按 wait 等待，超时后抛出错误
+   * @param {number} robotId
+   * @param {Object} holder - {holder, runId, branch, owner, env, pipeline, host, pid}
+   * @returns {Promise<Object>} 租约
+   */
+  async acquire(robotId, holder) {
+    const start = Date.now();
+
+    for (;;) {
+      let previous = null;
+      const entry = await this.store.update(robotId, current => {
+        if (!RobotLock.isAvailable(current, holder)) {
+          return current;
+        }
+        previous = RobotLock.isActive(current) ? current : null;
+        const now = Date.now();
+        return {
+          ...holder,
+          robot: robotId,
+          state: 'uploading',
+          acquiredAt: new Date(now).toISOString(),
+          expiresAt: new Date(now + this.timeout).toISOString()
+        };
+      });
+
+      if (entry && entry.runId === holder.runId) {
+        this.previous.set(robotId, previous);
+        return entry;
+      }
+
+      if (Date.now() - start + this.pollInterval > this.wait) {
+        const error = new Error(`机器人 ${robotId} 正被 ${RobotLock.describeHolder(entry)} 占用（${entry.state === 'leased' ? '租约' : '上传中'}，至 ${entry.expiresAt}），可更换机器人或等待释放`);
+        error.retryable = false;
+        error.lock = entry;
+        throw error;
+      }
+      await sleep(this.pollInterval);
+    }
+  }
+
+  /**
+   * 释放机器人锁
+   * 上传成功且配置了 lease 时保留租约；失败时恢复获取锁之前本分支的租约
+   * @param {number} robotId
+   * @param {Object} holder
+   * @param {Object} options
+   * @param {boolean} options.success - 上传是否成功
+   * @returns {Promise<Object|null>} 保留的租约
+   */
+  async release(robotId, holder, options = {}) {
+    const previous = this.previous.get(robotId) || null;
+    this.previous.delete(robotId);
+
+    return this.store.update(robotId, current => {
+      if (!current || current.runId !== holder.runId) {
+        return current;
+      }
+      if (options.success && this.lease > 0) {
+        return {
+          ...current,
+          state: 'leased',
+          leasedAt: new Date().toISOString(),
+          expiresAt: new Date(Date.now() + this.lease).toISOString()
+        };
+      }
+      return previous && previous.holder === holder.holder && RobotLock.isActive(previous) ? previous : null;
+    });
+  }
+
+  /**
+   * 查看机器人当前的有效租约
+   * @param {number} robotId
+   * @returns {Promise<Object|null>}
+   */
+  async status(robotId) {
+    const entries = await this.list();
+    return entries.find(entry => entry.robot === robotId) || null;
+  }
+
+  /**
+   * 所有有效租约
+   * @returns {Promise<Object[]>}
+   */
+  async list() {
+    const now = Date.now();
+    return (await this.store.list()).filter(entry => RobotLock.isActive(entry, now));
+  }
+
+  /**
+   * 强制释放（人工处理遗留租约）
+   * @param {number} robotId
+   * @returns {Promise<void>}
+   */
+  async forceRelease(robotId) {
+    await this.store.update(robotId, () => null);
+  }
+
+  describe() {
+    return typeof this.store.describe === 'function' ? this.store.describe() : this.store.constructor.name;
+  }
+
+  /**
+   * 持有人描述，如 feature/login（张三）
+   * @param {Object} entry
+   * @returns {string}
+   */
+  static describeHolder(entry) {
+    if (!entry) return '-';
+    return `${entry.holder}${entry.owner && entry.owner !== entry.holder ? `（${entry.owner}）` : ''}`;
+  }
+}
+
+/**
+ * 解析机器人池，支持编号数组或 "10-30" 形式的范围
+ * @param {number[]|string} pool
+ * @returns {number[]}
+ */
+function parseRobotPool(pool) {
+  if (Array.isArray(pool)) {
+    return [...new Set(pool.map(toRobotId))].sort((a, b) => a - b);
+  }
+
+  const match = /^\s*(\d+)\s*-\s*(\d+)\s*$/.exec(String(pool || `${MIN_ROBOT}-${MAX_ROBOT}`));
+  if (!match) {
+    throw new Error(`无效的机器人池: ${pool}（示例: "10-30" 或 [10, 11, 12]）`);
+  }
+  const from = toRobotId(match[1]);
+  const to = toRobotId(match[2]);
+  if (from > to) {
+    throw new Error(`无效的机器人池: ${pool}，起始编号大于结束编号`);
+  }
+  return Array.from({ length: to - from + 1 }, (item, index) => from + index);
+}
+
+/**
+ * 是否为能标识流水线的分支名称（可用于 --robot auto 分配和租约持有人）
+ * @param {string} branch
+ * @returns {boolean}
+ */
+function isKnownBranch(branch) {
+  return Boolean(branch) && !UNKNOWN_BRANCHES.includes(branch);
+}
+
+/**
+ * 读取 Git 远端仍存在的分支，无法访问远端时返回 null
+ * @param {string} cwd
+ * @param {string} remote - 远端名称
+ * @returns {string[]|null}
+ */
+function listRemoteBranches(cwd = process.cwd(), remote = 'origin') {
+  try {
+    const output = execSync(`git ls-remote --heads ${remote}`, {
+      cwd,
+      encoding: 'utf8',
+      timeout: 15000,
+      stdio: ['ignore', 'pipe', 'ignore'],
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+    });
+    return output.split('\n')
+      .map(line => /refs\/heads\/(.+)$/.exec(line.trim()))
+      .filter(Boolean)
+      .map(match => match[1]);
+  } catch (error) {
+    return null;
+  }
+}
+
+class RobotAllocator {
+  /**
+   * @param {Object} options - robots.auto 配置
+   * @param {string} options.strategy - lru / hash
+   * @param {number[]|string} options.pool - 可自动分配的机器人
+   * @param {number} options.releaseAfter - 分支超过该天数没有上传视为已关闭
+   */
+  constructor(options = {}) {
+    this.strategy = options.strategy || 'lru';
+    if (!AUTO_STRATEGIES.includes(this.strategy)) {
+      throw new Error(`不支持的机器人分配策略: ${this.strategy}（可选: ${AUTO_STRATEGIES.join('/')}）`);
+    }
+    this.pool = parseRobotPool(options.pool);
+    this.releaseAfter = options.releaseAfter === undefined ? 14 : options.releaseAfter;
+  }
+
+  /**
+   * 分支是否已关闭：远端已删除、最近一次使用后被手动释放（robots.js release --branch），或超过 releaseAfter 天没有上传
+   * @param {string} branch
+   * @param {string} lastTime - 最近一次使用时间
+   * @param {Object} context
+   * @returns {boolean}
+   */
+  isClosed(branch, lastTime, context) {
+    if (context.openBranches && branch && !context.openBranches.includes(branch)) {
+      return true;
+    }
+    if (context.releases.some(record => record.branch === branch && new Date(record.time) >= new Date(lastTime))) {
+      return true;
+    }
+    return this.releaseAfter > 0 && context.now - new Date(lastTime).getTime() > this.releaseAfter * DAY_MS;
+  }
+
+  /**
+   * 为分支分配机器人
+   * 优先级：本分支持有的租约 > 本分支上次使用且未被其他分支占用的机器人 > 按策略选择空闲机器人
+   * @param {string} branch - 当前分支
+   * @param {Object} context
+   * @param {Object[]} context.history - 上传记录（按时间升序）
+   * @param {Object[]} context.leases - 有效租约
+   * @param {string[]|null} context.openBranches - 远端仍存在的分支，null 表示未知
+   * @param {Object[]} context.releases - 手动释放分支的记录 [{branch, time}]
+   * @param {number[]} context.exclude - 跳过的机器人（如加锁失败的机器人）
+   * @returns {{id: number, reason: string, occupant: Object|null}} occupant 为被回收的已关闭分支
+   */
+  allocate(branch, context = {}) {
+    const ctx = {
+      history: context.history || [],
+      leases: context.leases || [],
+      openBranches: context.openBranches || null,
+      releases: context.releases || [],
+      now: context.now || Date.now()
+    };
+    const exclude = context.exclude || [];
+    const pool = this.pool.filter(id => !exclude.includes(id));
+
+    // 每个机器人最近一次的使用者（上传记录或租约）
+    const occupants = new Map();
+    ctx.history.forEach(record => {
+      const id = Number(record.robot);
+      if (pool.includes(id) && record.branch) {
+        occupants.set(id, { branch: record.branch, time: record.time, source: 'history' });
+      }
+    });
+    ctx.leases.forEach(lease => {
+      if (pool.includes(lease.robot)) {
+        occupants.set(lease.robot, { branch: lease.holder, time: lease.acquiredAt, source: 'lease' });
+      }
+    });
+
+    const isOccupied = occupant => occupant && occupant.branch !== branch &&
+      !this.isClosed(occupant.branch, occupant.time, ctx);
+
+    // 1. 沿用本分支已占用的机器人
+    const own = pool.filter(id => occupants.get(id) && occupants.get(id).branch === branch);
+    const leased = own.find(id => occupants.get(id).source === 'lease');
+    if (leased !== undefined) {
+      return { id: leased, reason: '当前分支持有租约', occupant: null };
+    }
+    if (own.length > 0) {
+      const latest = own.sort((a, b) => new Date(occupants.get(b).time) - new Date(occupants.get(a).time))[0];
+      return { id: latest, reason: '当前分支上次使用', occupant: null };
+    }
+
+    // 2. 按策略选择空闲机器人
+    const free = pool.filter(id => !isOccupied(occupants.get(id)));
+    if (free.length === 0) {
+      const busy = pool.map(id => `${id}: ${occupants.get(id).branch}`).join(', ');
+      const error = new Error(`没有空闲的机器人可分配（robots.auto.pool: ${this.pool.join(',')}，占用情况: ${busy || '-'}）`);
+      error.retryable = false;
+      throw error;
+    }
+
+    let id;
+    if (this.strategy === 'hash') {
+      const hash = parseInt(crypto.createHash('md5').update(branch).digest('hex').substring(0, 8), 16);
+      const start = hash % this.pool.length;
+      // 从哈希位置开始在整个池中顺序查找，保证同一分支在池不变时结果稳定
+      id = [...this.pool.slice(start), ...this.pool.slice(0, start)].find(item => free.includes(item));
+    } else {
+      const lastUsed = item => (occupants.get(item) ? new Date(occupants.get(item).time).getTime() : 0);
+      id = free.slice().sort((a, b) => lastUsed(a) - lastUsed(b) || a - b)[0];
+    }
+
+    const occupant = occupants.get(id) || null;
+    return {
+      id,
+      reason: occupant
+        ? `回收已关闭分支 ${occupant.branch} 占用的机器人`
+        : (this.strategy === 'hash' ? '按分支名哈希分配' : '最久未使用'),
+      occupant
+    };
+  }
+}
+
+/**
+ * 按 robots.lock 配置创建机器人锁，未开启时返回 null
+ * @param {Object} config - robots.lock 配置
+ * @param {Object} options
+ * @param {string} options.cwd - 自定义存储模块的相对路径基准
+ * @returns {RobotLock|null}
+ */
+function createRobotLock(config = {}, options = {}) {
+  if (config.enabled === false) {
+    return null;
+  }
+
+  const storeName = config.store || 'file';
+  if (storeName === 'file') {
+    return new RobotLock(new FileLockStore({ directory: config.directory }), config);
+  }
+
+  // 自定义存储模块：导出一个类，构造参数为 robots.lock 配置
+  const modulePath = path.resolve(options.cwd || process.cwd(), storeName);
+  let Store;
+  try {
+    Store = require(modulePath);
+  } catch (error) {
+    throw new Error(`加载机器人锁存储模块失败 (${modulePath}): ${error.message}`);
+  }
+
+  const store = new Store(config);
+  if (typeof store.update !== 'function' || typeof store.list !== 'function') {
+    throw new Error(`机器人锁存储模块 ${modulePath} 需实现 update(robotId, updater) 和 list() 方法`);
+  }
+  return new RobotLock(store, config);
+}
+
+module.exports = {
+  RobotRegistry,
+  RobotLock,
+  RobotAllocator,
+  FileLockStore,
+  createRobotLock,
+  listRemoteBranches,
+  isKnownBranch,
+  parseRobotPool,
+  toRobotId,
+  MIN_ROBOT,
+  MAX_ROBOT
+};
@@ -0,0 +1,246 @@
+/**
+ * 安全检查
+ * 功能：
+ * - forceHttps：拒绝私钥下载、Vault、对象存储使用明文 HTTP 地址（本机回环地址除外，便于本地调试）
+ * - 出口 IP 预检：通过回显服务获取本机出口 IP，与 security.ipWhitelist 比对（支持 CIDR）
+ * - 日志脱敏：Cookie、签名参数、认证头、私钥内容及已登记的密钥值
+ */
+
+const net = require('net');
+const axios = require('axios');
+
+// 含敏感值的环境变量，出现在日志中时整体替换
+const SECRET_ENV = [
+  'API_COOKIE',
+  'MP_PRIVATE_KEY_BASE64',
+  'MP_PRIVATE_KEY_URL',
+  'MP_PRIVATE_KEY_TOKEN',
+  'MP_PRIVATE_KEY_PASSWORD',
+  'MP_PRIVATE_KEY_PASSPHRASE',
+  'VAULT_TOKEN',
+  'OSS_ACCESS_KEY_SECRET',
+  'OSS_SESSION_TOKEN',
+  'AWS_SECRET_ACCESS_KEY',
+  'AWS_SESSION_TOKEN',
+  'ALIBABA_CLOUD_ACCESS_KEY_SECRET',
+  'ALIBABA_CLOUD_SECURITY_TOKEN',
+  'TENCENTCLOUD_SECRET_KEY',
+  'TENCENTCLOUD_SESSION_TOKEN',
+  'DINGTALK_WEBHOOK',
+  'DINGTALK_SECRET',
+  'WECOM_WEBHOOK',
+  'LARK_WEBHOOK',
+  'LARK_SECRET'
+];
+
+// 需要脱敏的 URL 查询参数（预签名 URL 的签名、凭证，Webhook 的 access_token 等）
+const SENSITIVE_QUERY_PARAM = /sign|token|credential|secret|key|auth|policy|session|password/i;
+
+const MASK = '***';
+
+// 过短的值容易误伤正常文本，不做整体替换
+const MIN_SECRET_LENGTH = 6;
+
+// 通过 addSecret() 登记的值（如命令行传入的 Cookie、配置中的私钥地址）
+const secrets = new Set();
+
+/**
+ * 登记需要在日志中隐藏的值
+ * @param {string} value
+ */
+function addSecret(value) {
+  if (value && String(value).length >= MIN_SECRET_LENGTH) {
+    secrets.add(String(value));
+  }
+}
+
+/**
+ * 脱敏文本
+ * @param {*} text
+ * @returns {string}
+ */
+function redact(text) {
+  let result = String(text);
+
+  const values = new Set(secrets);
+  SECRET_ENV.forEach(name => {
+    const value = process.env[name];
+    if (value && value.length >= MIN_SECRET_LENGTH) {
+      values.add(value);
+    }
+  });
+  // 先替换较长的值，避免其中包含的较短值先被替换后整体匹配失败
+  [...values].sort((a, b) => b.length - a.length).forEach(value => {
+    result = result.split(value).join(MASK);
+  });
+
+  return result
+    .replace(/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(-----END [A-Z ]*PRIVATE KEY-----|$)/g, '[PRIVATE KEY]')
+    .replace(/([?&])([^=&#\s"'<>]+)=([^&#\s"'<>]*)/g,
+      (match, separator, name) => (SENSITIVE_QUERY_PARAM.test(name) ? `${separator}${name}=${MASK}` : match))
+    .replace(/\b(Bearer|Basic)\s+[\w.~+/=-]+/g, `$1 ${MASK}`)
+    .replace(/(--cookie[=\s]+)("[^"]*"|'[^']*'|\S+)/gi, `$1${MASK}`)
+    .replace(/(?<!-)(cookie["']?\s*[:=]\s*["']?)[^"'\r\n]+/gi, `$1${MASK}`);
+}
+
+/**
+ * 是否为本机回环地址
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+function isLoopback(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  return host === 'localhost' || host === '::1' || /^127\./.test(host);
+}
+
+/**
+ * 检查地址均为 HTTPS，否则抛出不可重试的错误
+ * 未带协议的地址（如 oss-cn-hangzhou.aliyuncs.com）会按 HTTPS 补全，视为通过
+ * @param {Object} urls - { 名称: 地址 }，空值跳过
+ * @param {string} context - 错误信息中的使用场景，如“私钥下载”
+ */
+function requireHttps(urls, context) {
+  Object.keys(urls).forEach(name => {
+    const value = String(urls[name] || '').trim();
+    if (!/^http:\/\//i.test(value)) {
+      return;
+    }
+    const url = new URL(value);
+    if (isLoopback(url.hostname)) {
+      return;
+    }
+    // 只输出协议和主机，私钥地址的路径本身可能就是凭证
+    const error = new Error(`${context}（${name}）不是 HTTPS 地址: ${url.origin}（security.forceHttps 已开启）`);
+    error.retryable = false;
+    throw error;
+  });
+}
+
+/**
+ * 查询本机出口 IP
+ * @param {string} echoUrl - 回显服务地址，返回纯文本 IP 或 { ip } / { origin } JSON
+ * @param {number} timeout - 超时（毫秒）
+ * @returns {Promise<string>}
+ */
+async function getEgressIp(echoUrl, timeout = 5000) {
+  const response = await axios.get(echoUrl, { timeout, responseType: 'text' });
+  const body = String(response.data || '').trim();
+
+  let ip = body;
+  try {
+    const data = JSON.parse(body);
+    ip = data.ip || data.origin || data.query || '';
+  } catch (error) {
+    // 纯文本响应
+  }
+
+  ip = String(ip).split(',')[0].trim();
+  if (!net.isIP(ip)) {
+    throw new Error(`出口 IP 回显服务返回的不是 IP 地址: ${body.slice(0, 100)}`);
+  }
+  return ip;
+}
+
+/**
+ * 解析并校验 IP 白名单
+ * 条目格式错误时抛出不可重试的错误，避免拼写错误让出口 IP 预检静默失效
+ * @param {string[]} whitelist - IP 或 CIDR，如 203.0.113.10、203.0.113.0/24
+ * @returns {Array<{address: string, prefix: number|null, type: string}>}
+ */
+function parseIpWhitelist(whitelist = []) {
+  const invalid = [];
+  const entries = whitelist.map(item => String(item || '').trim()).filter(Boolean).map(item => {
+    const [address, prefix, ...rest] = item.split('/');
+    const version = net.isIP(address);
+    const maxPrefix = version === 6 ? 128 : 32;
+    const validPrefix = prefix === undefined || (/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix);
+    if (!version || !validPrefix || rest.length > 0) {
+      invalid.push(item);
+      return null;
+    }
+    return { address, prefix: prefix === undefined ? null : Number(prefix), type: version === 6 ? 'ipv6' : 'ipv4' };
+  });
+
+  if (invalid.length > 0) {
+    const error = new Error(`security.ipWhitelist（IP_WHITELIST）中的条目格式错误: ${invalid.join(', ')}，应为 IP 或 CIDR（如 203.0.113.10、203.0.113.0/24）`);
+    error.retryable = false;
+    error.configError = true;
+    throw error;
+  }
+  return entries;
+}
+
+/**
+ * 判断 IP 是否在白名单中
+ * @param {string} ip
+ * @param {string[]} whitelist - IP 或 CIDR，如 203.0.113.10、203.0.113.0/24
+ * @returns {boolean}
+ */
+function isIpAllowed(ip, whitelist) {
+  const blockList = new net.BlockList();
+  parseIpWhitelist(whitelist).forEach(({ address, prefix, type }) => {
+    if (prefix === null) {
+      blockList.addAddress(address, type);
+    } else {
+      blockList.addSubnet(address, prefix, type);
+    }
+  });
+  return blockList.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * 检查出口 IP 是否在白名单中
+ * @param {Object} config - security 配置
+ * @param {string[]} config.ipWhitelist - 微信后台登记的 IP 白名单，为空时不检查
+ * @param {string} config.ipEchoUrl - 出口 IP 回显服务
+ * @param {number} config.ipCheckTimeout - 超时（毫秒）
+ * @returns {Promise<{ip: string, allowed: boolean}|null>} 未配置白名单时为 null
+ *   白名单格式错误时抛出不可重试的错误；回显服务不可用时抛出的错误带有 echoUnavailable 标记
+ */
+async function checkEgressIp(config = {}) {
+  const whitelist = (config.ipWhitelist || []).filter(Boolean);
+  // 先校验白名单，配置错误不应被当作回显服务故障跳过
+  parseIpWhitelist(whitelist);
+  if (!whitelist.length || !config.ipEchoUrl) {
+    return null;
+  }
+
+  let ip;
+  try {
+    ip = await getEgressIp(config.ipEchoUrl, config.ipCheckTimeout);
+  } catch (error) {
+    error.echoUnavailable = true;
+    throw error;
+  }
+  const allowed = isIpAllowed(ip, whitelist);
+  if (!allowed) {
+    const error = new Error(
+      `当前出口 IP ${ip} 不在 security.ipWhitelist（${whitelist.join(', ')}）中，上传会被微信拒绝。` +
+      '请在微信后台「开发管理 → 开发设置 → 小程序代码上传 → IP 白名单」中添加该 IP 并同步更新 IP_WHITELIST，或改用固定出口 IP 的 Runner'
+    );
+    error.retryable = false;
+    error.egressIp = ip;
+    throw error;
+  }
+  return { ip, allowed };
+}
+
+/**
+ * 是否为微信返回的 IP 白名单错误
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isIpWhitelistError(error) {
+  return /invalid ip|ip.*white\s*list|白名单/i.test(String((error && error.message) || error));
+}
+
+module.exports = {
+  addSecret,
+  redact,
+  requireHttps,
+  getEgressIp,
+  parseIpWhitelist,
+  isIpAllowed,
+  checkEgressIp,
+  isIpWhitelistError
+};
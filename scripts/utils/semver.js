@@ -0,0 +1,362 @@
+/**
+ * 语义化版本工具（SemVer 2.0.0）
+ * 功能：
+ * - 解析、格式化版本号（预发布标识、构建元数据）
+ * - 按规范比较版本优先级
+ * - 版本范围检查（>=、<、^、~、x、连字符范围、||）
+ * - 转换为微信平台使用的点分版本号
+ */
+
+const NUMERIC = /^(0|[1-9]\d*)$/;
+const IDENTIFIER = '(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)';
+const SEMVER_PATTERN = new RegExp(
+  '^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)' +
+  `(?:-(${IDENTIFIER}(?:\\.${IDENTIFIER})*))?` +
+  '(?:\\+([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?$'
+);
+
+// 微信版本号格式
+const WECHAT_FORMATS = ['semver', 'dotted'];
+
+/**
+ * 解析版本号
+ * @param {string} version
+ * @param {string} prefix - 需要去掉的前缀（如 v）
+ * @returns {{major: number, minor: number, patch: number, prerelease: (number|string)[], build: string[]}|null}
+ */
+function parse(version, prefix = '') {
+  let text = String(version === undefined || version === null ? '' : version).trim();
+  if (prefix && text.startsWith(prefix)) {
+    text = text.slice(prefix.length);
+  }
+
+  const match = text.match(SEMVER_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.').map(id => (NUMERIC.test(id) ? Number(id) : id)) : [],
+    build: match[5] ? match[5].split('.') : []
+  };
+}
+
+/**
+ * 格式化版本号
+ * @param {Object} parsed - parse() 的返回值
+ * @param {Object} options
+ * @param {boolean} options.build - 是否包含构建元数据 [默认: true]
+ * @returns {string}
+ */
+function format(parsed, options = {}) {
+  let text = `${parsed.major}.${parsed.minor}.${parsed.patch}`;
+  if (parsed.prerelease.length > 0) {
+    text += `-${parsed.prerelease.join('.')}`;
+  }
+  if (options.build !== false && parsed.build.length > 0) {
+    text += `+${parsed.build.join('.')}`;
+  }
+  return text;
+}
+
+/**
+ * 解析版本号，失败时抛出异常
+ * @param {string|Object} version
+ * @returns {Object}
+ */
+function parseStrict(version) {
+  if (version && typeof version === 'object') {
+    return version;
+  }
+  const parsed = parse(version);
+  if (!parsed) {
+    throw new Error(`无效的版本号: ${version}（需符合 SemVer，如 1.2.3、1.2.3-rc.1）`);
+  }
+  return parsed;
+}
+
+/**
+ * 比较预发布标识：数字标识低于字母标识，标识更多的优先级更高
+ * @param {(number|string)[]} a
+ * @param {(number|string)[]} b
+ * @returns {number}
+ */
+function comparePrerelease(a, b) {
+  // 没有预发布标识的版本优先级更高
+  if (a.length === 0 || b.length === 0) {
+    return (a.length === 0 ? 1 : 0) - (b.length === 0 ? 1 : 0);
+  }
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    if (a[i] === b[i]) continue;
+
+    const aNumeric = typeof a[i] === 'number';
+    const bNumeric = typeof b[i] === 'number';
+    if (aNumeric && bNumeric) return a[i] - b[i];
+    if (aNumeric) return -1;
+    if (bNumeric) return 1;
+    return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * 比较版本优先级（构建元数据不参与比较）
+ * @param {string|Object} a
+ * @param {string|Object} b
+ * @returns {number} a < b 返回负数，相等返回 0，a > b 返回正数
+ */
+function compare(a, b) {
+  const va = parseStrict(a);
+  const vb = parseStrict(b);
+
+  for (const key of ['major', 'minor', 'patch']) {
+    if (va[key] !== vb[key]) {
+      return va[key] - vb[key];
+    }
+  }
+  return comparePrerelease(va.prerelease, vb.prerelease);
+}
+
+/**
+ * 递增版本号
+ * 预发布版本递增 patch/minor/major 时，若对应部分已为目标值则直接去掉预发布标识（1.2.0-rc.1 -> 1.2.0）
+ * @param {string|Object} version
+ * @param {string} level - major/minor/patch/prerelease
+ * @param {string} preId - level 为 prerelease 时的标识（如 rc）
+ * @returns {string}
+ */
+function increment(version, level, preId) {
+  const v = { ...parseStrict(version), build: [] };
+  const isPrerelease = v.prerelease.length > 0;
+
+  switch (level) {
+    case 'major':
+      if (!(isPrerelease && v.minor === 0 && v.patch === 0)) v.major++;
+      v.minor = 0;
+      v.patch = 0;
+      v.prerelease = [];
+      break;
+    case 'minor':
+      if (!(isPrerelease && v.patch === 0)) v.minor++;
+      v.patch = 0;
+      v.prerelease = [];
+      break;
+    case 'patch':
+      if (!isPrerelease) v.patch++;
+      v.prerelease = [];
+      break;
+    case 'prerelease': {
+      const id = preId || (isPrerelease && typeof v.prerelease[0] === 'string' ? v.prerelease[0] : 'rc');
+      if (isPrerelease && v.prerelease[0] === id && typeof v.prerelease[v.prerelease.length - 1] === 'number') {
+        v.prerelease = [...v.prerelease.slice(0, -1), v.prerelease[v.prerelease.length - 1] + 1];
+      } else {
+        if (!isPrerelease) v.patch++;
+        v.prerelease = [id, 1];
+      }
+      break;
+    }
+    default:
+      throw new Error(`不支持的递增级别: ${level}（可选: major/minor/patch/prerelease）`);
+  }
+
+  return format(v);
+}
+
+/**
+ * 解析不完整的版本号（1、1.2、1.2.x、*），缺失部分为 null
+ * @param {string} text
+ * @returns {{major: number|null, minor: number|null, patch: number|null, prerelease: Array}}
+ */
+function parsePartial(text) {
+  const match = String(text).trim().replace(/^v/, '')
+    .match(/^(\d+|[xX*])?(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?$/);
+  if (!match) {
+    throw new Error(`无效的版本范围: ${text}`);
+  }
+
+  const part = value => (value === undefined || /^[xX*]$/.test(value) ? null : Number(value));
+  const major = part(match[1]);
+  const minor = major === null ? null : part(match[2]);
+  const patch = minor === null ? null : part(match[3]);
+
+  return {
+    major,
+    minor,
+    patch,
+    prerelease: match[4] && patch !== null ? match[4].split('.').map(id => (NUMERIC.test(id) ? Number(id) : id)) : []
+  };
+}
+
+/**
+ * 补全不完整版本号的下界
+ * @param {Object} partial
+ * @returns {string}
+ */
+function lowerBound(partial) {
+  return format({
+    major: partial.major || 0,
+    minor: partial.minor || 0,
+    patch: partial.patch || 0,
+    prerelease: partial.prerelease,
+    build: []
+  });
+}
+
+/**
+ * 将单个范围表达式展开为比较器列表
+ * @param {string} token - 如 ^1.2.3、~1.2、1.2.x、>=1.0.0
+ * @returns {{operator: string, version: string}[]}
+ */
+function expandComparator(token) {
+  const match = token.match(/^(\^|~|>=|<=|>|<|=)?\s*(.*)$/);
+  const operator = match[1] || '';
+  const partial = parsePartial(match[2]);
+  const { major, minor, patch } = partial;
+
+  if (major === null) {
+    return [];
+  }
+
+  if (operator === '^') {
+    let upper;
+    if (major > 0 || minor === null) upper = `${major + 1}.0.0-0`;
+    else if (minor > 0 || patch === null) upper = `0.${minor + 1}.0-0`;
+    else upper = `0.0.${patch + 1}-0`;
+    return [{ operator: '>=', version: lowerBound(partial) }, { operator: '<', version: upper }];
+  }
+
+  if (operator === '~') {
+    const upper = minor === null ? `${major + 1}.0.0-0` : `${major}.${minor + 1}.0-0`;
+    return [{ operator: '>=', version: lowerBound(partial) }, { operator: '<', version: upper }];
+  }
+
+  if (operator === '' || operator === '=') {
+    if (minor === null) {
+      return [{ operator: '>=', version: `${major}.0.0` }, { operator: '<', version: `${major + 1}.0.0-0` }];
+    }
+    if (patch === null) {
+      return [{ operator: '>=', version: `${major}.${minor}.0` }, { operator: '<', version: `${major}.${minor + 1}.0-0` }];
+    }
+    return [{ operator: '=', version: lowerBound(partial) }];
+  }
+
+  // 不完整版本配合 > 和 <= 时按整段处理：>1.2 即 >=1.3.0，<=1.2 即 <1.3.0-0
+  if (patch === null && (operator === '>' || operator === '<=')) {
+    const next = minor === null ? `${major + 1}.0.0` : `${major}.${minor + 1}.0`;
+    return operator === '>'
+      ? [{ operator: '>=', version: next }]
+      : [{ operator: '<', version: `${next}-0` }];
+  }
+
+  return [{ operator, version: lowerBound(partial) }];
+}
+
+/**
+ * 解析版本范围
+ * @param {string} range - 如 ">=1.2.0 <2.0.0 || ^3.0.0"、"1.2.3 - 1.4.x"
+ * @returns {{operator: string, version: string}[][]} 各组之间为“或”，组内为“与”
+ */
+function parseRange(range) {
+  return String(range).split('||').map(group => {
+    const text = group.trim().replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1');
+
+    const hyphen = text.match(/^(\S+)\s+-\s+(\S+)$/);
+    if (hyphen) {
+      const upper = parsePartial(hyphen[2]);
+      const upperComparators = upper.patch === null ? expandComparator(`<=${hyphen[2]}`) : [{ operator: '<=', version: lowerBound(upper) }];
+      return [{ operator: '>=', version: lowerBound(parsePartial(hyphen[1])) }, ...upperComparators];
+    }
+
+    return text ? text.split(/\s+/).reduce((list, token) => list.concat(expandComparator(token)), []) : [];
+  });
+}
+
+/**
+ * 检查单个比较器
+ * @param {Object} version
+ * @param {{operator: string, version: string}} comparator
+ * @returns {boolean}
+ */
+function testComparator(version, comparator) {
+  const result = compare(version, comparator.version);
+  switch (comparator.operator) {
+    case '>': return result > 0;
+    case '>=': return result >= 0;
+    case '<': return result < 0;
+    case '<=': return result <= 0;
+    default: return result === 0;
+  }
+}
+
+/**
+ * 检查版本是否满足范围
+ * 与 npm 一致：预发布版本只有在同一组中存在相同 major.minor.patch 的预发布比较器时才匹配
+ * @param {string} version
+ * @param {string} range
+ * @param {Object} options
+ * @param {boolean} options.includePrerelease - 预发布版本按普通版本匹配
+ * @returns {boolean}
+ */
+function satisfies(version, range, options = {}) {
+  const parsed = parse(version);
+  if (!parsed) {
+    return false;
+  }
+
+  return parseRange(range).some(group => {
+    if (!group.every(comparator => testComparator(parsed, comparator))) {
+      return false;
+    }
+    if (parsed.prerelease.length === 0 || options.includePrerelease) {
+      return true;
+    }
+    return group.some(comparator => {
+      const bound = parse(comparator.version);
+      return bound.prerelease.length > 0 && !(bound.prerelease.length === 1 && bound.prerelease[0] === 0) &&
+        bound.major === parsed.major && bound.minor === parsed.minor && bound.patch === parsed.patch;
+    });
+  });
+}
+
+/**
+ * 转换为微信平台的版本号
+ * - semver：保留预发布标识，去掉构建元数据（1.4.0-rc.3）
+ * - dotted：纯数字点分格式，仅用于正式版（1.4.0）；点分段无法表达预发布标签和排序
+ *   （1.4.0-alpha.1 与 1.4.0-rc.1 会撞号，且会排在 1.4.0 之后），预发布版本直接报错
+ * @param {string} version
+ * @param {string} wechatFormat - semver / dotted
+ * @returns {string}
+ */
+function toWechatVersion(version, wechatFormat = 'semver') {
+  const parsed = parseStrict(version);
+  const core = `${parsed.major}.${parsed.minor}.${parsed.patch}`;
+
+  switch (wechatFormat) {
+    case 'dotted':
+      if (parsed.prerelease.length > 0) {
+        throw new Error(`预发布版本 ${version} 无法转换为点分格式（会与其他预发布版本或正式版撞号），请将 version.wechatFormat 设为 semver`);
+      }
+      return core;
+    case 'semver':
+      return format(parsed, { build: false });
+    default:
+      throw new Error(`不支持的微信版本号格式: ${wechatFormat}（可选: ${WECHAT_FORMATS.join('/')}）`);
+  }
+}
+
+module.exports = {
+  WECHAT_FORMATS,
+  parse,
+  format,
+  compare,
+  increment,
+  parseRange,
+  satisfies,
+  toWechatVersion
+};
@@ -0,0 +1,182 @@
+/**
+ * 包体积预算工具
+ * 功能：
+ * - 按 sizeBudget 配置检查主包、分包、完整包体积
+ * - 超出 warn 阈值输出警告，超出 error 阈值终止上传
+ * - 与上次上传的文件体积快照对比，列出增长最多的文件
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const UNITS = {
+  B: 1,
+  KB: 1024,
+  MB: 1024 * 1024
+};
+
+/**
+ * 解析体积配置，支持字节数或 '1.8MB'、'500KB' 形式
+ * @param {number|string} value
+ * @returns {number|null} 字节数
+ */
+function parseSize(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB)?$/i);
+  if (!match) {
+    throw new Error(`无效的体积配置: ${value}（示例: 2MB、500KB、2097152）`);
+  }
+  return Math.round(parseFloat(match[1]) * UNITS[(match[2] || 'B').toUpperCase()]);
+}
+
+/**
+ * 格式化字节大小
+ * @param {number} size
+ * @returns {string}
+ */
+function formatSize(size) {
+  const abs = Math.abs(size);
+  if (abs >= UNITS.MB) {
+    return `${(size / UNITS.MB).toFixed(2)} MB`;
+  }
+  return `${(size / UNITS.KB).toFixed(2)} KB`;
+}
+
+class SizeBudget {
+  /**
+   * @param {Object} config - ci.config.js 中的 sizeBudget 配置
+   */
+  constructor(config = {}) {
+    this.enabled = config.enabled !== false;
+    this.topN = config.topN || 10;
+    this.packages = config.packages || {};
+    this.subPackage = config.subPackage || null;
+    this.snapshotFile = config.snapshotFile || null;
+  }
+
+  /**
+   * 获取指定包的预算
+   * 命名分包未单独配置时使用 subPackage 默认预算
+   * @param {string} name - 包名（__APP__、__FULL__ 或 /root/）
+   * @returns {{warn: number|null, error: number|null}|null}
+   */
+  getBudget(name) {
+    let budget = this.packages[name];
+    if (!budget && name !== '__APP__' && name !== '__FULL__') {
+      budget = this.subPackage;
+    }
+    if (!budget) {
+      return null;
+    }
+    return {
+      warn: parseSize(budget.warn),
+      error: parseSize(budget.error)
+    };
+  }
+
+  /**
+   * 检查包体积
+   * @param {{name: string, size: number}[]} packages
+   * @returns {{warnings: Object[], errors: Object[]}}
+   */
+  check(packages) {
+    const warnings = [];
+    const errors = [];
+
+    if (!this.enabled) {
+      return { warnings, errors };
+    }
+
+    (packages || []).forEach(pkg => {
+      const budget = this.getBudget(pkg.name);
+      if (!budget) return;
+
+      if (budget.error !== null && pkg.size > budget.error) {
+        errors.push({ name: pkg.name, size: pkg.size, limit: budget.error, level: 'error' });
+      } else if (budget.warn !== null && pkg.size > budget.warn) {
+        warnings.push({ name: pkg.name, size: pkg.size, limit: budget.warn, level: 'warn' });
+      }
+    });
+
+    return { warnings, errors };
+  }
+
+  /**
+   * 读取上次的文件体积快照
+   * @param {string} env
+   * @returns {Object|null} { 文件路径: 字节数 }
+   */
+  loadSnapshot(env) {
+    if (!this.snapshotFile || !fs.existsSync(this.snapshotFile)) {
+      return null;
+    }
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(this.snapshotFile, 'utf-8'));
+      return snapshot[env] ? snapshot[env].files : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 保存本次文件体积快照
+   * @param {string} env
+   * @param {{path: string, size: number}[]} files
+   */
+  saveSnapshot(env, files) {
+    if (!this.snapshotFile) return;
+
+    let snapshot = {};
+    if (fs.existsSync(this.snapshotFile)) {
+      try {
+        snapshot = JSON.parse(fs.readFileSync(this.snapshotFile, 'utf-8'));
+      } catch (error) {
+        snapshot = {};
+      }
+    }
+
+    snapshot[env] = {
+      updatedAt: new Date().toISOString(),
+      files: files.reduce((map, file) => {
+        map[file.path] = file.size;
+        return map;
+      }, {})
+    };
+
+    fs.mkdirSync(path.dirname(path.resolve(this.snapshotFile)), { recursive: true });
+    fs.writeFileSync(this.snapshotFile, JSON.stringify(snapshot, null, 2));
+  }
+
+  /**
+   * 列出指定包中体积增长最多（无快照时为体积最大）的文件
+   * @param {string} packageName - 包名，__FULL__ 表示全部文件
+   * @param {{path: string, size: number, package: string}[]} files
+   * @param {Object|null} snapshot - 上次的文件体积快照
+   * @returns {{path: string, size: number, previous: number|null, delta: number|null}[]}
+   */
+  getTopFiles(packageName, files, snapshot) {
+    return files
+      .filter(file => packageName === '__FULL__' || file.package === packageName)
+      .map(file => {
+        const previous = snapshot ? (snapshot[file.path] ?? 0) : null;
+        return {
+          path: file.path,
+          size: file.size,
+          previous,
+          delta: snapshot ? file.size - previous : null
+        };
+      })
+      .sort((a, b) => (snapshot ? b.delta - a.delta : b.size - a.size))
+      .slice(0, this.topN);
+  }
+}
+
+module.exports = SizeBudget;
+module.exports.parseSize = parseSize;
+module.exports.formatSize = formatSize;
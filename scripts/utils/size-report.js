@@ -0,0 +1,174 @@
+/**
+ * 包体积对比报告
+ * 功能：
+ * - 在上传历史中查找基准记录（同环境同分支的上一次上传，或指定版本）
+ * - 计算各包体积的绝对值和百分比变化
+ * - 输出 JSON 和 Markdown（可直接贴到合并请求中）
+ */
+
+const { formatSize } = require('./size-budget');
+
+/**
+ * 格式化包名
+ * @param {string} name
+ * @returns {string}
+ */
+function formatPackageName(name) {
+  if (name === '__FULL__') return '完整包';
+  if (name === '__APP__') return '主包';
+  return name;
+}
+
+/**
+ * 格式化带符号的体积变化
+ * @param {number|null} delta
+ * @returns {string}
+ */
+function formatDelta(delta) {
+  if (delta === null) return '-';
+  if (delta === 0) return '0';
+  return `${delta > 0 ? '+' : ''}${formatSize(delta)}`;
+}
+
+/**
+ * 格式化百分比变化
+ * @param {number|null} percent
+ * @returns {string}
+ */
+function formatPercent(percent) {
+  if (percent === null) return '-';
+  return `${percent > 0 ? '+' : ''}${percent.toFixed(2)}%`;
+}
+
+class SizeReport {
+  /**
+   * @param {Object} options
+   * @param {Array} options.current - 本次 subPackageInfo
+   * @param {Object|null} options.baseline - 基准上传记录
+   * @param {Object} options.meta - 附加信息（env、branch、version）
+   */
+  constructor(options = {}) {
+    this.current = options.current || [];
+    this.baseline = options.baseline || null;
+    this.meta = options.meta || {};
+    this.rows = this.compare();
+  }
+
+  /**
+   * 在上传历史中查找基准记录
+   * 指定 version 时查找该版本最近一次上传，否则查找同环境、同分支的最近一次上传
+   * @param {Array} history - 上传记录（按时间升序）
+   * @param {Object} criteria
+   * @param {string} criteria.env
+   * @param {string} criteria.branch
+   * @param {string} criteria.version - 基准版本号（可选）
+   * @returns {Object|null}
+   */
+  static findBaseline(history, criteria = {}) {
+    const candidates = (history || []).filter(record => record.packageInfo && record.packageInfo.length > 0);
+
+    const match = criteria.version
+      ? candidates.filter(record => record.version === criteria.version)
+      : candidates.filter(record =>
+        record.env === criteria.env &&
+        (record.branch || (record.buildInfo && record.buildInfo.branch)) === criteria.branch
+      );
+
+    return match.length > 0 ? match[match.length - 1] : null;
+  }
+
+  /**
+   * 对比各包体积
+   * @returns {{name: string, size: number|null, baselineSize: number|null, delta: number|null, percent: number|null}[]}
+   */
+  compare() {
+    const baselineMap = {};
+    ((this.baseline && this.baseline.packageInfo) || []).forEach(pkg => {
+      baselineMap[pkg.name] = pkg.size;
+    });
+
+    const names = [...new Set([
+      ...this.current.map(pkg => pkg.name),
+      ...Object.keys(baselineMap)
+    ])];
+
+    return names.map(name => {
+      const currentPkg = this.current.find(pkg => pkg.name === name);
+      const size = currentPkg ? currentPkg.size : null;
+      const baselineSize = name in baselineMap ? baselineMap[name] : null;
+      const delta = size !== null && baselineSize !== null ? size - baselineSize : null;
+      const percent = delta !== null && baselineSize > 0 ? (delta / baselineSize) * 100 : null;
+
+      return { name, size, baselineSize, delta, percent };
+    });
+  }
+
+  /**
+   * 控制台表格数据
+   * @returns {{headers: string[], rows: string[][]}}
+   */
+  toTable() {
+    return {
+      headers: ['包名', '本次', '基准', '变化', '变化率'],
+      rows: this.rows.map(row => [
+        formatPackageName(row.name),
+        row.size === null ? '(已移除)' : formatSize(row.size),
+        row.baselineSize === null ? '(新增)' : formatSize(row.baselineSize),
+        formatDelta(row.delta),
+        formatPercent(row.percent)
+      ])
+    };
+  }
+
+  /**
+   * JSON 报告
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      generatedAt: new Date().toISOString(),
+      ...this.meta,
+      baseline: this.baseline
+        ? {
+          version: this.baseline.version,
+          env: this.baseline.env,
+          branch: this.baseline.branch || (this.baseline.buildInfo && this.baseline.buildInfo.branch),
+          uploadTime: this.baseline.uploadTime
+        }
+        : null,
+      packages: this.rows
+    };
+  }
+
+  /**
+   * Markdown 报告
+   * @returns {string}
+   */
+  toMarkdown() {
+    const lines = ['### 📦 小程序包体积变化', ''];
+
+    if (this.baseline) {
+      const branch = this.baseline.branch || (this.baseline.buildInfo && this.baseline.buildInfo.branch);
+      lines.push(`对比基准: \`${this.baseline.version}\`（${this.baseline.env}${branch ? ` / ${branch}` : ''}，${this.baseline.uploadTime}）`, '');
+    } else {
+      lines.push('未找到对比基准，仅列出本次体积', '');
+    }
+
+    const { headers, rows } = this.toTable();
+    lines.push(`| ${headers.join(' | ')} |`);
+    lines.push(`| ${headers.map((header, index) => (index === 0 ? '---' : '---:')).join(' | ')} |`);
+    this.rows.forEach((row, index) => {
+      const cells = [...rows[index]];
+      // 体积增长超过 5% 时加粗提示
+      if (row.percent !== null && row.percent > 5) {
+        cells[3] = `**${cells[3]}**`;
+        cells[4] = `**${cells[4]}** ⚠️`;
+      }
+      lines.push(`| ${cells.join(' | ')} |`);
+    });
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = SizeReport;
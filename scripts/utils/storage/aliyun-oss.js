@@ -0,0 +1,153 @@
+/**
+ * 阿里云 OSS
+ * 使用 OSS 请求头签名（HMAC-SHA1）PUT 上传
+ */
+
+const { hmac, contentMd5, getEtag, encodeKey, normalizeEndpoint, joinUrl, head, put } = require('./http');
+const { requireHttps } = require('../security');
+
+class AliyunOSSProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - 地域 Endpoint，如 oss-cn-hangzhou.aliyuncs.com
+   * @param {string} options.bucket - 存储空间
+   * @param {string} options.acl - 对象 ACL，如 public-read，留空则继承存储空间
+   * @param {string} options.cdnDomain - CDN 域名，留空则返回 OSS 地址
+   * @param {string} options.accessKeyId
+   * @param {string} options.accessKeySecret
+   * @param {string} options.sessionToken - STS 临时凭证的 Token（可选）
+   * @param {boolean} options.forceHttps - 拒绝明文 HTTP 地址（security.forceHttps）
+   */
+  constructor(options = {}) {
+    if (!options.bucket) {
+      throw new Error('阿里云 OSS 未配置 bucket（oss.aliyun.bucket 或 OSS_BUCKET）');
+    }
+    if (!options.accessKeyId || !options.accessKeySecret) {
+      throw new Error('阿里云 OSS 缺少访问密钥（OSS_ACCESS_KEY_ID / OSS_ACCESS_KEY_SECRET）');
+    }
+
+    this.endpoint = normalizeEndpoint(options.endpoint || 'oss-cn-hangzhou.aliyuncs.com');
+    this.bucket = options.bucket;
+    this.acl = options.acl;
+    this.cdnDomain = options.cdnDomain;
+    this.credentials = {
+      accessKeyId: options.accessKeyId,
+      accessKeySecret: options.accessKeySecret,
+      sessionToken: options.sessionToken
+    };
+
+    if (options.forceHttps) {
+      requireHttps({ endpoint: this.endpoint, cdnDomain: this.cdnDomain }, '阿里云 OSS');
+    }
+  }
+
+  /**
+   * 对象地址（虚拟主机形式）
+   * @param {string} key
+   * @returns {string}
+   */
+  getObjectUrl(key) {
+    const { protocol, host } = new URL(this.endpoint);
+    return `${protocol}//${this.bucket}.${host}/${encodeKey(key)}`;
+  }
+
+  /**
+   * 对外访问地址
+   * @param {string} key
+   * @returns {string}
+   */
+  getUrl(key) {
+    return this.cdnDomain ? joinUrl(this.cdnDomain, key) : this.getObjectUrl(key);
+  }
+
+  /**
+   * 生成签名后的请求头
+   * @param {string} method - PUT / HEAD
+   * @param {string} key
+   * @param {Object} headers - Content-Type、Content-MD5 及 x-oss-* 请求头
+   * @param {Date} now
+   * @returns {Object}
+   */
+  sign(method, key, headers, now = new Date()) {
+    const signed = { ...headers, Date: now.toUTCString() };
+    if (this.credentials.sessionToken) {
+      signed['x-oss-security-token'] = this.credentials.sessionToken;
+    }
+
+    const ossHeaders = Object.keys(signed)
+      .filter(name => name.toLowerCase().startsWith('x-oss-'))
+      .map(name => `${name.toLowerCase()}:${String(signed[name]).trim()}`)
+      .sort()
+      .map(line => `${line}\n`)
+      .join('');
+
+    const stringToSign = [
+      method,
+      signed['Content-MD5'] || '',
+      signed['Content-Type'] || '',
+      signed.Date,
+      `${ossHeaders}/${this.bucket}/${key}`
+    ].join('\n');
+
+    return {
+      ...signed,
+      Authorization: `OSS ${this.credentials.accessKeyId}:${hmac(this.credentials.accessKeySecret, stringToSign, 'sha1', 'base64')}`
+    };
+  }
+
+  /**
+   * 上传对象
+   * @param {string} key - 对象名称
+   * @param {Buffer|stream.Readable} body - 文件内容
+   * @param {Object} options
+   * @param {string} options.contentType
+   * @param {string} options.md5 - 预先计算的 Content-MD5（流式上传时必需）
+   * @param {number} options.contentLength - 流式上传的内容长度
+   * @returns {Promise<{url: string, key: string, etag: string}>}
+   */
+  async put(key, body, options = {}) {
+    const url = this.getObjectUrl(key);
+    const headers = {
+      'Content-Type': options.contentType,
+      'Content-MD5': contentMd5(body, options)
+    };
+    if (this.acl) {
+      headers['x-oss-object-acl'] = this.acl;
+    }
+
+    const response = await put(url, body, this.sign('PUT', key, headers), {
+      contentLength: options.contentLength
+    });
+
+    return {
+      url: this.getUrl(key),
+      key,
+      etag: getEtag(response)
+    };
+  }
+
+  /**
+   * 查询已有对象
+   * @param {string} key
+   * @returns {Promise<{etag: string}|null>}
+   */
+  async head(key) {
+    const response = await head(this.getObjectUrl(key), this.sign('HEAD', key, {}));
+    return response && { etag: getEtag(response) };
+  }
+
+  /**
+   * 配置描述（输出到日志）
+   * @returns {string[]}
+   */
+  describe() {
+    return [
+      '阿里云 OSS',
+      `Endpoint: ${this.endpoint}`,
+      `Bucket: ${this.bucket}`,
+      `CDN Domain: ${this.cdnDomain || '-'}`
+    ];
+  }
+}
+
+module.exports = AliyunOSSProvider;
@@ -0,0 +1,181 @@
+/**
+ * 存储服务共用的 HTTP 与签名工具
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * HMAC
+ * @param {string|Buffer} key
+ * @param {string} data
+ * @param {string} algorithm - sha1 / sha256
+ * @param {string} encoding - 不传时返回 Buffer
+ * @returns {Buffer|string}
+ */
+function hmac(key, data, algorithm = 'sha256', encoding) {
+  const digest = crypto.createHmac(algorithm, key).update(data, 'utf8');
+  return encoding ? digest.digest(encoding) : digest.digest();
+}
+
+/**
+ * 摘要
+ * @param {string|Buffer} data
+ * @param {string} algorithm - md5 / sha1 / sha256
+ * @param {string} encoding - hex / base64
+ * @returns {string}
+ */
+function hash(data, algorithm = 'sha256', encoding = 'hex') {
+  return crypto.createHash(algorithm).update(data).digest(encoding);
+}
+
+/**
+ * 流式计算文件的 MD5、SHA-256 和大小（不把文件整体读入内存）
+ * @param {string} filePath
+ * @returns {Promise<{md5: string, sha256: string, size: number}>} md5 为 Base64（Content-MD5 格式），sha256 为 hex
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const md5 = crypto.createHash('md5');
+    const sha256 = crypto.createHash('sha256');
+    let size = 0;
+
+    fs.createReadStream(filePath)
+      .on('data', chunk => {
+        md5.update(chunk);
+        sha256.update(chunk);
+        size += chunk.length;
+      })
+      .on('error', reject)
+      .on('end', () => resolve({ md5: md5.digest('base64'), sha256: sha256.digest('hex'), size }));
+  });
+}
+
+/**
+ * 请求体的 Content-MD5（Base64），优先使用调用方预先计算的值
+ * @param {Buffer|stream.Readable} body
+ * @param {Object} options
+ * @param {string} options.md5
+ * @returns {string}
+ */
+function contentMd5(body, options = {}) {
+  return options.md5 || hash(body, 'md5', 'base64');
+}
+
+/**
+ * 从响应头中读取 ETag（去掉引号）
+ * @param {Object} response - axios 响应
+ * @returns {string|null}
+ */
+function getEtag(response) {
+  return String((response && response.headers.etag) || '').replace(/"/g, '') || null;
+}
+
+/**
+ * 按 RFC 3986 编码对象路径（保留 /）
+ * @param {string} key
+ * @returns {string}
+ */
+function encodeKey(key) {
+  return key.split('/')
+    .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`))
+    .join('/');
+}
+
+/**
+ * 补全 endpoint 协议并去掉末尾的 /
+ * @param {string} endpoint
+ * @returns {string}
+ */
+function normalizeEndpoint(endpoint) {
+  const value = String(endpoint || '').trim().replace(/\/+$/, '');
+  return /^https?:\/\//.test(value) ? value : `https://${value}`;
+}
+
+/**
+ * 拼接 CDN 地址
+ * @param {string} cdnDomain
+ * @param {string} key
+ * @returns {string}
+ */
+function joinUrl(cdnDomain, key) {
+  return `${normalizeEndpoint(cdnDomain)}/${encodeKey(key)}`;
+}
+
+/**
+ * 从 S3/OSS/COS 的 XML 错误响应中提取错误码和信息
+ * @param {*} data
+ * @returns {string}
+ */
+function parseErrorBody(data) {
+  const text = Buffer.isBuffer(data) ? data.toString('utf8') : String(data || '');
+  const code = /<Code>([^<]*)<\/Code>/.exec(text);
+  const message = /<Message>([^<]*)<\/Message>/.exec(text);
+  return [code && code[1], message && message[1]].filter(Boolean).join(': ');
+}
+
+/**
+ * PUT 上传，失败时在错误信息中附带服务端返回的错误码（保留 error.response 供重试判断）
+ * @param {string} url
+ * @param {Buffer|stream.Readable} body - 文件内容，流式上传时需同时传入 contentLength
+ * @param {Object} headers
+ * @param {Object} options
+ * @param {number} options.contentLength - 流式上传的内容长度（存储服务不接受分块传输编码）
+ * @param {number} options.timeout - 超时（毫秒）
+ * @returns {Promise<Object>} axios 响应
+ */
+async function put(url, body, headers, options = {}) {
+  try {
+    return await axios.put(url, body, {
+      headers: options.contentLength === undefined
+        ? headers
+        : { ...headers, 'Content-Length': options.contentLength },
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+      timeout: options.timeout || 60000,
+      responseType: 'text'
+    });
+  } catch (error) {
+    if (error.response) {
+      const detail = parseErrorBody(error.response.data);
+      error.message = `上传失败，状态码: ${error.response.status}${detail ? `（${detail}）` : ''}`;
+    }
+    throw error;
+  }
+}
+
+/**
+ * HEAD 查询对象，不存在时返回 null
+ * @param {string} url
+ * @param {Object} headers
+ * @param {Object} options
+ * @param {number} options.timeout - 超时（毫秒）
+ * @returns {Promise<Object|null>} axios 响应
+ */
+async function head(url, headers, options = {}) {
+  try {
+    return await axios.head(url, { headers, timeout: options.timeout || 10000 });
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    if (error.response) {
+      error.message = `查询对象失败，状态码: ${error.response.status}`;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  hmac,
+  hash,
+  hashFile,
+  contentMd5,
+  getEtag,
+  encodeKey,
+  normalizeEndpoint,
+  joinUrl,
+  head,
+  put
+};
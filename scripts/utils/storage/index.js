@@ -0,0 +1,118 @@
+/**
+ * 对象存储提供方
+ * 按 oss.provider 创建存储实例，所有实现提供相同的接口：
+ * - put(key, body, {contentType, contentLength, md5, sha256}) => Promise<{url, key, etag}>，body 为 Buffer 或可读流
+ * - describe() => string[]（输出到日志的配置描述）
+ * - head(key) => Promise<{etag}|null>、getUrl(key) => string（可选，用于 oss.dedup 跳过已有对象）
+ */
+
+const path = require('path');
+const PresignedProvider = require('./presigned');
+const S3Provider = require('./s3');
+const AliyunOSSProvider = require('./aliyun-oss');
+const TencentCOSProvider = require('./tencent-cos');
+const LocalProvider = require('./local');
+
+const PROVIDERS = {
+  presigned: PresignedProvider,
+  s3: S3Provider,
+  aliyun: AliyunOSSProvider,
+  cos: TencentCOSProvider,
+  local: LocalProvider
+};
+
+// 访问密钥环境变量：通用的 OSS_* 优先，其次为各云厂商的标准变量
+const CREDENTIAL_ENV = {
+  s3: ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_SESSION_TOKEN'],
+  aliyun: ['ALIBABA_CLOUD_ACCESS_KEY_ID', 'ALIBABA_CLOUD_ACCESS_KEY_SECRET', 'ALIBABA_CLOUD_SECURITY_TOKEN'],
+  cos: ['TENCENTCLOUD_SECRET_ID', 'TENCENTCLOUD_SECRET_KEY', 'TENCENTCLOUD_SESSION_TOKEN']
+};
+
+// oss 配置顶层可覆盖各存储配置的字段（对应 OSS_ENDPOINT 等环境变量）
+const OVERRIDE_FIELDS = ['endpoint', 'region', 'bucket', 'cdnDomain'];
+
+/**
+ * 从环境变量读取访问密钥
+ * @param {string} provider
+ * @returns {Object}
+ */
+function getCredentials(provider) {
+  const [idName, secretName, tokenName] = CREDENTIAL_ENV[provider] || [];
+  const env = process.env;
+  return {
+    accessKeyId: env.OSS_ACCESS_KEY_ID || env[idName],
+    accessKeySecret: env.OSS_ACCESS_KEY_SECRET || env[secretName],
+    sessionToken: env.OSS_SESSION_TOKEN || env[tokenName]
+  };
+}
+
+/**
+ * 合并存储配置：oss.<provider> < oss 顶层非空字段 < 访问密钥
+ * forceHttps 来自 security.forceHttps，由各存储在构造时检查地址
+ * @param {Object} config - oss 配置
+ * @param {string} provider
+ * @returns {Object}
+ */
+function getProviderOptions(config, provider) {
+  const overrides = {};
+  OVERRIDE_FIELDS.forEach(field => {
+    if (config[field]) {
+      overrides[field] = config[field];
+    }
+  });
+
+  if (provider === 'presigned') {
+    // 预签名上传沿用 oss 顶层的 preset、presets、signatureUrl 和 Cookie
+    return {
+      ...config.presigned,
+      preset: config.preset,
+      presets: config.presets,
+      signatureUrl: config.signatureUrl,
+      cookie: config.cookie,
+      forceHttps: config.forceHttps,
+      ...overrides
+    };
+  }
+
+  const credentials = getCredentials(provider);
+  Object.keys(credentials).forEach(key => {
+    if (!credentials[key]) delete credentials[key];
+  });
+  return { ...config[provider], ...overrides, ...credentials, forceHttps: config.forceHttps };
+}
+
+/**
+ * 按 oss 配置创建存储实例
+ * @param {Object} config - ci.config.js 中的 oss 配置
+ * @param {Object} options
+ * @param {string} options.cwd - 自定义存储模块的相对路径基准
+ * @param {Logger} options.logger - 日志实例，传给内置存储
+ * @returns {Object}
+ */
+function createStorageProvider(config = {}, options = {}) {
+  const provider = config.provider || 'presigned';
+  const Provider = PROVIDERS[provider];
+  if (Provider) {
+    return new Provider({ ...getProviderOptions(config, provider), logger: options.logger });
+  }
+
+  // 自定义存储模块：导出一个类，构造参数为 oss 配置
+  const modulePath = path.resolve(options.cwd || process.cwd(), provider);
+  let Custom;
+  try {
+    Custom = require(modulePath);
+  } catch (error) {
+    throw new Error(`加载存储模块失败 (${modulePath}): ${error.message}（内置: ${Object.keys(PROVIDERS).join('/')}）`);
+  }
+
+  const instance = new Custom(config);
+  if (typeof instance.put !== 'function') {
+    throw new Error(`存储模块 ${modulePath} 需实现 put(key, body, options) 方法`);
+  }
+  return instance;
+}
+
+module.exports = {
+  createStorageProvider,
+  PROVIDERS
+};
@@ -0,0 +1,86 @@
+/**
+ * 对象名称模板
+ * 按 oss.keyTemplate 生成对象名称，如 {appid}/{env}/{robot}/qrcode.png、{hash:16}{ext}
+ *
+ * 模板语法：
+ * - {name}    变量，为空时报错（避免生成 a//b 这样的路径）
+ * - {name:8}  截取前 8 个字符，用于 hash、commit
+ *
+ * 变量：appid、env、version、robot、robotName、branch、commit、timestamp、date、
+ *      name（不含扩展名）、ext（含点）、filename、path（批量上传时的相对路径）、hash（SHA-256）、md5
+ */
+
+const path = require('path');
+
+// 与原有命名一致：时间戳目录 + 文件名
+const DEFAULT_KEY_TEMPLATE = '{timestamp}/{filename}';
+
+const VARIABLE_PATTERN = /\{(\w+)(?::(\d+))?\}/g;
+
+/**
+ * 将变量值转换为可用于对象名称的片段（path 保留 /，其余变量中的 / 等字符替换为 -）
+ * @param {string} name
+ * @param {*} value
+ * @returns {string}
+ */
+function toSegment(name, value) {
+  const text = String(value).trim();
+  return name === 'path'
+    ? text.split('/').map(part => part.replace(/[^\w.@-]+/g, '-')).join('/')
+    : text.replace(/[^\w.@-]+/g, '-');
+}
+
+/**
+ * 收集文件相关的模板变量
+ * @param {string} fileName - 文件名或批量上传时的相对路径
+ * @param {Object} digest - hashFile 结果（md5 为 Base64）
+ * @returns {Object}
+ */
+function fileVariables(fileName, digest) {
+  const ext = path.extname(fileName);
+  const filename = path.basename(fileName);
+  return {
+    name: path.basename(fileName, ext),
+    ext,
+    filename,
+    path: fileName,
+    hash: digest && digest.sha256,
+    md5: digest && Buffer.from(digest.md5, 'base64').toString('hex')
+  };
+}
+
+/**
+ * 渲染对象名称
+ * @param {string} template - 模板
+ * @param {Object} variables - 变量
+ * @param {string} prefix - 路径前缀（oss.uploadPath）
+ * @returns {string}
+ */
+function renderKey(template, variables = {}, prefix = '') {
+  const now = new Date();
+  const values = {
+    timestamp: now.getTime(),
+    date: now.toISOString().slice(0, 10).replace(/-/g, ''),
+    ...variables
+  };
+
+  const rendered = (template || DEFAULT_KEY_TEMPLATE).replace(VARIABLE_PATTERN, (match, name, length) => {
+    const value = values[name];
+    if (value === undefined || value === null || value === '') {
+      throw new Error(`对象名称模板 ${template} 中的变量 {${name}} 为空`);
+    }
+    const segment = toSegment(name, value);
+    return length ? segment.slice(0, parseInt(length, 10)) : segment;
+  });
+
+  return `${prefix || ''}/${rendered}`
+    .split('/')
+    .filter(part => part && part !== '.' && part !== '..')
+    .join('/');
+}
+
+module.exports = {
+  DEFAULT_KEY_TEMPLATE,
+  fileVariables,
+  renderKey
+};
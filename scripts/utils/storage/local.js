@@ -0,0 +1,106 @@
+/**
+ * 本地文件系统
+ * 将文件复制到指定目录，可配合静态 HTTP 服务、挂载卷或 CI 制品使用
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream');
+const { promisify } = require('util');
+const { pathToFileURL } = require('url');
+const { hash, hashFile, joinUrl } = require('./http');
+const { requireHttps } = require('../security');
+
+const pipelineAsync = promisify(pipeline);
+
+class LocalProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - 输出目录
+   * @param {string} options.baseUrl - 该目录对外的访问地址（如 https://static.example.com/mp），留空则返回 file:// 地址
+   * @param {boolean} options.forceHttps - 拒绝明文 HTTP 的 baseUrl（security.forceHttps）
+   */
+  constructor(options = {}) {
+    this.directory = path.resolve(options.directory || './output/oss');
+    this.baseUrl = options.baseUrl;
+
+    if (options.forceHttps) {
+      requireHttps({ baseUrl: this.baseUrl }, '本地存储');
+    }
+  }
+
+  /**
+   * 对象在输出目录中的路径
+   * @param {string} key
+   * @returns {string}
+   */
+  resolve(key) {
+    const target = path.resolve(this.directory, key);
+    if (!target.startsWith(this.directory + path.sep)) {
+      throw new Error(`对象名称超出输出目录: ${key}`);
+    }
+    return target;
+  }
+
+  /**
+   * 对外访问地址
+   * @param {string} key
+   * @returns {string}
+   */
+  getUrl(key) {
+    return this.baseUrl ? joinUrl(this.baseUrl, key) : pathToFileURL(this.resolve(key)).href;
+  }
+
+  /**
+   * 写入对象
+   * @param {string} key - 对象名称（相对输出目录的路径）
+   * @param {Buffer|stream.Readable} body - 文件内容
+   * @returns {Promise<{url: string, key: string, etag: string}>}
+   */
+  async put(key, body) {
+    const target = this.resolve(key);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    let etag;
+    if (Buffer.isBuffer(body)) {
+      fs.writeFileSync(target, body);
+      etag = hash(body, 'md5');
+    } else {
+      // 流式写入后按落盘内容计算 ETag，供调用方校验完整性
+      await pipelineAsync(body, fs.createWriteStream(target));
+      etag = Buffer.from((await hashFile(target)).md5, 'base64').toString('hex');
+    }
+
+    return {
+      url: this.getUrl(key),
+      key,
+      etag
+    };
+  }
+
+  /**
+   * 查询已有对象
+   * @param {string} key
+   * @returns {Promise<{etag: string}|null>}
+   */
+  async head(key) {
+    const target = this.resolve(key);
+    if (!fs.existsSync(target)) {
+      return null;
+    }
+    return { etag: Buffer.from((await hashFile(target)).md5, 'base64').toString('hex') };
+  }
+
+  /**
+   * 配置描述（输出到日志）
+   * @returns {string[]}
+   */
+  describe() {
+    return [
+      '本地目录',
+      `Directory: ${this.directory}`,
+      `Base URL: ${this.baseUrl || '-'}`
+    ];
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,76 @@
+/**
+ * 批量上传清单
+ * 记录已上传文件的 MD5、对象名称、存储标识和地址，重新执行时跳过内容未变化且对象名称、存储相同的文件
+ * 对象名称随版本、环境变化（如 {version}/{path}）时会重新上传，不会返回旧版本的地址
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../logger');
+
+class UploadManifest {
+  /**
+   * @param {string} filePath - 清单文件路径（JSON）
+   * @param {Object} options
+   * @param {Logger} options.logger - 日志实例
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = path.resolve(filePath);
+    this.files = {};
+    this.logger = options.logger || Logger.default;
+
+    if (fs.existsSync(this.filePath)) {
+      try {
+        this.files = JSON.parse(fs.readFileSync(this.filePath, 'utf-8')).files || {};
+      } catch (error) {
+        this.logger.warn(`上传清单无法解析，将重新上传全部文件: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * 清单中的键：相对当前目录的文件路径
+   * @param {string} file
+   * @returns {string}
+   */
+  static keyOf(file) {
+    return path.relative(process.cwd(), path.resolve(file)).split(path.sep).join('/');
+  }
+
+  /**
+   * 查找内容未变化、且已上传到同一存储同一对象的记录
+   * @param {string} file - 本地文件路径
+   * @param {string} md5 - 文件当前的 MD5（Base64）
+   * @param {Object} destination
+   * @param {string} destination.objectName - 本次的对象名称
+   * @param {string} destination.target - 存储标识（存储类型、endpoint、bucket 等）
+   * @returns {Object|null}
+   */
+  find(file, md5, destination) {
+    const entry = this.files[UploadManifest.keyOf(file)];
+    return entry && entry.md5 === md5 &&
+      entry.objectName === destination.objectName &&
+      entry.target === destination.target
+      ? entry
+      : null;
+  }
+
+  /**
+   * 记录上传结果并立即写盘，中途失败时已完成的文件不会丢失
+   * @param {string} file - 本地文件路径
+   * @param {Object} entry - { md5, size, objectName, target, url, etag }
+   */
+  record(file, entry) {
+    this.files[UploadManifest.keyOf(file)] = {
+      ...entry,
+      uploadedAt: new Date().toISOString()
+    };
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempFile = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ files: this.files }, null, 2));
+    fs.renameSync(tempFile, this.filePath);
+  }
+}
+
+module.exports = UploadManifest;
@@ -0,0 +1,204 @@
+/**
+ * 预签名上传
+ * 通过 Cookie 调用签名接口获取预签名 URL，再 PUT 上传，最后转换为 CDN 地址
+ * 预设（签名接口、请求头、响应结构、路径改写）在 oss.presets 中声明
+ */
+
+const axios = require('axios');
+const { normalizeEndpoint, getEtag, put } = require('./http');
+const Logger = require('../logger');
+const { requireHttps } = require('../security');
+
+// 签名接口的默认请求头，可被预设的 headers 覆盖
+const DEFAULT_HEADERS = {
+  'X-Requested-With': 'XMLHttpRequest',
+  'device': 'miniprogram-ci'
+};
+
+// 签名接口的默认响应结构：{ code: 0, data: '<预签名 URL>', desc: '错误信息' }
+const DEFAULT_RESPONSE = {
+  code: 'code',
+  successCode: 0,
+  data: 'data',
+  desc: 'desc'
+};
+
+/**
+ * 按点分路径读取响应字段，如 result.url
+ * @param {Object} data
+ * @param {string} fieldPath
+ * @returns {*}
+ */
+function getField(data, fieldPath) {
+  return String(fieldPath).split('.').reduce(
+    (value, key) => (value === undefined || value === null ? undefined : value[key]),
+    data
+  );
+}
+
+class PresignedProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.preset - 预设名称（oss.presets 中的键）
+   * @param {Object} options.presets - 预设定义
+   * @param {string} options.endpoint / bucket / cdnDomain - 覆盖预设
+   * @param {string} options.signatureUrl - 覆盖预设的签名接口（相对 endpoint 的路径或完整地址）
+   * @param {string} options.cookie - 签名接口所需的 Cookie
+   * @param {boolean} options.forceSSL - 是否将预签名 URL 的 http:// 改为 https:// 上传
+   * @param {boolean} options.forceHttps - 拒绝明文 HTTP 地址（security.forceHttps）
+   * @param {Logger} options.logger - 日志实例
+   */
+  constructor(options = {}) {
+    const presets = options.presets || {};
+    this.preset = options.preset || 'aicontest';
+    const presetConfig = presets[this.preset];
+    if (!presetConfig) {
+      const names = Object.keys(presets);
+      throw new Error(`未定义的 OSS 预设: ${this.preset}（oss.presets 中可用: ${names.length ? names.join('/') : '无'}）`);
+    }
+
+    // 忽略任何 undefined、null 或空字符串的配置值
+    this.ossConfig = {
+      endpoint: options.endpoint || presetConfig.endpoint,
+      bucket: options.bucket || presetConfig.bucket,
+      cdnDomain: options.cdnDomain || presetConfig.cdnDomain
+    };
+
+    // API 配置 - 签名接口相对于生效的 endpoint（自定义 endpoint 时同样生效）
+    const signaturePath = options.signatureUrl || presetConfig.signaturePath;
+    const absolute = /^https?:\/\//.test(signaturePath || '');
+    if (!signaturePath || (!absolute && !this.ossConfig.endpoint)) {
+      throw new Error(`OSS 预设 ${this.preset} 缺少 signaturePath 或 endpoint`);
+    }
+    this.apiConfig = {
+      signatureUrl: absolute ? signaturePath : `${normalizeEndpoint(this.ossConfig.endpoint)}${signaturePath}`,
+      headers: { ...DEFAULT_HEADERS, ...presetConfig.headers },
+      response: { ...DEFAULT_RESPONSE, ...presetConfig.response },
+      cookie: options.cookie || ''
+    };
+
+    // 上传地址路径改写规则（转换为 CDN 地址时生效），如去掉存储桶前缀 /open_res
+    this.rewrite = (presetConfig.rewrite || []).map(rule => ({
+      pattern: new RegExp(rule.pattern),
+      replacement: rule.replacement || ''
+    }));
+    this.forceSSL = options.forceSSL !== false;
+    this.forceHttps = options.forceHttps === true;
+    this.logger = options.logger || Logger.default;
+
+    if (this.forceHttps) {
+      requireHttps({
+        endpoint: this.ossConfig.endpoint,
+        cdnDomain: this.ossConfig.cdnDomain,
+        signatureUrl: this.apiConfig.signatureUrl
+      }, `OSS 预设 ${this.preset}`);
+    }
+  }
+
+  /**
+   * 获取上传签名
+   * @param {string} objectName - 对象名称
+   * @param {string} contentType - 内容类型
+   * @returns {Promise<string>} 预签名 URL
+   */
+  async getSignature(objectName, contentType) {
+    try {
+      const url = `${this.apiConfig.signatureUrl}?objectName=${encodeURIComponent(objectName)}&contentType=${encodeURIComponent(contentType)}`;
+
+      // 不输出完整地址和返回的预签名 URL，避免签名泄露到日志
+      this.logger.info(`获取签名: ${this.apiConfig.signatureUrl.split('?')[0]}（${objectName}）`);
+
+      const response = await axios.get(url, {
+        headers: {
+          ...this.apiConfig.headers,
+          'Cookie': this.apiConfig.cookie
+        },
+        timeout: 10000
+      });
+
+      const mapping = this.apiConfig.response;
+      const data = response.data || {};
+      const signedUrl = getField(data, mapping.data);
+      if (getField(data, mapping.code) === mapping.successCode && signedUrl) {
+        return signedUrl;
+      } else {
+        throw new Error(getField(data, mapping.desc) || '获取签名失败');
+      }
+    } catch (error) {
+      this.logger.error(`获取上传签名失败: ${error.message}`);
+      if (error.response) {
+        this.logger.error(`响应状态: ${error.response.status}`);
+        this.logger.error(`响应数据: ${JSON.stringify(error.response.data)}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 上传对象
+   * @param {string} key - 对象名称
+   * @param {Buffer|stream.Readable} body - 文件内容
+   * @param {Object} options
+   * @param {string} options.contentType
+   * @param {number} options.contentLength - 流式上传的内容长度
+   * @returns {Promise<{url: string, key: string, etag: string}>}
+   */
+  async put(key, body, options = {}) {
+    // 获取上传签名（签名返回的是预签名 URL）
+    this.logger.info('正在获取上传签名...');
+    let uploadUrl = await this.getSignature(key, options.contentType);
+
+    // 强制使用 HTTPS
+    if (this.forceSSL) {
+      uploadUrl = uploadUrl.replace('http://', 'https://');
+    }
+    if (this.forceHttps) {
+      requireHttps({ '预签名 URL': uploadUrl }, `OSS 预设 ${this.preset}`);
+    }
+
+    // 准备请求头
+    const headers = {
+      'Content-Type': options.contentType
+    };
+    const xAmzAcl = new URL(uploadUrl).searchParams.get('x-amz-acl');
+    if (xAmzAcl) {
+      headers['x-amz-acl'] = xAmzAcl;
+    }
+
+    // 预签名 URL 未必对 Content-MD5 签名，完整性由调用方比对返回的 ETag
+    const response = await put(uploadUrl, body, headers, { contentLength: options.contentLength });
+
+    // 从预签名 URL 中获取最终的文件 URL，并转换为 CDN URL
+    let fileUrl = uploadUrl.split('?')[0];
+    if (this.ossConfig.cdnDomain) {
+      // 提取路径部分（去除域名）
+      const urlParts = fileUrl.match(/https?:\/\/[^\/]*(.*)/);
+      if (urlParts && urlParts[1]) {
+        // 按预设规则改写路径
+        const filePath = this.rewrite.reduce(
+          (result, rule) => result.replace(rule.pattern, rule.replacement),
+          urlParts[1]
+        );
+        fileUrl = this.ossConfig.cdnDomain + filePath;
+      }
+    }
+
+    return { url: fileUrl, key, etag: getEtag(response) };
+  }
+
+  /**
+   * 配置描述（输出到日志）
+   * @returns {string[]}
+   */
+  describe() {
+    return [
+      `预签名上传，预设: ${this.preset}`,
+      `Endpoint: ${this.ossConfig.endpoint}`,
+      `Bucket: ${this.ossConfig.bucket || '-'}`,
+      `CDN Domain: ${this.ossConfig.cdnDomain}`,
+      `SignatureUrl: ${this.apiConfig.signatureUrl}`
+    ];
+  }
+}
+
+module.exports = PresignedProvider;
@@ -0,0 +1,184 @@
+/**
+ * S3 兼容存储（AWS S3、MinIO、Ceph RGW 等）
+ * 使用 AWS Signature Version 4 签名 PUT 请求
+ */
+
+const { hmac, hash, contentMd5, getEtag, encodeKey, normalizeEndpoint, joinUrl, head, put } = require('./http');
+const { requireHttps } = require('../security');
+
+class S3Provider {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - 服务地址，默认为 https://s3.<region>.amazonaws.com
+   * @param {string} options.region - 区域，MinIO 一般为 us-east-1
+   * @param {string} options.bucket - 存储桶
+   * @param {boolean} options.forcePathStyle - 使用路径形式（endpoint/bucket/key），MinIO 需开启
+   * @param {string} options.acl - 对象 ACL，如 public-read，留空则不设置
+   * @param {string} options.cdnDomain - CDN 域名，留空则返回存储地址
+   * @param {string} options.accessKeyId
+   * @param {string} options.accessKeySecret
+   * @param {string} options.sessionToken - 临时凭证的 Token（可选）
+   * @param {boolean} options.forceHttps - 拒绝明文 HTTP 地址（security.forceHttps）
+   */
+  constructor(options = {}) {
+    if (!options.bucket) {
+      throw new Error('S3 存储未配置 bucket（oss.s3.bucket 或 OSS_BUCKET）');
+    }
+    if (!options.accessKeyId || !options.accessKeySecret) {
+      throw new Error('S3 存储缺少访问密钥（OSS_ACCESS_KEY_ID / OSS_ACCESS_KEY_SECRET）');
+    }
+
+    this.region = options.region || 'us-east-1';
+    this.endpoint = normalizeEndpoint(options.endpoint || `s3.${this.region}.amazonaws.com`);
+    this.bucket = options.bucket;
+    this.forcePathStyle = options.forcePathStyle !== false;
+    this.acl = options.acl;
+    this.cdnDomain = options.cdnDomain;
+    this.credentials = {
+      accessKeyId: options.accessKeyId,
+      accessKeySecret: options.accessKeySecret,
+      sessionToken: options.sessionToken
+    };
+
+    if (options.forceHttps) {
+      requireHttps({ endpoint: this.endpoint, cdnDomain: this.cdnDomain }, 'S3 存储');
+    }
+  }
+
+  /**
+   * 对象地址
+   * @param {string} key
+   * @returns {string}
+   */
+  getObjectUrl(key) {
+    const { protocol, host, pathname } = new URL(this.endpoint);
+    const basePath = pathname.replace(/\/+$/, '');
+    return this.forcePathStyle
+      ? `${protocol}//${host}${basePath}/${this.bucket}/${encodeKey(key)}`
+      : `${protocol}//${this.bucket}.${host}${basePath}/${encodeKey(key)}`;
+  }
+
+  /**
+   * 对外访问地址
+   * @param {string} key
+   * @returns {string}
+   */
+  getUrl(key) {
+    return this.cdnDomain ? joinUrl(this.cdnDomain, key) : this.getObjectUrl(key);
+  }
+
+  /**
+   * 生成 SigV4 签名后的请求头
+   * @param {string} method - PUT / HEAD
+   * @param {string} url - 对象地址
+   * @param {Object} headers - 参与签名的请求头
+   * @param {string} payloadHash - 请求体 SHA-256
+   * @param {Date} now
+   * @returns {Object}
+   */
+  sign(method, url, headers, payloadHash, now = new Date()) {
+    const { host, pathname } = new URL(url);
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.substring(0, 8);
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+
+    const signedHeaders = {
+      ...headers,
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    if (this.credentials.sessionToken) {
+      signedHeaders['x-amz-security-token'] = this.credentials.sessionToken;
+    }
+
+    const names = Object.keys(signedHeaders).map(name => name.toLowerCase()).sort();
+    const lookup = Object.keys(signedHeaders).reduce((result, name) => {
+      result[name.toLowerCase()] = String(signedHeaders[name]).trim();
+      return result;
+    }, {});
+
+    const canonicalRequest = [
+      method,
+      pathname,
+      '',
+      names.map(name => `${name}:${lookup[name]}\n`).join(''),
+      names.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, hash(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.credentials.accessKeySecret}`, dateStamp), this.region)
+    );
+    const signature = hmac(signingKey, stringToSign, 'sha256', 'hex');
+
+    // host 由 HTTP 客户端设置
+    delete signedHeaders.host;
+    return {
+      ...signedHeaders,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.credentials.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+    };
+  }
+
+  /**
+   * 上传对象
+   * @param {string} key - 对象名称
+   * @param {Buffer|stream.Readable} body - 文件内容
+   * @param {Object} options
+   * @param {string} options.contentType
+   * @param {string} options.md5 - 预先计算的 Content-MD5（流式上传时必需）
+   * @param {string} options.sha256 - 预先计算的请求体 SHA-256（流式上传时必需）
+   * @param {number} options.contentLength - 流式上传的内容长度
+   * @returns {Promise<{url: string, key: string, etag: string}>}
+   */
+  async put(key, body, options = {}) {
+    const url = this.getObjectUrl(key);
+    const headers = {
+      'content-type': options.contentType,
+      'content-md5': contentMd5(body, options)
+    };
+    if (this.acl) {
+      headers['x-amz-acl'] = this.acl;
+    }
+
+    const payloadHash = options.sha256 || hash(body);
+    const response = await put(url, body, this.sign('PUT', url, headers, payloadHash), {
+      contentLength: options.contentLength
+    });
+
+    return {
+      url: this.getUrl(key),
+      key,
+      etag: getEtag(response)
+    };
+  }
+
+  /**
+   * 查询已有对象
+   * @param {string} key
+   * @returns {Promise<{etag: string}|null>}
+   */
+  async head(key) {
+    const url = this.getObjectUrl(key);
+    const response = await head(url, this.sign('HEAD', url, {}, hash('')));
+    return response && { etag: getEtag(response) };
+  }
+
+  /**
+   * 配置描述（输出到日志）
+   * @returns {string[]}
+   */
+  describe() {
+    return [
+      'S3 兼容存储',
+      `Endpoint: ${this.endpoint}`,
+      `Region: ${this.region}`,
+      `Bucket: ${this.bucket}`,
+      `CDN Domain: ${this.cdnDomain || '-'}`
+    ];
+  }
+}
+
+module.exports = S3Provider;
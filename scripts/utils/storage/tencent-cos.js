@@ -0,0 +1,167 @@
+/**
+ * 腾讯云 COS
+ * 使用 COS 请求签名（q-sign-algorithm=sha1）PUT 上传
+ */
+
+const { hmac, hash, contentMd5, getEtag, encodeKey, joinUrl, head, put } = require('./http');
+const { requireHttps } = require('../security');
+
+// 签名有效期（秒）
+const SIGN_EXPIRES = 600;
+
+class TencentCOSProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.region - 地域，如 ap-guangzhou
+   * @param {string} options.bucket - 存储桶（含 APPID），如 examplebucket-1250000000
+   * @param {string} options.endpoint - 自定义域名（可选），默认为 <bucket>.cos.<region>.myqcloud.com
+   * @param {string} options.acl - 对象 ACL，如 public-read，留空则继承存储桶
+   * @param {string} options.cdnDomain - CDN 域名，留空则返回 COS 地址
+   * @param {string} options.accessKeyId - SecretId
+   * @param {string} options.accessKeySecret - SecretKey
+   * @param {string} options.sessionToken - 临时密钥的 Token（可选）
+   * @param {boolean} options.forceHttps - 拒绝明文 HTTP 地址（security.forceHttps），请求始终使用 HTTPS，只检查 cdnDomain
+   */
+  constructor(options = {}) {
+    if (!options.bucket || !options.region) {
+      throw new Error('腾讯云 COS 未配置 bucket 或 region（oss.cos.bucket / oss.cos.region）');
+    }
+    if (!options.accessKeyId || !options.accessKeySecret) {
+      throw new Error('腾讯云 COS 缺少访问密钥（OSS_ACCESS_KEY_ID / OSS_ACCESS_KEY_SECRET）');
+    }
+
+    this.region = options.region;
+    this.bucket = options.bucket;
+    this.host = options.endpoint
+      ? String(options.endpoint).replace(/^https?:\/\//, '').replace(/\/+$/, '')
+      : `${this.bucket}.cos.${this.region}.myqcloud.com`;
+    this.acl = options.acl;
+    this.cdnDomain = options.cdnDomain;
+    this.credentials = {
+      accessKeyId: options.accessKeyId,
+      accessKeySecret: options.accessKeySecret,
+      sessionToken: options.sessionToken
+    };
+
+    if (options.forceHttps) {
+      requireHttps({ cdnDomain: this.cdnDomain }, '腾讯云 COS');
+    }
+  }
+
+  /**
+   * 对象地址
+   * @param {string} key
+   * @returns {string}
+   */
+  getObjectUrl(key) {
+    return `https://${this.host}/${encodeKey(key)}`;
+  }
+
+  /**
+   * 对外访问地址
+   * @param {string} key
+   * @returns {string}
+   */
+  getUrl(key) {
+    return this.cdnDomain ? joinUrl(this.cdnDomain, key) : this.getObjectUrl(key);
+  }
+
+  /**
+   * 生成签名后的请求头
+   * @param {string} method - PUT / HEAD
+   * @param {string} key
+   * @param {Object} headers - 参与签名的请求头
+   * @param {Date} now
+   * @returns {Object}
+   */
+  sign(method, key, headers, now = new Date()) {
+    const signed = { ...headers, host: this.host };
+    if (this.credentials.sessionToken) {
+      signed['x-cos-security-token'] = this.credentials.sessionToken;
+    }
+
+    const start = Math.floor(now.getTime() / 1000);
+    const keyTime = `${start};${start + SIGN_EXPIRES}`;
+    const lookup = Object.keys(signed).reduce((result, name) => {
+      result[name.toLowerCase()] = encodeURIComponent(String(signed[name]).trim());
+      return result;
+    }, {});
+    const names = Object.keys(lookup).sort();
+
+    const httpString = `${method.toLowerCase()}\n/${key}\n\n${names.map(name => `${name}=${lookup[name]}`).join('&')}\n`;
+    const stringToSign = `sha1\n${keyTime}\n${hash(httpString, 'sha1')}\n`;
+    const signKey = hmac(this.credentials.accessKeySecret, keyTime, 'sha1', 'hex');
+    const signature = hmac(signKey, stringToSign, 'sha1', 'hex');
+
+    // host 由 HTTP 客户端设置
+    delete signed.host;
+    return {
+      ...signed,
+      Authorization: [
+        'q-sign-algorithm=sha1',
+        `q-ak=${this.credentials.accessKeyId}`,
+        `q-sign-time=${keyTime}`,
+        `q-key-time=${keyTime}`,
+        `q-header-list=${names.join(';')}`,
+        'q-url-param-list=',
+        `q-signature=${signature}`
+      ].join('&')
+    };
+  }
+
+  /**
+   * 上传对象
+   * @param {string} key - 对象名称
+   * @param {Buffer|stream.Readable} body - 文件内容
+   * @param {Object} options
+   * @param {string} options.contentType
+   * @param {string} options.md5 - 预先计算的 Content-MD5（流式上传时必需）
+   * @param {number} options.contentLength - 流式上传的内容长度
+   * @returns {Promise<{url: string, key: string, etag: string}>}
+   */
+  async put(key, body, options = {}) {
+    const url = this.getObjectUrl(key);
+    const headers = {
+      'content-type': options.contentType,
+      'content-md5': contentMd5(body, options)
+    };
+    if (this.acl) {
+      headers['x-cos-acl'] = this.acl;
+    }
+
+    const response = await put(url, body, this.sign('PUT', key, headers), {
+      contentLength: options.contentLength
+    });
+
+    return {
+      url: this.getUrl(key),
+      key,
+      etag: getEtag(response)
+    };
+  }
+
+  /**
+   * 查询已有对象
+   * @param {string} key
+   * @returns {Promise<{etag: string}|null>}
+   */
+  async head(key) {
+    const response = await head(this.getObjectUrl(key), this.sign('HEAD', key, {}));
+    return response && { etag: getEtag(response) };
+  }
+
+  /**
+   * 配置描述（输出到日志）
+   * @returns {string[]}
+   */
+  describe() {
+    return [
+      '腾讯云 COS',
+      `Host: ${this.host}`,
+      `Bucket: ${this.bucket}`,
+      `CDN Domain: ${this.cdnDomain || '-'}`
+    ];
+  }
+}
+
+module.exports = TencentCOSProvider;
@@ -2,16 +2,37 @@
  * 版本管理工具
  * 功能：
  * - 读取 package.json 版本号
- * - 生成版本描述
- * - 管理版本号递增
+ * - 按描述模板生成版本描述
+ * - 管理版本号递增（按约定式提交或上传历史自动递增）
+ * - 语义化版本解析、比较、范围检查（见 semver.js），转换为微信平台版本号
+ * - 防止上传低于上次正式版的版本号
  */
 
 const fs = require('fs');
 const path = require('path');
+const { execSync } = require('child_process');
+const Logger = require('./logger');
+const { collectVariables, renderDescription } = require('./description');
+const semver = require('./semver');
+
+// 版本递增级别（由低到高）
+const BUMP_LEVELS = ['patch', 'minor', 'major'];
+
+// 作为版本下限的环境（继承链中包含该环境的自定义环境同样视为正式版）
+const PRODUCTION_ENV = 'production';
 
 class VersionManager {
-  constructor() {
-    this.packageJsonPath = path.join(process.cwd(), 'package.json');
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - ci.config.js 中的 version 配置
+   * @param {string} options.cwd - 项目目录
+   * @param {Logger} options.logger - 日志实例
+   */
+  constructor(options = {}) {
+    this.config = options.config || {};
+    this.cwd = options.cwd || process.cwd();
+    this.logger = options.logger || Logger.default;
+    this.packageJsonPath = path.join(this.cwd, 'package.json');
     this.loadPackageJson();
   }
 
@@ -37,39 +58,28 @@ class VersionManager {
 
   /**
    * 生成版本描述
-   * @param {string} env - 环境类型 (development/production)
-   * @param {string} customDesc - 自定义描述
+   * @param {string} env - 环境名称
+   * @param {string} customDesc - 自定义描述（模板中的 ${desc}）
+   * @param {Object} options
+   * @param {string} options.template - 描述模板 [默认: description.js 中的 DEFAULT_TEMPLATE]
+   * @param {number} options.maxLength - 描述长度上限
+   * @param {string} options.envLabel - 环境显示名称
+   * @param {string} options.version - 版本号
+   * @param {number} options.robot - 机器人编号
+   * @param {Object} options.buildInfo - build-info.json 内容
    * @returns {string}
    */
-  generateDescription(env, customDesc) {
-    const timestamp = new Date().toLocaleString('zh-CN', {
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-      hour12: false
+  generateDescription(env, customDesc, options = {}) {
+    const variables = collectVariables({
+      env,
+      desc: customDesc,
+      envLabel: options.envLabel,
+      version: options.version,
+      robot: options.robot,
+      buildInfo: options.buildInfo
     });
 
-    const envLabel = env === 'production' ? '正式版' : '体验版';
-    const baseDesc = customDesc || `${envLabel}上传`;
-
-    // 添加 Git 信息（如果有）
-    const gitBranch = process.env.GIT_BRANCH || process.env.CI_COMMIT_REF_NAME;
-    const gitCommit = process.env.GIT_COMMIT || process.env.CI_COMMIT_SHA;
-
-    let desc = `${baseDesc} - ${timestamp}`;
-
-    if (gitBranch) {
-      desc += ` [${gitBranch}]`;
-    }
-
-    if (gitCommit) {
-      desc += ` (${gitCommit.substring(0, 7)})`;
-    }
-
-    return desc;
+    return renderDescription(options.template, variables, { maxLength: options.maxLength });
   }
 
   /**
@@ -81,7 +91,7 @@ class VersionManager {
       version: this.getCurrentVersion(),
       buildTime: new Date().toISOString(),
       env: process.env.NODE_ENV || 'development',
-      branch: process.env.GIT_BRANCH || process.env.CI_COMMIT_REF_NAME || 'unknown',
+      branch: process.env.GIT_BRANCH || process.env.CI_COMMIT_REF_NAME || process.env.GITHUB_HEAD_REF || process.env.GITHUB_REF_NAME || 'unknown',
       commit: process.env.GIT_COMMIT || process.env.CI_COMMIT_SHA || 'unknown',
       buildNumber: process.env.BUILD_NUMBER || process.env.CI_PIPELINE_ID || 'local',
       nodejs: process.version,
@@ -91,30 +101,16 @@ class VersionManager {
 
   /**
    * 递增版本号
-   * @param {string} type - 版本类型 (major/minor/patch)
+   * @param {string} type - 版本类型 (major/minor/patch/prerelease)
+   * @param {string} preId - 预发布标识（type 为 prerelease 时使用）
    * @returns {string} 新版本号
    */
-  incrementVersion(type = 'patch') {
-    const currentVersion = this.getCurrentVersion();
-    const parts = currentVersion.split('.').map(Number);
-
-    switch (type) {
-      case 'major':
-        parts[0]++;
-        parts[1] = 0;
-        parts[2] = 0;
-        break;
-      case 'minor':
-        parts[1]++;
-        parts[2] = 0;
-        break;
-      case 'patch':
-      default:
-        parts[2]++;
-        break;
+  incrementVersion(type = 'patch', preId) {
+    const currentVersion = this.normalizeVersion(this.getCurrentVersion());
+    if (!currentVersion) {
+      throw new Error(`package.json 中的版本号无效: ${this.getCurrentVersion()}`);
     }
-
-    return parts.join('.');
+    return semver.increment(currentVersion, type, preId);
   }
 
   /**
@@ -130,7 +126,7 @@ class VersionManager {
         JSON.stringify(this.packageJson, null, 2) + '\n',
         'utf-8'
       );
-      console.log(`✓ 版本号已更新: ${version}`);
+      this.logger.success(`版本号已更新: ${version}`);
     } catch (error) {
       throw new Error(`保存版本号失败: ${error.message}`);
     }
@@ -142,37 +138,307 @@ class VersionManager {
    */
   getVersionFromGitTag() {
     const gitTag = process.env.CI_COMMIT_TAG || process.env.GIT_TAG;
+    return gitTag ? this.normalizeVersion(gitTag) : null;
+  }
+
+  /**
+   * 版本号前缀（version.prefix，默认 v）
+   * @returns {string}
+   */
+  getPrefix() {
+    return this.config.prefix !== undefined ? this.config.prefix : 'v';
+  }
+
+  /**
+   * 解析版本号（去掉前缀）
+   * @param {string} version
+   * @returns {{major: number, minor: number, patch: number, prerelease: (number|string)[], build: string[]}|null}
+   */
+  parseVersion(version) {
+    return semver.parse(version, this.getPrefix());
+  }
+
+  /**
+   * 规范化版本号（去掉前缀），无效时返回 null
+   * @param {string} version
+   * @returns {string|null}
+   */
+  normalizeVersion(version) {
+    const parsed = this.parseVersion(version);
+    return parsed ? semver.format(parsed) : null;
+  }
+
+  /**
+   * 生成 Tag 名称（加上前缀）
+   * @param {string} version
+   * @returns {string}
+   */
+  formatTag(version) {
+    return `${this.getPrefix()}${this.normalizeVersion(version) || version}`;
+  }
+
+  /**
+   * 比较版本号（预发布版本低于对应正式版本，构建元数据不参与比较）
+   * @param {string} a
+   * @param {string} b
+   * @returns {number} a < b 返回负数，相等返回 0，a > b 返回正数
+   */
+  compareVersions(a, b) {
+    const va = this.parseVersion(a);
+    const vb = this.parseVersion(b);
+    if (!va || !vb) {
+      throw new Error(`无法比较版本号: ${!va ? a : b}`);
+    }
+    return semver.compare(va, vb);
+  }
+
+  /**
+   * 检查版本号是否满足范围（如 ^2.0.0、>=1.2.0 <2.0.0）
+   * @param {string} version
+   * @param {string} range
+   * @param {Object} options - 见 semver.satisfies()
+   * @returns {boolean}
+   */
+  satisfies(version, range, options = {}) {
+    const normalized = this.normalizeVersion(version);
+    return normalized ? semver.satisfies(normalized, range, options) : false;
+  }
+
+  /**
+   * 转换为微信平台的版本号（version.wechatFormat：semver / dotted）
+   * @param {string} version
+   * @returns {string}
+   */
+  toWechatVersion(version) {
+    const normalized = this.normalizeVersion(version);
+    if (!normalized) {
+      // 非 SemVer 版本号原样上传
+      return String(version);
+    }
+    return semver.toWechatVersion(normalized, this.config.wechatFormat || 'semver');
+  }
+
+  /**
+   * 执行 git 命令
+   * @param {string} command
+   * @returns {string}
+   */
+  git(command) {
+    return execSync(`git ${command}`, { cwd: this.cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  }
 
-    if (gitTag) {
-      // 移除 v 前缀（如果有）
-      const version = gitTag.replace(/^v/, '');
+  /**
+   * 获取最近的版本 Tag
+   * @returns {string|null}
+   */
+  getLastTag() {
+    const prefix = this.getPrefix();
+    try {
+      return this.git(`describe --tags --abbrev=0${prefix ? ` --match "${prefix}*"` : ''}`) || null;
+    } catch (error) {
+      return null;
+    }
+  }
 
-      // 验证版本号格式
-      if (/^\d+\.\d+\.\d+/.test(version)) {
-        return version;
+  /**
+   * 根据约定式提交信息判断递增级别
+   * feat 为 minor，BREAKING CHANGE 或 type! 为 major，其余为 patch
+   * @param {string[]} messages - 提交信息
+   * @returns {string|null} 无提交时返回 null
+   */
+  getCommitBumpLevel(messages) {
+    if (messages.length === 0) {
+      return null;
+    }
+
+    return messages.reduce((level, message) => {
+      let current = 'patch';
+      if (/^\w+(\([^)]*\))?!:/.test(message) || /^BREAKING[ -]CHANGE:/m.test(message)) {
+        current = 'major';
+      } else if (/^feat(\([^)]*\))?:/.test(message)) {
+        current = 'minor';
+      }
+      return BUMP_LEVELS.indexOf(current) > BUMP_LEVELS.indexOf(level) ? current : level;
+    }, 'patch');
+  }
+
+  /**
+   * 按上个 Tag 以来的约定式提交计算基准版本和递增级别
+   * @returns {{base: string, level: string|null, detail: string}}
+   */
+  analyzeCommits() {
+    const tag = this.getLastTag();
+    const range = tag ? `${tag}..HEAD` : 'HEAD';
+    const messages = this.git(`log ${range} --format=%B%x1e`)
+      .split('\x1e')
+      .map(message => message.trim())
+      .filter(Boolean);
+
+    const base = (tag && this.normalizeVersion(tag)) || this.getCurrentVersion();
+
+    return {
+      base,
+      // 没有 Tag 时以 package.json 版本为准，不再递增
+      level: tag ? this.getCommitBumpLevel(messages) : null,
+      detail: tag ? `${tag} 之后 ${messages.length} 个提交` : '未找到版本 Tag，使用 package.json 版本'
+    };
+  }
+
+  /**
+   * 上传历史中各版本号（过滤无法解析的版本）
+   * @param {Array} history
+   * @param {string|string[]} env - 指定环境（或环境列表），不传则为全部环境
+   * @returns {string[]}
+   */
+  getHistoryVersions(history, env) {
+    const envs = env ? [].concat(env) : null;
+    return (history || [])
+      .filter(record => !envs || envs.includes(record.env))
+      .map(record => record.version)
+      .filter(version => this.parseVersion(version));
+  }
+
+  /**
+   * 获取版本列表中的最高版本
+   * @param {string[]} versions
+   * @returns {string|null}
+   */
+  getHighestVersion(versions) {
+    return versions.reduce((highest, version) =>
+      (!highest || this.compareVersions(version, highest) > 0 ? version : highest), null);
+  }
+
+  /**
+   * 自动计算下一个版本号
+   * @param {Object} context
+   * @param {string} context.env - 环境名称
+   * @param {Array} context.history - 上传历史
+   * @param {string} context.preRelease - 预发布标识（如 rc）
+   * @param {string} context.commit - 构建元数据中的提交号
+   * @returns {{version: string, source: string}}
+   */
+  getNextVersion(context = {}) {
+    let mode = this.config.autoIncrement === true ? 'commits' : this.config.autoIncrement;
+    let base;
+    let level;
+    let detail;
+
+    if (mode === 'commits') {
+      try {
+        ({ base, level, detail } = this.analyzeCommits());
+      } catch (error) {
+        mode = 'history';
+        detail = '无法读取 Git 提交记录，改为按上传历史递增';
       }
     }
 
-    return null;
+    if (mode === 'history') {
+      const highest = this.getHighestVersion(this.getHistoryVersions(context.history, context.env));
+      base = highest || this.getCurrentVersion();
+      level = highest ? (this.config.incrementType || 'patch') : null;
+      detail = [detail, highest ? `${context.env} 环境历史最高版本 ${highest}` : `${context.env} 环境无上传历史，使用 package.json 版本`]
+        .filter(Boolean).join('；');
+    } else if (mode !== 'commits') {
+      throw new Error(`不支持的 version.autoIncrement: ${mode}（可选: false/commits/history）`);
+    }
+
+    const parsed = this.parseVersion(base);
+    if (!parsed) {
+      throw new Error(`无法解析基准版本号: ${base}`);
+    }
+
+    // 基准为预发布版本时，核心版本即为即将发布的版本，不再递增
+    const isPrerelease = parsed.prerelease.length > 0;
+    const core = isPrerelease || !level
+      ? `${parsed.major}.${parsed.minor}.${parsed.patch}`
+      : semver.increment(parsed, level);
+
+    let version = core;
+    // 没有新提交时直接使用基准版本，不生成预发布版本
+    if (context.preRelease && (isPrerelease || level)) {
+      // 同一核心版本、同一标识的预发布序号在所有环境中递增
+      const candidates = this.getHistoryVersions(context.history).concat(isPrerelease ? [base] : []);
+      const numbers = candidates
+        .map(item => this.parseVersion(item))
+        .filter(item => `${item.major}.${item.minor}.${item.patch}` === core && item.prerelease[0] === context.preRelease)
+        .map(item => {
+          const last = item.prerelease[item.prerelease.length - 1];
+          return typeof last === 'number' ? last : 0;
+        });
+      version = `${core}-${context.preRelease}.${Math.max(0, ...numbers) + 1}`;
+    }
+
+    if (this.config.buildMetadata && context.commit) {
+      version += `+${context.commit}`;
+    }
+
+    return { version, source: `自动递增（${detail}）` };
   }
 
   /**
-   * 获取推荐的版本号
+   * 解析本次使用的版本号及来源
+   * 优先级：自定义版本 > Git Tag > 自动递增 > package.json
    * @param {string} customVersion - 自定义版本号
-   * @returns {string}
+   * @param {Object} context - 自动递增所需信息，见 getNextVersion()
+   * @returns {{version: string, source: string}}
    */
-  getRecommendedVersion(customVersion) {
-    // 优先级：自定义版本 > Git Tag > package.json
+  resolveVersion(customVersion, context = {}) {
     if (customVersion) {
-      return customVersion;
+      return { version: String(customVersion), source: '指定版本' };
     }
 
-    const gitVersion = this.getVersionFromGitTag();
-    if (gitVersion) {
-      return gitVersion;
+    if (this.config.useGitTag !== false) {
+      const gitVersion = this.getVersionFromGitTag();
+      if (gitVersion) {
+        return { version: gitVersion, source: 'Git Tag' };
+      }
+    }
+
+    if (this.config.autoIncrement) {
+      return this.getNextVersion(context);
     }
 
-    return this.getCurrentVersion();
+    return { version: this.getCurrentVersion(), source: 'package.json' };
+  }
+
+  /**
+   * 获取推荐的版本号
+   * @param {string} customVersion - 自定义版本号
+   * @param {Object} context - 自动递增所需信息，见 getNextVersion()
+   * @returns {string}
+   */
+  getRecommendedVersion(customVersion, context = {}) {
+    return this.resolveVersion(customVersion, context).version;
+  }
+
+  /**
+   * 正式版环境：production 及继承链中包含 production 的环境（如 extend: 'production' 的 hotfix）
+   * @param {Object<string, string[]>} envChains - 各环境的继承链，见 ConfigLoader#getEnvChains()
+   * @returns {string[]}
+   */
+  getProductionEnvs(envChains = {}) {
+    const envs = Object.keys(envChains).filter(name => envChains[name].includes(PRODUCTION_ENV));
+    return envs.includes(PRODUCTION_ENV) ? envs : [PRODUCTION_ENV, ...envs];
+  }
+
+  /**
+   * 检查版本号不低于上次正式版上传的版本
+   * @param {string} version
+   * @param {Array} history - 上传历史
+   * @param {Object<string, string[]>} envChains - 各环境的继承链，用于识别继承 production 的环境
+   * @throws {Error} 版本号回退时抛出（不可重试）
+   */
+  assertNotBelowProduction(version, history, envChains = {}) {
+    if (!this.parseVersion(version)) {
+      return;
+    }
+
+    const lastProduction = this.getHighestVersion(this.getHistoryVersions(history, this.getProductionEnvs(envChains)));
+    if (lastProduction && this.compareVersions(version, lastProduction) < 0) {
+      const error = new Error(`版本号 ${version} 低于上次正式版上传的 ${lastProduction}，如确需回退请使用 --allow-downgrade`);
+      error.retryable = false;
+      throw error;
+    }
   }
 
   /**